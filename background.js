@@ -1,9 +1,24 @@
 // Background service worker for Steam Video Downloader
 
 let offscreenDocumentCreated = false;
-const pendingRequests = new Map();
+const pendingRequests = new Map(); // requestId -> { target, tabId, documentId } of the page that owns the mux session
+const trackedDownloads = new Map(); // chrome.downloads id -> target waiting for the result, null once reported
+const pagePorts = new Map(); // documentId -> port of an extension page running downloads
+const undeliveredReports = new Map(); // documentId -> messages waiting for the page to reconnect
 
-// Create offscreen document for FFmpeg processing
+// Readable messages for chrome.downloads interrupt reasons
+const DOWNLOAD_ERRORS = {
+  USER_CANCELED: 'Save was cancelled',
+  FILE_NO_SPACE: 'Not enough disk space',
+  FILE_ACCESS_DENIED: 'No permission to write to the download folder',
+  FILE_NAME_TOO_LONG: 'File name is too long',
+  FILE_TOO_LARGE: 'File is too large for the file system',
+  FILE_BLOCKED: 'Blocked by the browser\'s download settings',
+  FILE_VIRUS_INFECTED: 'Blocked by a virus scan',
+  FILE_FAILED: 'Could not write the file'
+};
+
+// Create offscreen document for MP4 muxing
 async function ensureOffscreenDocument() {
   if (offscreenDocumentCreated) return;
 
@@ -22,7 +37,7 @@ async function ensureOffscreenDocument() {
     await chrome.offscreen.createDocument({
       url: 'offscreen.html',
       reasons: ['WORKERS'],
-      justification: 'FFmpeg video processing'
+      justification: 'MP4 muxing of downloaded video and audio tracks'
     });
 
     offscreenDocumentCreated = true;
@@ -38,91 +53,260 @@ function generateRequestId() {
   return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
+// Forward a message to the offscreen document and return its response
+async function sendToOffscreen(message) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+  if (!response) throw new Error('Offscreen document did not respond');
+  if (response.error) throw new Error(response.error);
+  return response;
+}
+
+// Relay a content script request to the offscreen document, answering with its response
+function relayToOffscreen(message, sendResponse) {
+  sendToOffscreen(message)
+    .then(sendResponse)
+    .catch(error => sendResponse({ error: error.message }));
+}
+
+// Extension pages that run the queue themselves (the "Download by app ID" page) connect a port
+// to get their reports on; tab messages only reach content scripts
+chrome.runtime.onConnect.addListener((port) => {
+  const documentId = port.sender?.documentId;
+  if (port.name !== 'svd-page' || !documentId) return;
+  pagePorts.set(documentId, port);
+  (undeliveredReports.get(documentId) || []).forEach(message => port.postMessage(message));
+  undeliveredReports.delete(documentId);
+  // Pages keep the port open while they mux, so its closing means the page is gone
+  port.onDisconnect.addListener(() => {
+    if (pagePorts.get(documentId) === port) pagePorts.delete(documentId);
+    cancelMuxRequests(request => request.documentId === documentId);
+  });
+});
+
+// Where to report a sender's mux progress and finished downloads: the tab id of a content
+// script, or the document id of an extension page; -1 for nobody
+function senderTarget(sender) {
+  if (sender.tab && !sender.url?.startsWith(chrome.runtime.getURL(''))) return sender.tab.id;
+  return sender.documentId || -1;
+}
+
+// Send a message to the sender a target stands for. A page reconnects its port after the
+// worker was stopped, so download reports wait for that; late progress is dropped.
+function notifySender(target, message) {
+  if (typeof target === 'string') {
+    const port = pagePorts.get(target);
+    if (port) {
+      port.postMessage(message);
+    } else if (message.action === 'downloadDone') {
+      undeliveredReports.set(target, [...(undeliveredReports.get(target) || []), message]);
+    }
+  } else if (target >= 0) {
+    chrome.tabs.sendMessage(target, message).catch(() => {});
+  }
+}
+
 // Handle messages from content script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Messages addressed to the offscreen document are not ours
+  if (message.target === 'offscreen') return false;
+
   if (message.action === 'muxRequest') {
-    handleMuxRequest(message, sender.tab?.id);
+    const owner = { target: senderTarget(sender), tabId: sender.tab?.id ?? null, documentId: sender.documentId || null };
+    handleMuxRequest(message, owner, sendResponse);
+    return true;
+  }
+
+  // Input chunks, run and result chunks travel content script <-> offscreen
+  if (message.action === 'muxChunk' || message.action === 'muxRun' || message.action === 'muxResultChunk') {
+    getMuxRequest(message.requestId).then(request => {
+      if (request) {
+        relayToOffscreen(message, sendResponse);
+      } else {
+        sendResponse({ error: 'Unknown mux request' });
+      }
+    });
+    return true;
+  }
+
+  if (message.action === 'muxCancel' || message.action === 'muxRelease') {
+    untrackMuxRequest(message.requestId).then(() => relayToOffscreen(message, sendResponse));
+    return true;
+  }
+
+  if (message.action === 'saveFile') {
+    handleSaveFile(message, senderTarget(sender), sendResponse);
     return true;
   }
 
   if (message.action === 'muxProgress') {
     // Forward progress to content script
-    const request = pendingRequests.get(message.requestId);
-    if (request && request.tabId) {
-      chrome.tabs.sendMessage(request.tabId, {
+    getMuxRequest(message.requestId).then(request => {
+      if (!request) return;
+      notifySender(request.target, {
         action: 'muxProgress',
-        progress: message.progress,
+        requestId: message.requestId,
         status: message.status
       });
-    }
+    });
   }
 
-  if (message.action === 'muxComplete') {
-    // Forward result to content script
-    const request = pendingRequests.get(message.requestId);
-    if (request && request.tabId) {
-      chrome.tabs.sendMessage(request.tabId, {
-        action: 'muxComplete',
-        data: message.data
-      });
-      pendingRequests.delete(message.requestId);
-    }
-  }
+  return false;
+});
 
-  if (message.action === 'muxError') {
-    // Forward error to content script
-    const request = pendingRequests.get(message.requestId);
-    if (request && request.tabId) {
-      chrome.tabs.sendMessage(request.tabId, {
-        action: 'muxError',
-        error: message.error
-      });
-      pendingRequests.delete(message.requestId);
-    }
-  }
+// Remember which page owns a mux session; kept in session storage too, so the session can
+// still be cancelled when its page goes away after the worker was stopped
+async function trackMuxRequest(requestId, owner) {
+  pendingRequests.set(requestId, owner);
+  await chrome.storage.session.set({ [`mux_${requestId}`]: owner });
+}
 
-  return true;
-});
+async function untrackMuxRequest(requestId) {
+  pendingRequests.delete(requestId);
+  await chrome.storage.session.remove(`mux_${requestId}`);
+}
 
-// Handle mux request from content script
-async function handleMuxRequest(message, tabId) {
-  try {
-    console.log('Background: Received mux request, video size:', message.videoData?.length, 'audio size:', message.audioData?.length);
+// Owner of a pending mux request, or null
+async function getMuxRequest(requestId) {
+  if (pendingRequests.has(requestId)) return pendingRequests.get(requestId);
+  const key = `mux_${requestId}`;
+  const stored = await chrome.storage.session.get(key);
+  if (!(key in stored)) return null;
+  pendingRequests.set(requestId, stored[key]);
+  return stored[key];
+}
 
-    await ensureOffscreenDocument();
-    console.log('Background: Offscreen document ready');
+// Cancel the mux sessions whose owner matches, so the offscreen document frees their buffers
+// (a page that reloads, navigates or closes mid-mux never sends muxRelease itself)
+async function cancelMuxRequests(matches) {
+  const stored = await chrome.storage.session.get(null);
+  const requests = new Map(pendingRequests);
+  for (const [key, owner] of Object.entries(stored)) {
+    if (key.startsWith('mux_')) requests.set(key.slice(4), owner);
+  }
+  for (const [requestId, owner] of requests) {
+    if (!await matches(owner)) continue;
+    console.log('Background: Cancelling mux session of a closed page', requestId);
+    await untrackMuxRequest(requestId);
+    sendToOffscreen({ action: 'muxCancel', requestId }).catch(() => {});
+  }
+}
 
-    const requestId = generateRequestId();
-    pendingRequests.set(requestId, { tabId });
+chrome.tabs.onRemoved.addListener((tabId) => {
+  cancelMuxRequests(request => request.tabId === tabId);
+});
 
-    // Send status to content script
-    if (tabId) {
-      chrome.tabs.sendMessage(tabId, {
-        action: 'muxProgress',
-        progress: 0,
-        status: 'Preparing FFmpeg...'
-      });
+// A tab starts loading for navigations within its page too, so only sessions whose document
+// no longer answers are cancelled
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status !== 'loading') return;
+  cancelMuxRequests(async (request) => {
+    if (request.tabId !== tabId) return false;
+    if (!request.documentId) return true;
+    try {
+      await chrome.tabs.sendMessage(tabId, { action: 'svdPing' }, { documentId: request.documentId });
+      return false;
+    } catch (error) {
+      return true;
     }
+  });
+});
+
+// Handle mux request from content script: set up an offscreen session
+async function handleMuxRequest(message, owner, sendResponse) {
+  const requestId = generateRequestId();
+  try {
+    console.log('Background: Received mux request, track sizes:', message.sizes);
+    await trackMuxRequest(requestId, owner);
 
-    // Send to offscreen document
-    console.log('Background: Sending to offscreen document...');
-    chrome.runtime.sendMessage({
-      action: 'mux',
-      videoData: message.videoData,
-      audioData: message.audioData,
-      requestId
+    await sendToOffscreen({
+      action: 'muxStart',
+      requestId,
+      sizes: message.sizes
     });
+    // The page may have gone away while the session was set up
+    if (!await getMuxRequest(requestId)) throw new Error('Cancelled');
+    console.log('Background: Offscreen session ready', requestId);
+
+    sendResponse({ requestId });
   } catch (error) {
     console.error('Background: Mux request failed:', error);
-    if (tabId) {
-      chrome.tabs.sendMessage(tabId, {
-        action: 'muxError',
-        error: error.message
-      });
+    await untrackMuxRequest(requestId);
+    sendToOffscreen({ action: 'muxCancel', requestId }).catch(() => {});
+    sendResponse({ error: error.message });
+  }
+}
+
+// Start a download for the content script and answer with { downloadId, state, filename, error }.
+// Downloads still running are reported later with a downloadDone message to the sender.
+async function handleSaveFile(message, target, sendResponse) {
+  try {
+    const downloadId = await chrome.downloads.download({
+      url: message.url,
+      filename: message.filename,
+      saveAs: !!message.saveAs,
+      conflictAction: message.conflictAction === 'overwrite' ? 'overwrite' : 'uniquify'
+    });
+    await trackDownload(downloadId, target);
+
+    // Small files can finish before we started listening
+    const [item] = await chrome.downloads.search({ id: downloadId });
+    if (item && item.state !== 'in_progress' && await untrackDownload(downloadId) !== null) {
+      sendResponse(downloadReport(item));
+      return;
     }
+    sendResponse({ downloadId, state: 'in_progress' });
+  } catch (error) {
+    console.error('Background: Could not start download:', error);
+    sendResponse({ error: error.message });
   }
 }
 
+// Result of a finished download as sent to the content script
+function downloadReport(item) {
+  return {
+    downloadId: item.id,
+    state: item.state,
+    filename: item.filename,
+    error: item.error ? (DOWNLOAD_ERRORS[item.error] || `Download failed (${item.error})`) : null
+  };
+}
+
+// Remember who waits for a download; kept in session storage too, as the worker may
+// be stopped while a large file or a Save As dialog is pending
+async function trackDownload(downloadId, target) {
+  trackedDownloads.set(downloadId, target);
+  await chrome.storage.session.set({ [`download_${downloadId}`]: target });
+}
+
+// Forget a tracked download, returning its target (or null if it was not tracked or already reported)
+async function untrackDownload(downloadId) {
+  const key = `download_${downloadId}`;
+  let target = null;
+  if (trackedDownloads.has(downloadId)) {
+    target = trackedDownloads.get(downloadId);
+    if (target === null) return null;
+    trackedDownloads.set(downloadId, null);
+  } else {
+    const stored = await chrome.storage.session.get(key);
+    if (!(key in stored)) return null;
+    target = stored[key];
+  }
+  await chrome.storage.session.remove(key);
+  return target;
+}
+
+// Report finished downloads to the tab or extension page that started them
+chrome.downloads.onChanged.addListener(async (delta) => {
+  if (!delta.state || delta.state.current === 'in_progress') return;
+  const target = await untrackDownload(delta.id);
+  if (target === null) return;
+
+  const [item] = await chrome.downloads.search({ id: delta.id });
+  if (!item) return;
+  notifySender(target, { action: 'downloadDone', ...downloadReport(item) });
+});
+
 // Pre-create offscreen document on install
 chrome.runtime.onInstalled.addListener(async () => {
   try {
@@ -0,0 +1,128 @@
+// Steam Video Downloader - "Download by app ID" page
+// Fetches store pages for pasted app IDs and URLs, finds their videos with SVDDiscovery and
+// queues them with the content script's queue (content.js runs on this page too, see SVDQueue)
+
+(function() {
+  'use strict';
+
+  const STORE_HOST = 'store.steampowered.com';
+  const FETCH_DELAY_MS = 1000; // Between store page requests, so Steam does not rate-limit us
+
+  const inputEl = document.getElementById('svd-input');
+  const findBtn = document.getElementById('svd-find');
+  const downloadAllBtn = document.getElementById('svd-download-all');
+  const resultsEl = document.getElementById('svd-results');
+  let results = [];
+
+  // Store page URLs for the pasted app IDs and URLs, without duplicates:
+  // [{ input, url, error }], url is null for entries that are neither
+  function parseInput(text) {
+    const entries = [];
+    const seen = new Set();
+    for (const input of text.split(/[\s,;]+/).filter(Boolean)) {
+      let url = null;
+      if (/^\d+$/.test(input)) {
+        url = `https://${STORE_HOST}/app/${input}/`;
+      } else {
+        try {
+          const parsed = new URL(input);
+          if (parsed.hostname === STORE_HOST) url = `https://${STORE_HOST}${parsed.pathname}`;
+        } catch (e) {
+          // Not a URL
+        }
+      }
+      if (url && seen.has(url)) continue;
+      if (url) seen.add(url);
+      entries.push({ input, url, error: url ? null : 'Not an app ID or store URL' });
+    }
+    return entries;
+  }
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Fetch a store page and find its videos: { apps, pageName, url }
+  async function discover(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) throw new Error(`Store page returned HTTP ${response.status}`);
+    // Steam redirects age-restricted apps to the age check and unknown apps to the front page
+    if (response.url.includes('/agecheck/')) throw new Error('Steam asks for an age check; open the store page once in a tab and confirm your age');
+    if (new URL(response.url).pathname === '/') throw new Error('No store page for this app');
+
+    const doc = SVDDiscovery.parseHtml(await response.text());
+    return {
+      apps: SVDDiscovery.collectPageVideos(doc, response.url),
+      pageName: SVDDiscovery.getPageName(doc),
+      url: response.url
+    };
+  }
+
+  // "3 trailers, 2 clips"
+  function describeApps(apps) {
+    const count = (n, word) => (n > 0 ? `${n} ${word}${n === 1 ? '' : 's'}` : null);
+    const sum = (key) => apps.reduce((total, app) => total + app[key].length, 0);
+    const parts = [count(sum('trailers'), 'trailer'), count(sum('videos'), 'video'), count(sum('extras'), 'clip')].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : 'No videos found';
+  }
+
+  function queueResult(result) {
+    SVDQueue.downloadApps(result.apps, result.url, result.pageName);
+    result.queued = true;
+    renderResults();
+  }
+
+  function renderResults() {
+    resultsEl.innerHTML = '';
+    for (const result of results) {
+      const row = document.createElement('div');
+      row.className = 'svd-result';
+      row.classList.toggle('svd-failed', !!result.error);
+
+      const info = document.createElement('div');
+      info.className = 'svd-result-info';
+      const name = document.createElement('div');
+      name.className = 'svd-result-name';
+      name.textContent = result.pageName || result.input;
+      name.title = result.url || result.input;
+      const status = document.createElement('div');
+      status.className = 'svd-result-status';
+      status.textContent = result.error || (result.apps ? describeApps(result.apps) : 'Waiting...');
+      info.append(name, status);
+      row.appendChild(info);
+
+      if (result.apps && result.apps.length > 0) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = result.queued ? 'Queued' : 'Download';
+        btn.disabled = !!result.queued;
+        btn.addEventListener('click', () => queueResult(result));
+        row.appendChild(btn);
+      }
+      resultsEl.appendChild(row);
+    }
+    downloadAllBtn.disabled = !results.some(result => result.apps && result.apps.length > 0 && !result.queued);
+  }
+
+  findBtn.addEventListener('click', async () => {
+    results = parseInput(inputEl.value);
+    findBtn.disabled = true;
+    renderResults();
+    for (const [i, result] of results.entries()) {
+      if (!result.url) continue;
+      if (i > 0) await delay(FETCH_DELAY_MS);
+      try {
+        Object.assign(result, await discover(result.url));
+      } catch (error) {
+        console.log('Steam Video Downloader: Could not fetch', result.url, error);
+        result.error = error.message;
+      }
+      renderResults();
+    }
+    findBtn.disabled = false;
+  });
+
+  downloadAllBtn.addEventListener('click', () => {
+    results.filter(result => result.apps && result.apps.length > 0 && !result.queued).forEach(queueResult);
+  });
+})();
@@ -1,2306 +1,2199 @@
 // Steam Video Downloader - Content Script
-// Downloads Steam DASH videos with integrated FFmpeg muxing
+// Downloads Steam DASH videos; muxing runs in the offscreen document (see muxer.js)
 
 (function() {
   'use strict';
 
   const PROCESSED_ATTR = 'data-svd-processed';
-  let isDownloading = false;
-
-  // Binary-level MP4 muxing for fragmented MP4 (DASH segments)
-  async function binaryMuxFragmentedMP4(videoData, audioData, onProgress) {
-    onProgress && onProgress('Analyzing MP4 structure...');
-
-    const videoView = new DataView(videoData);
-    const audioView = new DataView(audioData);
-
-    // Helper to read box header
-    function readBoxHeader(view, offset) {
-      if (offset + 8 > view.byteLength) return null;
-      let size = view.getUint32(offset);
-      const type = String.fromCharCode(
-        view.getUint8(offset + 4),
-        view.getUint8(offset + 5),
-        view.getUint8(offset + 6),
-        view.getUint8(offset + 7)
-      );
-      let headerSize = 8;
-      if (size === 1) {
-        // 64-bit size
-        size = Number(view.getBigUint64(offset + 8));
-        headerSize = 16;
-      } else if (size === 0) {
-        // Box extends to end of file
-        size = view.byteLength - offset;
-      }
-      return { size, type, headerSize, offset };
-    }
-
-    // Parse all top-level boxes
-    function parseBoxes(view) {
-      const boxes = [];
-      let offset = 0;
-      while (offset < view.byteLength) {
-        const box = readBoxHeader(view, offset);
-        if (!box || box.size < 8) break;
-        boxes.push(box);
-        offset += box.size;
-      }
-      return boxes;
-    }
-
-    const videoBoxes = parseBoxes(videoView);
-    const audioBoxes = parseBoxes(audioView);
-
-    console.log('Video boxes:', videoBoxes.map(b => b.type + ':' + b.size));
-    console.log('Audio boxes:', audioBoxes.map(b => b.type + ':' + b.size));
-
-    // Find key boxes
-    const videoFtyp = videoBoxes.find(b => b.type === 'ftyp');
-    const videoMoov = videoBoxes.find(b => b.type === 'moov');
-    const audioMoov = audioBoxes.find(b => b.type === 'moov');
-
-    if (!videoFtyp || !videoMoov || !audioMoov) {
-      throw new Error('Missing required boxes');
-    }
-
-    onProgress && onProgress('Merging tracks...');
+  const EXTENSION_PAGE = window.location.protocol === 'chrome-extension:'; // Loaded by the "Download by app ID" page
+  const jobs = []; // Download queue, in run order
+  let nextJobId = 1;
+  const batchSummaries = []; // Finished "Download all" reports
+  let settings = { ...SVDSettings.DEFAULTS }; // Live copy of the options page settings
+  const downloadWaiters = new Map(); // chrome.downloads id -> resolve, for saves in progress
+  const finishedDownloads = new Map(); // chrome.downloads id -> report that arrived before its waiter
+
+  const {
+    isAbortError,
+    runOperation,
+    createMergedMoov,
+    addMoovMetadata,
+    findSubBox,
+    findSubBoxWithOffset,
+    updateTrackIdInMoof,
+    bytesToBase64,
+    base64ToBytes
+  } = SVDMuxer;
+  const { collectPageVideos, getPageName } = SVDDiscovery;
+
+  // Parse an ISO 8601 duration (e.g. PT1H2M30.5S, PT90S, P1DT2H) into seconds
+  function parseIsoDuration(value) {
+    if (!value) return null;
+    const match = value.match(/^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+    if (!match) return null;
+    const [, years, months, days, hours, minutes, seconds] = match.map(v => parseFloat(v) || 0);
+    return years * 31536000 + months * 2592000 + days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  }
 
-    // Get moov data
-    const videoMoovData = new Uint8Array(videoData, videoMoov.offset, videoMoov.size);
-    const audioMoovData = new Uint8Array(audioData, audioMoov.offset, audioMoov.size);
+  // Direct child elements of an MPD node with the given tag name
+  function mpdChildren(el, tagName) {
+    return el ? Array.from(el.children).filter(child => child.localName === tagName) : [];
+  }
 
-    // Extract audio trak and trex (for mvex)
-    const audioTrakBox = findSubBox(audioMoovData, 'trak');
-    const audioMvexBox = findSubBox(audioMoovData, 'mvex');
-    let audioTrexBox = null;
-    if (audioMvexBox) {
-      audioTrexBox = findSubBox(audioMvexBox, 'trex');
-    }
+  // Resolve the BaseURL chain of an MPD node against its parent URL
+  function resolveBaseUrl(el, parentUrl) {
+    const base = mpdChildren(el, 'BaseURL')[0];
+    return base && base.textContent.trim() ? new URL(base.textContent.trim(), parentUrl).href : parentUrl;
+  }
 
-    if (!audioTrakBox) {
-      throw new Error('No audio track found');
+  // Merge SegmentTemplate attributes from Period > AdaptationSet > Representation.
+  // Lower levels override higher ones; SegmentTimeline is inherited as a whole.
+  function mergeSegmentTemplates(elements) {
+    const merged = { attrs: {}, timeline: null };
+    for (const el of elements) {
+      const template = mpdChildren(el, 'SegmentTemplate')[0];
+      if (!template) continue;
+      for (const attr of template.attributes) {
+        merged.attrs[attr.name] = attr.value;
+      }
+      const timeline = mpdChildren(template, 'SegmentTimeline')[0];
+      if (timeline) merged.timeline = timeline;
     }
+    return Object.keys(merged.attrs).length > 0 ? merged : null;
+  }
 
-    console.log('Found audio trak:', audioTrakBox.length, 'trex:', audioTrexBox?.length);
-
-    // Create merged moov with both tracks and both trex entries
-    const mergedMoov = createMergedMoov(videoMoovData, audioTrakBox, audioTrexBox);
+  // Expand a DASH URL template: $RepresentationID$, $Number$, $Time$,
+  // $Bandwidth$ with optional %0<width>d formatting, and $$ for a literal $
+  function fillTemplate(template, values) {
+    return template.replace(/\$(RepresentationID|Number|Time|Bandwidth|)(?:%0(\d+)d)?\$/g, (whole, name, width) => {
+      if (name === '') return '$';
+      const value = values[name];
+      if (value === undefined || value === null) return whole;
+      const text = String(value);
+      return width && name !== 'RepresentationID' ? text.padStart(parseInt(width), '0') : text;
+    });
+  }
 
-    // Collect video fragments (styp + sidx + moof + mdat groups)
-    const videoFragments = [];
-    for (let i = 0; i < videoBoxes.length; i++) {
-      const box = videoBoxes[i];
-      if (box.type === 'styp' || box.type === 'sidx' || box.type === 'moof' || box.type === 'mdat') {
-        videoFragments.push({
-          type: box.type,
-          data: new Uint8Array(videoData, box.offset, box.size)
-        });
+  // Build the segment list of one representation from its merged SegmentTemplate
+  // Returns { init, segments: [{ url, number, time, start, duration }] } with start/duration in seconds
+  function resolveSegments(template, rep, baseUrl, periodDuration) {
+    const attrs = template.attrs;
+    const timescale = parseInt(attrs.timescale) || 1;
+    const startNumber = attrs.startNumber !== undefined ? parseInt(attrs.startNumber) : 1;
+    const endNumber = attrs.endNumber !== undefined ? parseInt(attrs.endNumber) : null;
+    const offset = parseInt(attrs.presentationTimeOffset) || 0;
+    const values = { RepresentationID: rep.id, Bandwidth: rep.bandwidth };
+
+    if (!attrs.media) {
+      throw new Error(`Representation ${rep.id} has no media template`);
+    }
+
+    const init = attrs.initialization
+      ? new URL(fillTemplate(attrs.initialization, values), baseUrl).href
+      : null;
+    const segments = [];
+    const addSegment = (number, time, duration) => {
+      segments.push({
+        url: new URL(fillTemplate(attrs.media, { ...values, Number: number, Time: time }), baseUrl).href,
+        number,
+        time,
+        start: (time - offset) / timescale,
+        duration: duration / timescale
+      });
+    };
+
+    if (template.timeline) {
+      // SegmentTimeline: explicit <S t d r> runs, r = -1 repeats to the next S or period end
+      const entries = mpdChildren(template.timeline, 'S');
+      let number = startNumber;
+      let time = 0;
+      entries.forEach((s, i) => {
+        if (s.hasAttribute('t')) time = parseInt(s.getAttribute('t'));
+        const d = parseInt(s.getAttribute('d'));
+        if (!d) throw new Error(`Invalid SegmentTimeline entry in ${rep.id}`);
+        let repeat = parseInt(s.getAttribute('r')) || 0;
+        if (repeat < 0) {
+          const next = entries[i + 1];
+          const endTime = next && next.hasAttribute('t')
+            ? parseInt(next.getAttribute('t'))
+            : periodDuration !== null ? offset + periodDuration * timescale : null;
+          if (endTime === null) throw new Error(`Open-ended SegmentTimeline in ${rep.id} without a duration`);
+          repeat = Math.ceil((endTime - time) / d) - 1;
+        }
+        for (let r = 0; r <= repeat; r++) {
+          if (endNumber !== null && number > endNumber) return;
+          addSegment(number++, time, d);
+          time += d;
+        }
+      });
+    } else {
+      // Fixed duration: count from endNumber or the period duration
+      const duration = parseInt(attrs.duration);
+      if (!duration) throw new Error(`Representation ${rep.id} has no segment duration or timeline`);
+      let count;
+      if (endNumber !== null) {
+        count = endNumber - startNumber + 1;
+      } else if (periodDuration !== null) {
+        // Epsilon guards against float rounding
+        count = Math.ceil(periodDuration * timescale / duration - 1e-6);
+      } else {
+        throw new Error('Manifest has no duration, cannot count segments');
       }
-    }
-
-    // Collect audio fragments and update track IDs
-    const audioFragments = [];
-    for (let i = 0; i < audioBoxes.length; i++) {
-      const box = audioBoxes[i];
-      if (box.type === 'styp' || box.type === 'sidx') {
-        audioFragments.push({
-          type: box.type,
-          data: new Uint8Array(audioData, box.offset, box.size)
-        });
-      } else if (box.type === 'moof') {
-        const moofData = new Uint8Array(audioData.slice(box.offset, box.offset + box.size));
-        updateTrackIdInMoof(moofData, 2);
-        // Also update sidx if present (track reference)
-        audioFragments.push({ type: 'moof', data: moofData });
-      } else if (box.type === 'mdat') {
-        audioFragments.push({
-          type: box.type,
-          data: new Uint8Array(audioData, box.offset, box.size)
-        });
+      for (let i = 0; i < count; i++) {
+        addSegment(startNumber + i, offset + i * duration, duration);
       }
-    }
-
-    // Also update track reference in audio sidx boxes
-    for (const frag of audioFragments) {
-      if (frag.type === 'sidx') {
-        updateTrackIdInSidx(frag.data, 2);
+      // Last segment only lasts until the end of the period
+      if (periodDuration !== null && segments.length > 0) {
+        const last = segments[segments.length - 1];
+        last.duration = Math.max(0, Math.min(last.duration, periodDuration - last.start));
       }
     }
 
-    onProgress && onProgress('Building output file...');
-
-    // Calculate total size
-    const ftypData = new Uint8Array(videoData, videoFtyp.offset, videoFtyp.size);
-    let totalSize = ftypData.length + mergedMoov.length;
-    for (const frag of videoFragments) totalSize += frag.data.length;
-    for (const frag of audioFragments) totalSize += frag.data.length;
-
-    // Build output
-    const output = new Uint8Array(totalSize);
-    let writeOffset = 0;
-
-    // Write ftyp
-    output.set(ftypData, writeOffset);
-    writeOffset += ftypData.length;
-
-    // Write merged moov
-    output.set(mergedMoov, writeOffset);
-    writeOffset += mergedMoov.length;
+    return { init, segments };
+  }
 
-    // Write video fragments first, then audio fragments
-    for (const frag of videoFragments) {
-      output.set(frag.data, writeOffset);
-      writeOffset += frag.data.length;
+  // Parse DASH MPD manifest
+  async function parseMPD(mpdUrl, signal) {
+    const response = await fetch(mpdUrl, { signal });
+    if (!response.ok) {
+      throw new Error(`Manifest request failed: HTTP ${response.status}`);
     }
-    for (const frag of audioFragments) {
-      output.set(frag.data, writeOffset);
-      writeOffset += frag.data.length;
+    const text = await response.text();
+    const parser = new DOMParser();
+    const xml = parser.parseFromString(text, 'application/xml');
+    const mpd = xml.documentElement;
+    if (!mpd || mpd.localName !== 'MPD') {
+      throw new Error('Invalid DASH manifest');
     }
 
-    console.log('Binary mux complete, output size:', output.length);
-    return output.buffer;
-  }
-
-  // Update track reference in sidx box
-  function updateTrackIdInSidx(sidxData, newTrackId) {
-    if (sidxData.length < 16) return;
-    const view = new DataView(sidxData.buffer, sidxData.byteOffset, sidxData.byteLength);
-    // sidx: header(8) + version(1) + flags(3) + reference_ID(4)
-    view.setUint32(12, newTrackId);
-  }
+    const baseUrl = resolveBaseUrl(mpd, mpdUrl);
+    const representations = [];
 
-  // Create merged moov box with both video and audio tracks
-  function createMergedMoov(videoMoovData, audioTrakBox, audioTrexBox) {
-    // Update audio trak track_ID to 2
-    const audioTrakCopy = new Uint8Array(audioTrakBox);
-    updateTrackIdInTrak(audioTrakCopy, 2);
+    const periods = mpdChildren(mpd, 'Period');
+    if (periods.length > 1) {
+      console.log('Steam Video Downloader: Multi-period manifest, using the first period');
+    }
+    const period = periods[0];
+    if (!period) throw new Error('Manifest has no Period');
 
-    // Find mvex in video moov and get its position
-    const videoMvex = findSubBoxWithOffset(videoMoovData, 'mvex');
+    // Presentation duration, falling back to the period's own duration
+    const presentationDuration = parseIsoDuration(mpd.getAttribute('mediaPresentationDuration'));
+    const periodStart = parseIsoDuration(period.getAttribute('start')) || 0;
+    const periodDuration = parseIsoDuration(period.getAttribute('duration')) ??
+      (presentationDuration !== null ? presentationDuration - periodStart : null);
+    const periodBase = resolveBaseUrl(period, baseUrl);
 
-    if (!videoMvex || !audioTrexBox) {
-      // No mvex - just append trak
-      const newSize = videoMoovData.length + audioTrakCopy.length;
-      const result = new Uint8Array(newSize);
-      result.set(videoMoovData);
-      result.set(audioTrakCopy, videoMoovData.length);
-      const view = new DataView(result.buffer);
-      view.setUint32(0, newSize);
-      return result;
-    }
+    for (const adaptationSet of mpdChildren(period, 'AdaptationSet')) {
+      const setBase = resolveBaseUrl(adaptationSet, periodBase);
 
-    // Update audio trex track_ID to 2
-    const audioTrexCopy = new Uint8Array(audioTrexBox);
-    updateTrackIdInTrex(audioTrexCopy, 2);
-
-    // Build new moov:
-    // 1. Copy everything before mvex
-    // 2. Insert audio trak before mvex
-    // 3. Copy mvex with added audio trex
-
-    const mvexOffset = videoMvex.offset;
-    const mvexSize = videoMvex.size;
-    const beforeMvex = videoMoovData.slice(0, mvexOffset);
-    const oldMvex = videoMoovData.slice(mvexOffset, mvexOffset + mvexSize);
-
-    // Create new mvex with audio trex added
-    const newMvexSize = mvexSize + audioTrexCopy.length;
-    const newMvex = new Uint8Array(newMvexSize);
-    newMvex.set(oldMvex);
-    newMvex.set(audioTrexCopy, mvexSize);
-    // Update mvex size
-    const mvexView = new DataView(newMvex.buffer);
-    mvexView.setUint32(0, newMvexSize);
-
-    // Final moov: beforeMvex + audioTrak + newMvex
-    const newMoovSize = beforeMvex.length + audioTrakCopy.length + newMvex.length;
-    const result = new Uint8Array(newMoovSize);
-    let offset = 0;
-    result.set(beforeMvex, offset);
-    offset += beforeMvex.length;
-    result.set(audioTrakCopy, offset);
-    offset += audioTrakCopy.length;
-    result.set(newMvex, offset);
-
-    // Update moov size
-    const view = new DataView(result.buffer);
-    view.setUint32(0, newMoovSize);
-
-    console.log('Created merged moov, size:', newMoovSize, 'with audio trak and trex');
-    return result;
-  }
-
-  // Find sub-box with offset info
-  function findSubBoxWithOffset(data, targetType) {
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    let offset = 8;
-    while (offset < data.length - 8) {
-      const size = view.getUint32(offset);
-      const type = String.fromCharCode(data[offset+4], data[offset+5], data[offset+6], data[offset+7]);
-      if (size < 8 || offset + size > data.length) break;
-      if (type === targetType) {
-        return { offset, size, data: data.slice(offset, offset + size) };
-      }
-      offset += size;
-    }
-    return null;
-  }
+      for (const repEl of mpdChildren(adaptationSet, 'Representation')) {
+        const attr = (name) => repEl.getAttribute(name) || adaptationSet.getAttribute(name);
+        const type = adaptationSet.getAttribute('contentType') || (attr('mimeType') || '').split('/')[0];
+        if (type !== 'video' && type !== 'audio') continue;
 
-  // Update track_ID in trex box
-  function updateTrackIdInTrex(trexData, newTrackId) {
-    if (trexData.length < 16) return;
-    const view = new DataView(trexData.buffer, trexData.byteOffset, trexData.byteLength);
-    // trex: header(8) + version(1) + flags(3) + track_ID(4)
-    view.setUint32(12, newTrackId);
-    console.log('Updated trex track_ID to', newTrackId);
-  }
+        const template = mergeSegmentTemplates([period, adaptationSet, repEl]);
+        if (!template) {
+          console.log('Steam Video Downloader: Skipping representation without SegmentTemplate', repEl.getAttribute('id'));
+          continue;
+        }
 
-  // Extract raw stsd box from moov in original data
-  function extractStsdFromMoov(data) {
-    const view = new DataView(data);
+        const rep = {
+          id: repEl.getAttribute('id'),
+          type,
+          bandwidth: parseInt(repEl.getAttribute('bandwidth')) || 0,
+          codec: attr('codecs')
+        };
+        if (type === 'video') {
+          rep.width = parseInt(attr('width')) || 0;
+          rep.height = parseInt(attr('height')) || 0;
+        } else {
+          rep.sampleRate = parseInt(attr('audioSamplingRate')) || 0;
+        }
 
-    // Find moov box
-    let offset = 0;
-    while (offset < data.byteLength - 8) {
-      const size = view.getUint32(offset);
-      const type = String.fromCharCode(
-        view.getUint8(offset + 4), view.getUint8(offset + 5),
-        view.getUint8(offset + 6), view.getUint8(offset + 7)
-      );
-      if (size < 8 || offset + size > data.byteLength) break;
-
-      if (type === 'moov') {
-        // Search inside moov for trak -> mdia -> minf -> stbl -> stsd
-        return findStsdInBox(new Uint8Array(data, offset, size), 8);
+        const { init, segments } = resolveSegments(template, rep, resolveBaseUrl(repEl, setBase), periodDuration);
+        rep.init = init;
+        rep.segments = segments;
+        representations.push(rep);
       }
-      offset += size;
     }
-    return null;
-  }
 
-  // Recursively find stsd box
-  function findStsdInBox(data, startOffset) {
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    let offset = startOffset;
+    // Total duration, or the span of the segments when the manifest has none
+    let totalDuration = periodDuration;
+    if (totalDuration === null) {
+      totalDuration = Math.max(0, ...representations.map(r =>
+        r.segments.reduce((sum, seg) => sum + seg.duration, 0)
+      ));
+    }
 
-    while (offset < data.length - 8) {
-      const size = view.getUint32(offset);
-      const type = String.fromCharCode(
-        data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]
-      );
+    return { representations, totalDuration, baseUrl };
+  }
+  // Codec variants Steam publishes for each trailer (dash_h264.mpd, dash_av1.mpd)
+  const MANIFEST_VARIANTS = ['h264', 'av1'];
+
+  // Manifest URLs for every codec variant of a trailer: those the page listed (known, the
+  // variants of SVDDiscovery), the others derived from mpdUrl; other URLs are used as they are
+  function manifestVariants(mpdUrl, known = {}) {
+    const match = mpdUrl.match(/^(.*\/)dash_(?:h264|av1)\.mpd(\?.*)?$/);
+    if (!match) return [{ variant: null, url: mpdUrl }];
+    return MANIFEST_VARIANTS.map(variant => ({
+      variant,
+      url: known[variant] || `${match[1]}dash_${variant}.mpd${match[2] || ''}`
+    }));
+  }
 
-      if (size < 8 || offset + size > data.length) break;
+  // Parse every codec variant of a trailer and merge their representations.
+  // IDs get a variant prefix (e.g. "av1:3") so they stay unique; audio shared by
+  // the variants is listed once.
+  async function parseMovieManifests(mpdUrl, signal, known) {
+    const variants = manifestVariants(mpdUrl, known);
+    const results = await Promise.allSettled(variants.map(v => parseMPD(v.url, signal)));
+    if (signal) signal.throwIfAborted();
 
-      if (type === 'stsd') {
-        // Found it! Return the raw bytes
-        return data.slice(offset, offset + size);
+    const representations = [];
+    let totalDuration = null;
+    results.forEach((result, i) => {
+      const { variant, url } = variants[i];
+      if (result.status !== 'fulfilled') {
+        console.log('Steam Video Downloader: Manifest unavailable:', url, result.reason?.message);
+        return;
       }
-
-      // Recurse into container boxes
-      if (type === 'trak' || type === 'mdia' || type === 'minf' || type === 'stbl') {
-        const result = findStsdInBox(data.slice(offset, offset + size), 8);
-        if (result) return result;
+      totalDuration = totalDuration || result.value.totalDuration;
+      for (const rep of result.value.representations) {
+        if (rep.type === 'audio' && representations.some(r => r.type === 'audio' &&
+          r.codec === rep.codec && r.bandwidth === rep.bandwidth && r.sampleRate === rep.sampleRate)) {
+          continue;
+        }
+        representations.push(variant ? { ...rep, id: `${variant}:${rep.id}` } : rep);
       }
+    });
 
-      offset += size;
+    if (representations.length === 0) {
+      throw results.find(r => r.status === 'rejected')?.reason || new Error('No streams found');
     }
-    return null;
+    return { representations, totalDuration };
   }
 
-  // New approach: defragment using raw stsd from original files
-  async function defragmentWithRawStsd(videoData, audioData, onProgress) {
-    return new Promise((resolve, reject) => {
-      // Extract raw stsd boxes from original files
-      const videoStsd = extractStsdFromMoov(videoData);
-      const audioStsd = extractStsdFromMoov(audioData);
-
-      console.log('Extracted stsd - video:', videoStsd?.length, 'audio:', audioStsd?.length);
 
-      if (videoStsd) {
-        // Log the codec type from stsd (first 4 bytes after stsd header)
-        const videoCodec = videoStsd.length > 16 ?
-          String.fromCharCode(videoStsd[12], videoStsd[13], videoStsd[14], videoStsd[15]) : 'unknown';
-        console.log('Video stsd codec:', videoCodec);
-      }
-      if (audioStsd) {
-        const audioCodec = audioStsd.length > 16 ?
-          String.fromCharCode(audioStsd[12], audioStsd[13], audioStsd[14], audioStsd[15]) : 'unknown';
-        console.log('Audio stsd codec:', audioCodec);
-      }
+  // Segment fetch tuning
+  const SEGMENT_CONCURRENCY = 4;
+  const SEGMENT_RETRIES = 4;
+  const RETRY_BASE_DELAY = 500;
 
-      if (!videoStsd) {
-        reject(new Error('Could not extract video stsd'));
+  // Wait for ms, rejecting early if the signal aborts
+  function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
         return;
       }
-
-      const file = MP4Box.createFile();
-      let fileInfo = null;
-      const trackSamples = {};
-      let resolved = false;
-
-      file.onReady = (info) => {
-        fileInfo = info;
-        console.log('Defrag2: Tracks:', info.tracks.map(t => `${t.id}:${t.type}:${t.nb_samples}samples`));
-
-        for (const track of info.tracks) {
-          trackSamples[track.id] = [];
-          file.setExtractionOptions(track.id, null, { nbSamples: track.nb_samples });
-        }
-        file.start();
-      };
-
-      file.onSamples = (trackId, user, samples) => {
-        if (resolved) return;
-        console.log(`Defrag2: Track ${trackId} got ${samples.length} samples`);
-        trackSamples[trackId].push(...samples);
-
-        let allDone = fileInfo && fileInfo.tracks.every(t =>
-          trackSamples[t.id] && trackSamples[t.id].length >= t.nb_samples
-        );
-
-        if (allDone && !resolved) {
-          resolved = true;
-          buildOutput();
-        }
-      };
-
-      file.onError = (e) => {
-        if (!resolved) {
-          resolved = true;
-          reject(e);
-        }
+      const timer = setTimeout(() => {
+        signal && signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
       };
-
-      function buildOutput() {
-        try {
-          onProgress && onProgress('Building standard MP4...');
-
-          const tracks = [];
-          for (const track of fileInfo.tracks) {
-            const samples = trackSamples[track.id];
-            if (!samples || samples.length === 0) continue;
-
-            // Verify all samples have data
-            let validSamples = 0;
-            let totalDataSize = 0;
-            for (const s of samples) {
-              if (s.data && s.data.byteLength > 0) {
-                validSamples++;
-                totalDataSize += s.data.byteLength;
-              }
-            }
-            console.log(`Defrag2: Track ${track.id} (${track.type}): ${validSamples}/${samples.length} valid samples, ${totalDataSize} bytes`);
-
-            // Calculate duration from samples if track duration is 0 or missing
-            const filteredSamples = samples.filter(s => s.data && s.data.byteLength > 0);
-            let calculatedDuration = track.duration;
-            if (!calculatedDuration || calculatedDuration === 0) {
-              // Sum up all sample durations
-              calculatedDuration = filteredSamples.reduce((sum, s) => sum + (s.duration || 0), 0);
-            }
-            console.log(`Defrag2: Track ${track.id} (${track.type}) - timescale: ${track.timescale}, duration: ${track.duration}, calculated: ${calculatedDuration}`);
-
-            tracks.push({
-              id: tracks.length + 1,
-              type: track.type,
-              timescale: track.timescale,
-              duration: calculatedDuration,
-              width: track.video?.width || track.track_width || 0,
-              height: track.video?.height || track.track_height || 0,
-              samples: filteredSamples,
-              rawStsd: track.type === 'video' ? videoStsd : audioStsd
-            });
-          }
-
-          // Sort tracks: video first, audio second
-          tracks.sort((a, b) => (a.type === 'video' ? -1 : 1));
-
-          console.log('Defrag2: Building MP4 with tracks:', tracks.map(t => `${t.type}:${t.samples.length}samples`));
-          const output = buildMP4WithRawStsd(tracks, fileInfo);
-          console.log('Defrag2: Built MP4, size:', output.byteLength);
-          resolve(output);
-        } catch (e) {
-          console.error('Defrag2 build error:', e);
-          reject(e);
-        }
-      }
-
-      // Parse both video and audio to get combined samples
-      // First create the fragmented version, then parse it
-      binaryMuxFragmentedMP4(videoData, audioData, onProgress).then(fragmented => {
-        const buf = fragmented.slice(0);
-        buf.fileStart = 0;
-        file.appendBuffer(buf);
-        file.flush();
-      }).catch(reject);
-
-      setTimeout(() => {
-        if (!resolved) {
-          resolved = true;
-          reject(new Error('Timeout'));
-        }
-      }, 20000);
+      signal && signal.addEventListener('abort', onAbort, { once: true });
     });
   }
 
-  // Build MP4 with raw stsd boxes
-  function buildMP4WithRawStsd(tracks, fileInfo) {
-    function makeBox(type, content) {
-      const size = 8 + content.length;
-      const box = new Uint8Array(size);
-      const view = new DataView(box.buffer);
-      view.setUint32(0, size);
-      box[4] = type.charCodeAt(0);
-      box[5] = type.charCodeAt(1);
-      box[6] = type.charCodeAt(2);
-      box[7] = type.charCodeAt(3);
-      box.set(content, 8);
-      return box;
-    }
-
-    function concat(...arrays) {
-      const total = arrays.reduce((sum, arr) => sum + arr.length, 0);
-      const result = new Uint8Array(total);
-      let offset = 0;
-      for (const arr of arrays) {
-        result.set(arr, offset);
-        offset += arr.length;
+  // Fetch a URL as an ArrayBuffer, retrying network errors and 5xx/408/429
+  // responses with exponential backoff. Other HTTP errors fail immediately.
+  async function fetchWithRetry(url, signal, label) {
+    let lastError = null;
+    for (let attempt = 0; attempt <= SEGMENT_RETRIES; attempt++) {
+      if (attempt > 0) {
+        const delay = RETRY_BASE_DELAY * Math.pow(2, attempt - 1) * (0.75 + Math.random() * 0.5);
+        console.log(`${label}: retry ${attempt}/${SEGMENT_RETRIES} in ${Math.round(delay)}ms`);
+        await abortableDelay(delay, signal);
       }
-      return result;
-    }
 
-    // ftyp
-    const ftypContent = new Uint8Array(20);
-    ftypContent[0] = 0x69; ftypContent[1] = 0x73; ftypContent[2] = 0x6F; ftypContent[3] = 0x6D; // isom
-    new DataView(ftypContent.buffer).setUint32(4, 0x200);
-    ftypContent[8] = 0x69; ftypContent[9] = 0x73; ftypContent[10] = 0x6F; ftypContent[11] = 0x6D; // isom
-    ftypContent[12] = 0x69; ftypContent[13] = 0x73; ftypContent[14] = 0x6F; ftypContent[15] = 0x32; // iso2
-    ftypContent[16] = 0x61; ftypContent[17] = 0x76; ftypContent[18] = 0x63; ftypContent[19] = 0x31; // avc1
-    const ftyp = makeBox('ftyp', ftypContent);
-
-    // mvhd
-    const movieTimescale = 1000;
-    let maxDuration = 0;
-    for (const t of tracks) {
-      const d = t.duration * movieTimescale / t.timescale;
-      console.log(`BuildMP4: Track ${t.type} duration in movie timescale: ${d} (raw: ${t.duration}, timescale: ${t.timescale})`);
-      if (d > maxDuration) maxDuration = d;
-    }
-    console.log(`BuildMP4: Movie duration: ${maxDuration}ms`);
-
-    const mvhdContent = new Uint8Array(100);
-    const mvhdView = new DataView(mvhdContent.buffer);
-    mvhdView.setUint32(12, movieTimescale);
-    mvhdView.setUint32(16, Math.round(maxDuration));
-    mvhdView.setUint32(20, 0x00010000); // rate
-    mvhdView.setUint16(24, 0x0100); // volume
-    mvhdView.setUint32(36, 0x00010000);
-    mvhdView.setUint32(52, 0x00010000);
-    mvhdView.setUint32(68, 0x40000000);
-    mvhdView.setUint32(96, tracks.length + 1);
-    const mvhd = makeBox('mvhd', mvhdContent);
-
-    // Collect all sample data first
-    const allSampleData = [];
-    for (const track of tracks) {
-      for (const sample of track.samples) {
-        if (sample.data) allSampleData.push(new Uint8Array(sample.data));
-      }
-    }
-    const mdatContent = concat(...allSampleData);
-
-    // Build traks with placeholder offsets first to calculate moov size
-    function buildTrak(track, dataOffset) {
-      const trackDuration = Math.round(track.duration * movieTimescale / track.timescale);
-
-      // tkhd
-      const tkhdContent = new Uint8Array(84);
-      const tkhdView = new DataView(tkhdContent.buffer);
-      tkhdView.setUint32(0, 0x00000003);
-      tkhdView.setUint32(12, track.id);
-      tkhdView.setUint32(20, trackDuration);
-      tkhdView.setUint16(36, track.type === 'audio' ? 0x0100 : 0);
-      tkhdView.setUint32(40, 0x00010000);
-      tkhdView.setUint32(56, 0x00010000);
-      tkhdView.setUint32(72, 0x40000000);
-      tkhdView.setUint32(76, track.width << 16);
-      tkhdView.setUint32(80, track.height << 16);
-      const tkhd = makeBox('tkhd', tkhdContent);
-
-      // mdhd
-      const mdhdContent = new Uint8Array(24);
-      const mdhdView = new DataView(mdhdContent.buffer);
-      mdhdView.setUint32(12, track.timescale);
-      mdhdView.setUint32(16, track.duration);
-      mdhdView.setUint16(20, 0x55C4);
-      const mdhd = makeBox('mdhd', mdhdContent);
-
-      // hdlr
-      const handlerType = track.type === 'video' ? 'vide' : 'soun';
-      const handlerName = track.type === 'video' ? 'VideoHandler' : 'SoundHandler';
-      const hdlrContent = new Uint8Array(25 + handlerName.length);
-      hdlrContent[8] = handlerType.charCodeAt(0);
-      hdlrContent[9] = handlerType.charCodeAt(1);
-      hdlrContent[10] = handlerType.charCodeAt(2);
-      hdlrContent[11] = handlerType.charCodeAt(3);
-      for (let i = 0; i < handlerName.length; i++) hdlrContent[24 + i] = handlerName.charCodeAt(i);
-      const hdlr = makeBox('hdlr', hdlrContent);
-
-      // vmhd/smhd
-      const mediaHeader = track.type === 'video'
-        ? makeBox('vmhd', new Uint8Array([0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0]))
-        : makeBox('smhd', new Uint8Array(8));
-
-      // dinf/dref
-      const urlBox = makeBox('url ', new Uint8Array([0, 0, 0, 1]));
-      const dref = makeBox('dref', concat(new Uint8Array([0, 0, 0, 0, 0, 0, 0, 1]), urlBox));
-      const dinf = makeBox('dinf', dref);
-
-      // stsd - use raw stsd from original file!
-      const stsd = track.rawStsd || makeBox('stsd', new Uint8Array(8));
-
-      // stts
-      const sttsEntries = [];
-      let currDur = track.samples[0]?.duration || 1;
-      let count = 0;
-      for (const s of track.samples) {
-        if (s.duration === currDur) count++;
-        else {
-          sttsEntries.push({ count, dur: currDur });
-          currDur = s.duration;
-          count = 1;
-        }
-      }
-      if (count > 0) sttsEntries.push({ count, dur: currDur });
-
-      const sttsContent = new Uint8Array(8 + sttsEntries.length * 8);
-      const sttsView = new DataView(sttsContent.buffer);
-      sttsView.setUint32(4, sttsEntries.length);
-      for (let i = 0; i < sttsEntries.length; i++) {
-        sttsView.setUint32(8 + i * 8, sttsEntries[i].count);
-        sttsView.setUint32(12 + i * 8, sttsEntries[i].dur);
-      }
-      const stts = makeBox('stts', sttsContent);
-
-      // stsc
-      const stscContent = new Uint8Array(20);
-      const stscView = new DataView(stscContent.buffer);
-      stscView.setUint32(4, 1);
-      stscView.setUint32(8, 1);
-      stscView.setUint32(12, track.samples.length);
-      stscView.setUint32(16, 1);
-      const stsc = makeBox('stsc', stscContent);
-
-      // stsz
-      const stszContent = new Uint8Array(12 + track.samples.length * 4);
-      const stszView = new DataView(stszContent.buffer);
-      stszView.setUint32(8, track.samples.length);
-      for (let i = 0; i < track.samples.length; i++) {
-        stszView.setUint32(12 + i * 4, track.samples[i].data?.byteLength || 0);
-      }
-      const stsz = makeBox('stsz', stszContent);
-
-      // stco
-      const stcoContent = new Uint8Array(12);
-      const stcoView = new DataView(stcoContent.buffer);
-      stcoView.setUint32(4, 1);
-      stcoView.setUint32(8, dataOffset);
-      const stco = makeBox('stco', stcoContent);
-
-      // stss for video
-      let stss = null;
-      if (track.type === 'video') {
-        const syncSamples = [];
-        for (let i = 0; i < track.samples.length; i++) {
-          if (track.samples[i].is_sync) syncSamples.push(i + 1);
-        }
-        if (syncSamples.length > 0 && syncSamples.length < track.samples.length) {
-          const stssContent = new Uint8Array(8 + syncSamples.length * 4);
-          const stssView = new DataView(stssContent.buffer);
-          stssView.setUint32(4, syncSamples.length);
-          for (let i = 0; i < syncSamples.length; i++) {
-            stssView.setUint32(8 + i * 4, syncSamples[i]);
-          }
-          stss = makeBox('stss', stssContent);
-        }
+      let response;
+      try {
+        response = await fetch(url, { signal });
+      } catch (e) {
+        if (isAbortError(e, signal)) throw e;
+        lastError = e.message;
+        continue;
       }
 
-      // ctts if needed
-      let ctts = null;
-      let needsCtts = track.samples.some(s => s.cts !== s.dts);
-      if (needsCtts) {
-        const cttsEntries = [];
-        let currOff = (track.samples[0]?.cts || 0) - (track.samples[0]?.dts || 0);
-        let cnt = 0;
-        for (const s of track.samples) {
-          const off = (s.cts || 0) - (s.dts || 0);
-          if (off === currOff) cnt++;
-          else {
-            cttsEntries.push({ count: cnt, offset: currOff });
-            currOff = off;
-            cnt = 1;
-          }
-        }
-        if (cnt > 0) cttsEntries.push({ count: cnt, offset: currOff });
-
-        const cttsContent = new Uint8Array(8 + cttsEntries.length * 8);
-        const cttsView = new DataView(cttsContent.buffer);
-        cttsView.setUint32(4, cttsEntries.length);
-        for (let i = 0; i < cttsEntries.length; i++) {
-          cttsView.setUint32(8 + i * 8, cttsEntries[i].count);
-          cttsView.setInt32(12 + i * 8, cttsEntries[i].offset);
+      if (response.ok) {
+        try {
+          return await response.arrayBuffer();
+        } catch (e) {
+          if (isAbortError(e, signal)) throw e;
+          lastError = e.message;
+          continue;
         }
-        ctts = makeBox('ctts', cttsContent);
       }
 
-      // Build stbl
-      const stblParts = [stsd, stts, stsc, stsz, stco];
-      if (stss) stblParts.push(stss);
-      if (ctts) stblParts.push(ctts);
-      const stbl = makeBox('stbl', concat(...stblParts));
-
-      const minf = makeBox('minf', concat(mediaHeader, dinf, stbl));
-      const mdia = makeBox('mdia', concat(mdhd, hdlr, minf));
-      return makeBox('trak', concat(tkhd, mdia));
+      lastError = `HTTP ${response.status}`;
+      const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      if (!retryable) break;
     }
+    throw new Error(`${label} could not be downloaded (${lastError})`);
+  }
 
-    // First pass with offset 0 to measure moov size
-    let tempTraks = tracks.map(t => buildTrak(t, 0));
-    const tempMoov = makeBox('moov', concat(mvhd, ...tempTraks));
-
-    // Calculate real offsets
-    const mdatStart = ftyp.length + tempMoov.length + 8;
-    let offset = mdatStart;
-    const finalTraks = [];
-
-    console.log('BuildMP4: ftyp size:', ftyp.length, 'moov size:', tempMoov.length, 'mdat starts at:', mdatStart);
+  // Run fetchItem(i, signal) for i in [0, count) with at most `concurrency`
+  // requests in flight, handing results to onItem strictly in index order.
+  // The first failure aborts the remaining requests and is rethrown.
+  async function fetchInOrder(count, concurrency, fetchItem, onItem, signal) {
+    const controller = new AbortController();
+    const abortAll = () => controller.abort(signal.reason);
+    signal && signal.addEventListener('abort', abortAll, { once: true });
 
-    for (const track of tracks) {
-      console.log(`BuildMP4: Track ${track.type} starts at offset ${offset}`);
-      finalTraks.push(buildTrak(track, offset));
-      let trackDataSize = 0;
-      for (const s of track.samples) {
-        if (s.data) {
-          trackDataSize += s.data.byteLength;
-          offset += s.data.byteLength;
+    const pending = new Map();
+    let nextToStart = 0;
+    try {
+      for (let next = 0; next < count; next++) {
+        while (nextToStart < count && nextToStart < next + concurrency) {
+          const promise = fetchItem(nextToStart, controller.signal);
+          promise.catch(() => {}); // Surfaced when awaited in order
+          pending.set(nextToStart, promise);
+          nextToStart++;
         }
+        const result = await pending.get(next);
+        pending.delete(next);
+        await onItem(next, result);
       }
-      console.log(`BuildMP4: Track ${track.type} data size: ${trackDataSize}`);
+    } catch (e) {
+      controller.abort(e);
+      throw e;
+    } finally {
+      signal && signal.removeEventListener('abort', abortAll);
     }
-
-    const moov = makeBox('moov', concat(mvhd, ...finalTraks));
-    const mdat = makeBox('mdat', mdatContent);
-
-    console.log('BuildMP4: Final moov size:', moov.length, 'mdat size:', mdat.length, 'total:', ftyp.length + moov.length + mdat.length);
-
-    return concat(ftyp, moov, mdat).buffer;
   }
 
-  // Defragment MP4 - convert fragmented MP4 to regular MP4 by manually building structure
-  async function defragmentMP4(fragmentedData, onProgress) {
-    return new Promise((resolve, reject) => {
-      const file = MP4Box.createFile();
-      let fileInfo = null;
-      const trackSamples = {}; // track_id -> samples array
-      let resolved = false;
-
-      file.onReady = (info) => {
-        fileInfo = info;
-        console.log('Defrag: Tracks:', info.tracks.map(t => `${t.id}:${t.type}:${t.nb_samples}samples`));
-
-        for (const track of info.tracks) {
-          trackSamples[track.id] = [];
-          file.setExtractionOptions(track.id, null, { nbSamples: track.nb_samples });
-        }
-        file.start();
-      };
-
-      file.onSamples = (trackId, user, samples) => {
-        if (resolved) return;
-        console.log(`Defrag: Track ${trackId} got ${samples.length} samples`);
-        if (trackSamples[trackId]) {
-          trackSamples[trackId].push(...samples);
-        }
-
-        let allDone = fileInfo && fileInfo.tracks.every(t =>
-          trackSamples[t.id] && trackSamples[t.id].length >= t.nb_samples
-        );
+  // Fetch one segment of a representation (index -1 = init segment).
+  // Segments persisted by an earlier, interrupted run are reused.
+  async function fetchRepSegment(job, rep, index, url, signal, label) {
+    if (job.resume) {
+      const stored = await getStoredSegment(job.resume.record.mpdUrl, rep.id, index);
+      if (stored) return stored;
+    }
+    const data = await fetchWithRetry(url, signal, label);
+    if (job.resume && job.resume.storeSegments) {
+      await putStoredSegment(job.resume.record.mpdUrl, rep.id, index, data);
+    }
+    return data;
+  }
 
-        if (allDone && !resolved) {
-          resolved = true;
-          console.log('Defrag: All samples extracted, building MP4 manually');
-          buildManualMP4();
-        }
-      };
+  // Download all segments for a representation
+  // job supplies the abort signal and the pause checkpoint
+  // range: { first, last } segment indexes to fetch, defaults to all of them
+  async function downloadSegments(rep, onProgress, job, range = null) {
+    const signal = job.signal;
+    const chunks = [];
+    const first = range ? range.first : 0;
 
-      file.onError = (e) => {
-        if (!resolved) {
-          resolved = true;
-          resolve(fragmentedData);
-        }
-      };
+    // Download init segment
+    if (rep.init) {
+      chunks.push(await fetchRepSegment(job, rep, -1, rep.init, signal, `Init segment of ${rep.id}`));
+    }
 
-      function buildManualMP4() {
-        try {
-          onProgress && onProgress('Building standard MP4...');
-
-          // Collect track data
-          const tracks = [];
-          for (const track of fileInfo.tracks) {
-            const samples = trackSamples[track.id];
-            if (!samples || samples.length === 0) continue;
-
-            const srcTrak = file.getTrackById(track.id);
-            const stsdEntry = srcTrak?.mdia?.minf?.stbl?.stsd?.entries?.[0];
-
-            tracks.push({
-              id: tracks.length + 1,
-              type: track.type,
-              timescale: track.timescale,
-              duration: track.duration,
-              width: track.video?.width || track.track_width || 0,
-              height: track.video?.height || track.track_height || 0,
-              sampleRate: track.audio?.sample_rate || 0,
-              channelCount: track.audio?.channel_count || 0,
-              codec: track.codec,
-              samples: samples,
-              stsdEntry: stsdEntry
-            });
-          }
-
-          console.log('Defrag: Building MP4 with', tracks.length, 'tracks');
-          const output = buildMP4File(tracks, fileInfo);
-          console.log('Defrag: Built MP4, size:', output.byteLength);
-
-          if (output.byteLength > 10000) {
-            resolve(output);
-          } else {
-            resolve(fragmentedData);
-          }
-        } catch (e) {
-          console.error('Defrag build error:', e);
-          resolve(fragmentedData);
-        }
-      }
+    // Download segments in parallel; a missing segment fails the whole job
+    const numSegments = range ? range.last - range.first + 1 : rep.segments.length;
+    await fetchInOrder(numSegments, SEGMENT_CONCURRENCY, async (i, fetchSignal) => {
+      await job.checkpoint();
+      const segment = rep.segments[first + i];
+      return fetchRepSegment(job, rep, first + i, segment.url, fetchSignal, `Segment ${i + 1} of ${numSegments} (${rep.id})`);
+    }, (i, data) => {
+      chunks.push(data);
+      onProgress(((i + 1) / numSegments) * 100);
+    }, signal);
 
-      const buf = fragmentedData.slice(0);
-      buf.fileStart = 0;
-      file.appendBuffer(buf);
-      file.flush();
+    return chunks;
+  }
 
-      setTimeout(() => {
-        if (!resolved) {
-          resolved = true;
-          resolve(fragmentedData);
-        }
-      }, 15000);
+  // Resumable downloads
+  // Fetched segments are persisted in IndexedDB, keyed by [MPD URL, representation ID,
+  // segment index] (init segment = -1), next to one record per DASH job.
+  // The database belongs to the page's origin, not the extension: it uses the Steam site's
+  // quota, the site's own scripts can read or clear it, and store and community tabs each
+  // only see their own interrupted jobs.
+  const RESUME_DB_NAME = 'svd-resume';
+  const RESUME_STALE_MS = 60 * 1000; // Records untouched this long belong to no live tab
+  const PAGE_ID = `${Date.now()}-${Math.random().toString(36).slice(2)}`; // Owner of the records this page load writes
+  const RESUME_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+  let resumeDbPromise = null;
+  let resumeOffers = []; // Interrupted jobs offered for resuming
+
+  function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
   }
 
-  // Build a complete non-fragmented MP4 file manually
-  function buildMP4File(tracks, fileInfo) {
-    // Helper to create a box
-    function makeBox(type, content) {
-      const size = 8 + content.length;
-      const box = new Uint8Array(size);
-      const view = new DataView(box.buffer);
-      view.setUint32(0, size);
-      box[4] = type.charCodeAt(0);
-      box[5] = type.charCodeAt(1);
-      box[6] = type.charCodeAt(2);
-      box[7] = type.charCodeAt(3);
-      box.set(content, 8);
-      return box;
-    }
-
-    // Concatenate Uint8Arrays
-    function concat(...arrays) {
-      const total = arrays.reduce((sum, arr) => sum + arr.length, 0);
-      const result = new Uint8Array(total);
-      let offset = 0;
-      for (const arr of arrays) {
-        result.set(arr, offset);
-        offset += arr.length;
-      }
-      return result;
+  function openResumeDb() {
+    if (!resumeDbPromise) {
+      resumeDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(RESUME_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('jobs', { keyPath: 'key' });
+          db.createObjectStore('segments');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(e => {
+        console.log('Steam Video Downloader: Resume storage unavailable', e);
+        resumeDbPromise = null;
+        return null;
+      });
     }
+    return resumeDbPromise;
+  }
 
-    // Build ftyp box
-    function buildFtyp() {
-      const content = new Uint8Array(20);
-      const view = new DataView(content.buffer);
-      // Major brand: isom
-      content[0] = 0x69; content[1] = 0x73; content[2] = 0x6F; content[3] = 0x6D;
-      // Minor version
-      view.setUint32(4, 0x200);
-      // Compatible brands: isom, iso2, avc1, mp41
-      content[8] = 0x69; content[9] = 0x73; content[10] = 0x6F; content[11] = 0x6D;
-      content[12] = 0x69; content[13] = 0x73; content[14] = 0x6F; content[15] = 0x32;
-      content[16] = 0x6D; content[17] = 0x70; content[18] = 0x34; content[19] = 0x31;
-      return makeBox('ftyp', content);
-    }
-
-    // Build mvhd box
-    function buildMvhd(timescale, duration) {
-      const content = new Uint8Array(100);
-      const view = new DataView(content.buffer);
-      // Version 0, flags 0
-      view.setUint32(0, 0);
-      // Creation/modification time
-      view.setUint32(4, 0);
-      view.setUint32(8, 0);
-      // Timescale
-      view.setUint32(12, timescale);
-      // Duration
-      view.setUint32(16, duration);
-      // Rate (1.0 = 0x00010000)
-      view.setUint32(20, 0x00010000);
-      // Volume (1.0 = 0x0100)
-      view.setUint16(24, 0x0100);
-      // Reserved (10 bytes)
-      // Matrix (36 bytes) - identity matrix
-      view.setUint32(36, 0x00010000);
-      view.setUint32(52, 0x00010000);
-      view.setUint32(68, 0x40000000);
-      // Pre-defined (24 bytes at offset 72)
-      // Next track ID
-      view.setUint32(96, tracks.length + 1);
-      return makeBox('mvhd', content);
-    }
-
-    // Build tkhd box
-    function buildTkhd(track, trackDuration) {
-      const content = new Uint8Array(84);
-      const view = new DataView(content.buffer);
-      // Version 0, flags 3 (enabled, in movie)
-      view.setUint32(0, 0x00000003);
-      // Creation/modification time
-      view.setUint32(4, 0);
-      view.setUint32(8, 0);
-      // Track ID
-      view.setUint32(12, track.id);
-      // Reserved
-      view.setUint32(16, 0);
-      // Duration
-      view.setUint32(20, trackDuration);
-      // Reserved (8 bytes)
-      // Layer, alternate group
-      view.setUint16(32, 0);
-      view.setUint16(34, 0);
-      // Volume (for audio = 0x0100, video = 0)
-      view.setUint16(36, track.type === 'audio' ? 0x0100 : 0);
-      // Reserved
-      view.setUint16(38, 0);
-      // Matrix (36 bytes) - identity
-      view.setUint32(40, 0x00010000);
-      view.setUint32(56, 0x00010000);
-      view.setUint32(72, 0x40000000);
-      // Width (16.16 fixed point)
-      view.setUint32(76, track.width << 16);
-      // Height (16.16 fixed point)
-      view.setUint32(80, track.height << 16);
-      return makeBox('tkhd', content);
-    }
-
-    // Build mdhd box
-    function buildMdhd(timescale, duration) {
-      const content = new Uint8Array(24);
-      const view = new DataView(content.buffer);
-      view.setUint32(0, 0); // Version/flags
-      view.setUint32(4, 0); // Creation time
-      view.setUint32(8, 0); // Modification time
-      view.setUint32(12, timescale);
-      view.setUint32(16, duration);
-      view.setUint16(20, 0x55C4); // Language: und
-      view.setUint16(22, 0); // Quality
-      return makeBox('mdhd', content);
-    }
-
-    // Build hdlr box
-    function buildHdlr(type) {
-      const isVideo = type === 'video';
-      const handlerType = isVideo ? 'vide' : 'soun';
-      const name = isVideo ? 'VideoHandler' : 'SoundHandler';
-      const content = new Uint8Array(25 + name.length);
-      const view = new DataView(content.buffer);
-      view.setUint32(0, 0); // Version/flags
-      view.setUint32(4, 0); // Pre-defined
-      content[8] = handlerType.charCodeAt(0);
-      content[9] = handlerType.charCodeAt(1);
-      content[10] = handlerType.charCodeAt(2);
-      content[11] = handlerType.charCodeAt(3);
-      // Reserved (12 bytes)
-      // Name (null-terminated)
-      for (let i = 0; i < name.length; i++) {
-        content[24 + i] = name.charCodeAt(i);
-      }
-      return makeBox('hdlr', content);
-    }
-
-    // Build vmhd box (video media header)
-    function buildVmhd() {
-      const content = new Uint8Array(12);
-      const view = new DataView(content.buffer);
-      view.setUint32(0, 0x00000001); // Version 0, flags 1
-      return makeBox('vmhd', content);
-    }
-
-    // Build smhd box (sound media header)
-    function buildSmhd() {
-      const content = new Uint8Array(8);
-      return makeBox('smhd', content);
-    }
-
-    // Build dref box
-    function buildDref() {
-      const urlBox = makeBox('url ', new Uint8Array([0, 0, 0, 1])); // Self-contained
-      const content = concat(new Uint8Array([0, 0, 0, 0, 0, 0, 0, 1]), urlBox);
-      return makeBox('dref', content);
-    }
-
-    // Build dinf box
-    function buildDinf() {
-      return makeBox('dinf', buildDref());
-    }
-
-    // Build stsd box using original entry
-    function buildStsd(track) {
-      if (track.stsdEntry) {
-        // Serialize the original stsd entry
-        try {
-          const entryData = serializeBox(track.stsdEntry);
-          const content = new Uint8Array(8 + entryData.length);
-          const view = new DataView(content.buffer);
-          view.setUint32(0, 0); // Version/flags
-          view.setUint32(4, 1); // Entry count
-          content.set(entryData, 8);
-          return makeBox('stsd', content);
-        } catch (e) {
-          console.log('Failed to serialize stsd entry:', e);
-        }
-      }
-      // Fallback: minimal stsd
-      const content = new Uint8Array(8);
-      const view = new DataView(content.buffer);
-      view.setUint32(4, 0); // Entry count 0
-      return makeBox('stsd', content);
+  // Run fn(store) in a transaction; storage failures never fail a download
+  async function withResumeStore(name, mode, fn) {
+    try {
+      const db = await openResumeDb();
+      if (!db) return null;
+      const store = db.transaction(name, mode).objectStore(name);
+      return await fn(store);
+    } catch (e) {
+      console.log('Steam Video Downloader: Resume storage error', e);
+      return null;
     }
+  }
 
-    // Serialize MP4Box box object to binary
-    function serializeBox(box) {
-      if (!box) return new Uint8Array(0);
-
-      // Use MP4Box's write method if available
-      if (typeof box.write === 'function') {
-        const stream = new MP4Box.DataStream();
-        stream.endianness = MP4Box.DataStream.BIG_ENDIAN;
-        box.write(stream);
-        return new Uint8Array(stream.buffer);
-      }
+  function getStoredSegment(mpdUrl, repId, index) {
+    return withResumeStore('segments', 'readonly', store => idbRequest(store.get([mpdUrl, repId, index])));
+  }
 
-      // Manual serialization fallback
-      return new Uint8Array(0);
-    }
+  function putStoredSegment(mpdUrl, repId, index, data) {
+    return withResumeStore('segments', 'readwrite', store => idbRequest(store.put(data, [mpdUrl, repId, index])));
+  }
 
-    // Build stts box (time-to-sample)
-    function buildStts(samples) {
-      // Group consecutive samples with same duration
-      const entries = [];
-      let currentDuration = samples[0]?.duration || 1;
-      let count = 0;
+  // ownerId tells which page load runs the job; null once that page is gone
+  function saveResumeRecord(record, ownerId = PAGE_ID) {
+    return withResumeStore('jobs', 'readwrite', store => idbRequest(store.put({ ...record, ownerId, updatedAt: Date.now() })));
+  }
 
-      for (const sample of samples) {
-        if (sample.duration === currentDuration) {
-          count++;
-        } else {
-          entries.push({ count, duration: currentDuration });
-          currentDuration = sample.duration;
-          count = 1;
-        }
-      }
-      if (count > 0) {
-        entries.push({ count, duration: currentDuration });
-      }
+  function listResumeRecords() {
+    return withResumeStore('jobs', 'readonly', store => idbRequest(store.getAll())).then(r => r || []);
+  }
 
-      const content = new Uint8Array(8 + entries.length * 8);
-      const view = new DataView(content.buffer);
-      view.setUint32(0, 0); // Version/flags
-      view.setUint32(4, entries.length);
-      for (let i = 0; i < entries.length; i++) {
-        view.setUint32(8 + i * 8, entries[i].count);
-        view.setUint32(12 + i * 8, entries[i].duration);
+  // Delete a job record together with all of its stored segments
+  async function discardResumeData(key) {
+    const record = await withResumeStore('jobs', 'readonly', store => idbRequest(store.get(key)));
+    if (record) {
+      for (const repId of record.repIds) {
+        const range = IDBKeyRange.bound([record.mpdUrl, repId, -Infinity], [record.mpdUrl, repId, Infinity]);
+        await withResumeStore('segments', 'readwrite', store => idbRequest(store.delete(range)));
       }
-      return makeBox('stts', content);
     }
+    await withResumeStore('jobs', 'readwrite', store => idbRequest(store.delete(key)));
+  }
 
-    // Build stss box (sync samples - keyframes)
-    function buildStss(samples) {
-      const syncSamples = [];
-      for (let i = 0; i < samples.length; i++) {
-        if (samples[i].is_sync) {
-          syncSamples.push(i + 1); // 1-indexed
-        }
-      }
-      if (syncSamples.length === 0 || syncSamples.length === samples.length) {
-        return null; // All sync or none - don't include stss
-      }
-      const content = new Uint8Array(8 + syncSamples.length * 4);
-      const view = new DataView(content.buffer);
-      view.setUint32(0, 0);
-      view.setUint32(4, syncSamples.length);
-      for (let i = 0; i < syncSamples.length; i++) {
-        view.setUint32(8 + i * 4, syncSamples[i]);
-      }
-      return makeBox('stss', content);
-    }
-
-    // Build stsc box (sample-to-chunk) - all samples in one chunk
-    function buildStsc() {
-      const content = new Uint8Array(20);
-      const view = new DataView(content.buffer);
-      view.setUint32(0, 0); // Version/flags
-      view.setUint32(4, 1); // Entry count
-      view.setUint32(8, 1); // First chunk
-      view.setUint32(12, 1); // Samples per chunk (will update later)
-      view.setUint32(16, 1); // Sample description index
-      return content; // Return raw content, we'll wrap it
-    }
-
-    // Build stsz box (sample sizes)
-    function buildStsz(samples) {
-      const content = new Uint8Array(12 + samples.length * 4);
-      const view = new DataView(content.buffer);
-      view.setUint32(0, 0); // Version/flags
-      view.setUint32(4, 0); // Sample size (0 = variable)
-      view.setUint32(8, samples.length);
-      for (let i = 0; i < samples.length; i++) {
-        view.setUint32(12 + i * 4, samples[i].data?.byteLength || 0);
-      }
-      return makeBox('stsz', content);
-    }
-
-    // Build stco box (chunk offsets) - placeholder, update later
-    function buildStco(offset) {
-      const content = new Uint8Array(12);
-      const view = new DataView(content.buffer);
-      view.setUint32(0, 0); // Version/flags
-      view.setUint32(4, 1); // Entry count
-      view.setUint32(8, offset); // Chunk offset
-      return makeBox('stco', content);
-    }
-
-    // Build ctts box (composition time offsets) if needed
-    function buildCtts(samples) {
-      // Check if any sample has cts != dts
-      let needsCtts = false;
-      for (const sample of samples) {
-        if (sample.cts !== sample.dts) {
-          needsCtts = true;
-          break;
-        }
-      }
-      if (!needsCtts) return null;
-
-      // Group consecutive samples with same offset
-      const entries = [];
-      let currentOffset = (samples[0]?.cts || 0) - (samples[0]?.dts || 0);
-      let count = 0;
-
-      for (const sample of samples) {
-        const offset = (sample.cts || 0) - (sample.dts || 0);
-        if (offset === currentOffset) {
-          count++;
-        } else {
-          entries.push({ count, offset: currentOffset });
-          currentOffset = offset;
-          count = 1;
-        }
-      }
-      if (count > 0) {
-        entries.push({ count, offset: currentOffset });
-      }
+  // Keep live jobs' records fresh so other tabs don't offer them for resuming
+  function startResumeHeartbeat() {
+    setInterval(() => {
+      jobs.forEach(job => {
+        if (job.resume) saveResumeRecord(job.resume.record);
+      });
+    }, RESUME_STALE_MS / 4);
+  }
 
-      const content = new Uint8Array(8 + entries.length * 8);
-      const view = new DataView(content.buffer);
-      view.setUint32(0, 0); // Version 0
-      view.setUint32(4, entries.length);
-      for (let i = 0; i < entries.length; i++) {
-        view.setUint32(8 + i * 8, entries[i].count);
-        view.setInt32(12 + i * 8, entries[i].offset);
-      }
-      return makeBox('ctts', content);
-    }
+  // Give up this page's records when it is reloaded or closed, so the next page offers them
+  // right away. Best effort: a write that does not finish leaves the record to go stale.
+  function releaseResumeOwnership() {
+    jobs.forEach(job => {
+      if (job.resume) saveResumeRecord(job.resume.record, null);
+    });
+  }
 
-    // Build stbl box
-    function buildStbl(track, mdatOffset) {
-      const stsd = buildStsd(track);
-      const stts = buildStts(track.samples);
-      const stsz = buildStsz(track.samples);
-      const stco = buildStco(mdatOffset);
+  // Forget a job's persisted segments once it is saved or removed
+  function releaseResumeData(job) {
+    if (!job.resume) return;
+    const key = job.resume.record.key;
+    job.resume = null;
+    discardResumeData(key);
+  }
 
-      // Build stsc - all samples in one chunk
-      const stscContent = new Uint8Array(20);
-      const stscView = new DataView(stscContent.buffer);
-      stscView.setUint32(0, 0);
-      stscView.setUint32(4, 1);
-      stscView.setUint32(8, 1);
-      stscView.setUint32(12, track.samples.length);
-      stscView.setUint32(16, 1);
-      const stsc = makeBox('stsc', stscContent);
+  // Find interrupted jobs left behind by reloaded or closed tabs: records their page released,
+  // or that nobody kept fresh
+  async function loadResumeOffers() {
+    const records = await listResumeRecords();
+    const now = Date.now();
+    const active = new Set(jobs.filter(j => j.resume).map(j => j.resume.record.key));
+    const hadOffers = resumeOffers.length > 0;
+    resumeOffers = [];
+    for (const record of records) {
+      if (now - record.updatedAt > RESUME_MAX_AGE_MS) {
+        discardResumeData(record.key);
+      } else if (!active.has(record.key) && record.ownerId !== PAGE_ID &&
+        (!record.ownerId || now - record.updatedAt > RESUME_STALE_MS)) {
+        resumeOffers.push(record);
+      }
+    }
+    if (hadOffers || resumeOffers.length > 0) renderQueue();
+  }
 
-      let parts = [stsd, stts, stsc, stsz, stco];
+  function resumeOffer(key) {
+    const record = resumeOffers.find(r => r.key === key);
+    resumeOffers = resumeOffers.filter(r => r.key !== key);
+    if (record) {
+      downloadDashVideo(record.mpdUrl, record.filename, record.selection, { meta: record.meta });
+    }
+    renderQueue();
+  }
 
-      // Add stss for video (keyframes)
-      if (track.type === 'video') {
-        const stss = buildStss(track.samples);
-        if (stss) parts.push(stss);
-      }
+  function discardOffer(key) {
+    resumeOffers = resumeOffers.filter(r => r.key !== key);
+    discardResumeData(key);
+    renderQueue();
+  }
 
-      // Add ctts if needed
-      const ctts = buildCtts(track.samples);
-      if (ctts) parts.push(ctts);
+  // Streaming output
+  // Large trailers are written as fragmented MP4 straight to a temporary file in
+  // the origin private file system, so peak memory is a few segments rather than
+  // the whole video. The finished file is handed to the download as a disk-backed File and
+  // removed once that download (or the ZIP it went into) is saved. Temp files are named after
+  // the page load writing them, which holds a web lock for as long as it lives.
+  // The origin private file system is the Steam site's, not the extension's: temp files use that
+  // site's quota, its scripts can see them, and only a later page of the same site sweeps up
+  // what a closed tab left behind.
+  const STREAM_THRESHOLD_BYTES = 512 * 1024 * 1024;
+  const STREAM_TEMP_PREFIX = 'svd-stream-';
+  const PAGE_LOCK_PREFIX = 'svd-page-';
+
+  function canStreamToDisk() {
+    return !!(navigator.storage && navigator.storage.getDirectory);
+  }
 
-      return makeBox('stbl', concat(...parts));
+  // List top-level boxes of an MP4 byte range
+  function listBoxes(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxes = [];
+    let offset = 0;
+    while (offset + 8 <= bytes.length) {
+      let size = view.getUint32(offset);
+      const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+      if (size === 1) size = Number(view.getBigUint64(offset + 8));
+      else if (size === 0) size = bytes.length - offset;
+      if (size < 8 || offset + size > bytes.length) break;
+      boxes.push({ type, offset, size });
+      offset += size;
     }
+    return boxes;
+  }
 
-    // Build minf box
-    function buildMinf(track, mdatOffset) {
-      const mediaHeader = track.type === 'video' ? buildVmhd() : buildSmhd();
-      const dinf = buildDinf();
-      const stbl = buildStbl(track, mdatOffset);
-      return makeBox('minf', concat(mediaHeader, dinf, stbl));
+  // Set the sequence_number in a moof's mfhd so interleaved fragments stay ordered
+  function setMoofSequence(moofData, sequence) {
+    const mfhd = findSubBoxWithOffset(moofData, 'mfhd');
+    if (mfhd) {
+      new DataView(moofData.buffer, moofData.byteOffset, moofData.byteLength).setUint32(mfhd.offset + 12, sequence);
     }
+  }
 
-    // Build mdia box
-    function buildMdia(track, mdatOffset) {
-      const mdhd = buildMdhd(track.timescale, track.duration);
-      const hdlr = buildHdlr(track.type);
-      const minf = buildMinf(track, mdatOffset);
-      return makeBox('mdia', concat(mdhd, hdlr, minf));
-    }
+  // Build the ftyp + merged moov header from the video and audio init segments;
+  // metadata goes into the moov as tags (see buildUdta)
+  function buildStreamHeader(videoInit, audioInit, metadata) {
+    const videoBytes = new Uint8Array(videoInit);
+    const videoBoxes = listBoxes(videoBytes);
+    const ftyp = videoBoxes.find(b => b.type === 'ftyp');
+    const videoMoov = videoBoxes.find(b => b.type === 'moov');
+    if (!ftyp || !videoMoov) throw new Error('Video init segment has no ftyp/moov');
+
+    const ftypData = videoBytes.subarray(ftyp.offset, ftyp.offset + ftyp.size);
+    const videoMoovData = videoBytes.subarray(videoMoov.offset, videoMoov.offset + videoMoov.size);
+    if (!audioInit) return [ftypData, addMoovMetadata(videoMoovData, metadata)];
+
+    const audioBytes = new Uint8Array(audioInit);
+    const audioMoov = listBoxes(audioBytes).find(b => b.type === 'moov');
+    if (!audioMoov) throw new Error('Audio init segment has no moov');
+    const audioMoovData = audioBytes.subarray(audioMoov.offset, audioMoov.offset + audioMoov.size);
+    const audioTrak = findSubBox(audioMoovData, 'trak');
+    const audioMvex = findSubBox(audioMoovData, 'mvex');
+    if (!audioTrak) throw new Error('No audio track found');
+
+    const moov = createMergedMoov(videoMoovData, audioTrak, audioMvex ? findSubBox(audioMvex, 'trex') : null);
+    return [ftypData, addMoovMetadata(moov, metadata)];
+  }
 
-    // Build trak box
-    function buildTrak(track, movieTimescale, mdatOffset) {
-      const trackDuration = Math.round(track.duration * movieTimescale / track.timescale);
-      const tkhd = buildTkhd(track, trackDuration);
-      const mdia = buildMdia(track, mdatOffset);
-      return makeBox('trak', concat(tkhd, mdia));
-    }
+  // Rewrite one media segment for the combined file: renumber fragments,
+  // move audio to track 2 and drop sidx (its byte offsets no longer hold)
+  function prepareStreamSegment(data, trackId, nextSequence) {
+    const bytes = new Uint8Array(data);
+    const parts = [];
+    for (const box of listBoxes(bytes)) {
+      if (box.type === 'sidx') continue;
+      const boxData = bytes.subarray(box.offset, box.offset + box.size);
+      if (box.type === 'moof') {
+        if (trackId !== 1) updateTrackIdInMoof(boxData, trackId);
+        setMoofSequence(boxData, nextSequence());
+      }
+      parts.push(boxData);
+    }
+    return parts;
+  }
 
-    // Collect all sample data for mdat
-    function collectMdatData(tracks) {
-      const chunks = [];
-      for (const track of tracks) {
-        for (const sample of track.samples) {
-          if (sample.data) {
-            chunks.push(new Uint8Array(sample.data));
-          }
-        }
-      }
-      return concat(...chunks);
-    }
+  // Download video + audio and write a fragmented MP4 to disk as segments arrive
+  async function streamDashToFile(job, video, audio, filename) {
+    const signal = job.signal;
+    const root = await navigator.storage.getDirectory();
+    const tempName = `${STREAM_TEMP_PREFIX}${PAGE_ID}-${job.id}.mp4`;
+    const handle = await root.getFileHandle(tempName, { create: true });
+    const writable = await handle.createWritable();
+    let closed = false;
 
-    // Calculate mdat offset (after ftyp + moov)
-    // We need to build moov first to know its size, but moov contains stco which needs mdat offset
-    // Solution: build moov with placeholder offset, calculate actual offset, rebuild moov
+    try {
+      job.update('Downloading init segments...', 1);
+      const videoInit = await fetchRepSegment(job, video, -1, video.init, signal, `Init segment of ${video.id}`);
+      const audioInit = audio
+        ? await fetchRepSegment(job, audio, -1, audio.init, signal, `Init segment of ${audio.id}`)
+        : null;
+      const metadata = await outputMetadata(job);
+      for (const part of buildStreamHeader(videoInit, audioInit, metadata)) {
+        await writable.write(part);
+      }
+
+      // Interleave both tracks by presentation time
+      const queue = video.segments.map((seg, i) => ({ rep: video, trackId: 1, seg, index: i }));
+      if (audio) {
+        queue.push(...audio.segments.map((seg, i) => ({ rep: audio, trackId: 2, seg, index: i })));
+      }
+      queue.sort((a, b) => (a.seg.start - b.seg.start) || (a.trackId - b.trackId));
+
+      let sequence = 0;
+      let written = 0;
+      await fetchInOrder(queue.length, SEGMENT_CONCURRENCY, async (i, fetchSignal) => {
+        await job.checkpoint();
+        const item = queue[i];
+        return fetchRepSegment(job, item.rep, item.index, item.seg.url, fetchSignal,
+          `Segment ${item.index + 1} of ${item.rep.segments.length} (${item.rep.id})`);
+      }, async (i, data) => {
+        for (const part of prepareStreamSegment(data, queue[i].trackId, () => ++sequence)) {
+          await writable.write(part);
+        }
+        written += data.byteLength;
+        job.update(`Downloading to disk... ${formatBytes(written)}`, 2 + ((i + 1) / queue.length) * 93);
+      }, signal);
 
-    const ftyp = buildFtyp();
+      await writable.close();
+      closed = true;
+      signal.throwIfAborted();
 
-    // First pass: build moov with placeholder offset to calculate size
-    const movieTimescale = 1000;
-    let maxDuration = 0;
-    for (const track of tracks) {
-      const dur = track.duration * movieTimescale / track.timescale;
-      if (dur > maxDuration) maxDuration = dur;
+      job.update('Saving...', 97);
+      await saveJobOutput(job, await handle.getFile(), filename, () => root.removeEntry(tempName).catch(() => {}));
+      job.update('Complete!', 100);
+    } catch (error) {
+      if (!closed) await writable.abort().catch(() => {});
+      await root.removeEntry(tempName).catch(() => {});
+      throw error;
     }
+  }
 
-    const mvhd = buildMvhd(movieTimescale, Math.round(maxDuration));
-    let trakBoxes = [];
-    let mdatOffset = 0; // Placeholder
+  // Hold this page load's lock until the page goes away; its temp files are in use until then
+  function holdPageLock() {
+    if (navigator.locks) navigator.locks.request(`${PAGE_LOCK_PREFIX}${PAGE_ID}`, () => new Promise(() => {}));
+  }
 
-    for (const track of tracks) {
-      trakBoxes.push(buildTrak(track, movieTimescale, mdatOffset));
+  // Remove temp files (streamed trailers, ZIP archives) left behind by closed tabs of this site:
+  // those whose page no longer holds its lock
+  async function cleanupStreamTempFiles() {
+    if (!canStreamToDisk() || !navigator.locks) return;
+    try {
+      const { held } = await navigator.locks.query();
+      const livePages = new Set(held.map(lock => lock.name));
+      const root = await navigator.storage.getDirectory();
+      for await (const [name, handle] of root.entries()) {
+        const owner = name.match(/^svd-(?:stream|zip)-(.+)-\d+\.(?:mp4|zip)$/);
+        if (!owner || handle.kind !== 'file') continue;
+        if (!livePages.has(`${PAGE_LOCK_PREFIX}${owner[1]}`)) {
+          await root.removeEntry(name);
+        }
+      }
+    } catch (e) {
+      console.log('Steam Video Downloader: Could not clean up temp files', e);
     }
+  }
 
-    const moovPlaceholder = makeBox('moov', concat(mvhd, ...trakBoxes));
-
-    // Calculate actual mdat offset
-    mdatOffset = ftyp.length + moovPlaceholder.length + 8; // +8 for mdat header
+  // Concatenate ArrayBuffers
+  function concatenateBuffers(buffers) {
+    const totalLength = buffers.reduce((acc, buf) => acc + buf.byteLength, 0);
+    const result = new Uint8Array(totalLength);
+    let offset = 0;
+    for (const buffer of buffers) {
+      result.set(new Uint8Array(buffer), offset);
+      offset += buffer.byteLength;
+    }
+    return result.buffer;
+  }
 
-    // Second pass: rebuild moov with correct offset
-    // But we need per-track offsets since each track's samples are at different positions
+  // Sort representations the way the quality picker lists them (best first)
+  function sortRepresentations(representations) {
+    const videos = representations.filter(r => r.type === 'video')
+      .sort((a, b) => (b.height - a.height) || (b.bandwidth - a.bandwidth));
+    const audios = representations.filter(r => r.type === 'audio')
+      .sort((a, b) => b.bandwidth - a.bandwidth);
+    return { videos, audios };
+  }
 
-    // Actually, for simplicity, let's interleave all samples into one mdat
-    // and have each track point to its portion
+  // Display names of codec families
+  const CODEC_NAMES = { h264: 'H.264', av1: 'AV1', vp9: 'VP9', hevc: 'HEVC', mp4a: 'AAC', opus: 'Opus' };
+
+  // Codec family of a DASH codec string (avc1.640028 -> h264)
+  function codecFamily(codec) {
+    const value = (codec || '').toLowerCase();
+    if (/^avc[13]/.test(value)) return 'h264';
+    if (value.startsWith('av01')) return 'av1';
+    if (/^vp0?9/.test(value)) return 'vp9';
+    if (/^(hvc1|hev1)/.test(value)) return 'hevc';
+    return value.split('.')[0] || 'unknown';
+  }
 
-    // Collect all media data and calculate offsets per track
-    const mdatParts = [];
-    const trackOffsets = [];
-    let currentOffset = ftyp.length + 8; // Will add moov size later
+  // Video streams of the preferred codec family, or all of them if it is not offered
+  function preferCodec(videos, family) {
+    const matching = videos.filter(r => codecFamily(r.codec) === family);
+    return matching.length > 0 ? matching : videos;
+  }
 
-    // First, calculate total moov size to get mdat start position
-    // Build final moov
-    trakBoxes = [];
-    let sampleDataOffset = 0;
-    const allSampleData = [];
+  // Load settings and follow changes made on the options page (or in other tabs)
+  async function loadSettings() {
+    SVDSettings.onChange(applySettings);
+    applySettings(await SVDSettings.load());
+  }
 
-    for (const track of tracks) {
-      const trackMdatStart = sampleDataOffset;
-      for (const sample of track.samples) {
-        if (sample.data) {
-          allSampleData.push(new Uint8Array(sample.data));
-          sampleDataOffset += sample.data.byteLength;
-        }
-      }
-      trackOffsets.push(trackMdatStart);
+  // Apply changed settings to the running page
+  function applySettings(changes) {
+    settings = { ...settings, ...changes };
+    if ('showFloatingButton' in changes || 'floatingButtonPosition' in changes) {
+      addFloatingButton();
     }
+    if ('maxConcurrentJobs' in changes) {
+      const select = document.querySelector('#svd-progress .svd-concurrency-select');
+      if (select) select.value = String(settings.maxConcurrentJobs);
+      pumpQueue();
+    }
+  }
 
-    // Now rebuild moov with correct offsets
-    // We need to recalculate after knowing moov size
-
-    const mdatContent = concat(...allSampleData);
-    const mdatSize = 8 + mdatContent.length;
-
-    // Build moov - first calculate its size
-    const tempMvhd = buildMvhd(movieTimescale, Math.round(maxDuration));
-    let tempTraks = [];
+  // Persist a setting; the change comes back through applySettings
+  function saveSetting(key, value) {
+    settings[key] = value;
+    SVDSettings.save({ [key]: value }).catch(e => {
+      console.log('Steam Video Downloader: Could not save setting', key, e);
+    });
+  }
 
-    // Build with temp offset 0 to measure size
-    for (let i = 0; i < tracks.length; i++) {
-      tempTraks.push(buildTrak(tracks[i], movieTimescale, 0));
+  // File name from the filename template setting; values: { game, title, appId, movieId, index,
+  // width, height, codec, ext }. Missing values are left out of the name.
+  function formatFileName(values) {
+    const tokens = { date: localDate(), ...values };
+    if (tokens.width && tokens.height && !tokens.resolution) {
+      tokens.resolution = `${tokens.width}x${tokens.height}`;
     }
-    const tempMoov = makeBox('moov', concat(tempMvhd, ...tempTraks));
-    const moovSize = tempMoov.length;
-
-    // Real mdat starts after ftyp + moov
-    const realMdatStart = ftyp.length + moovSize + 8; // +8 for mdat header
+    return SVDFilenames.render(settings.filenameTemplate, tokens);
+  }
 
-    // Build final traks with correct offsets
-    const finalTraks = [];
-    let runningOffset = realMdatStart;
+  // Today's date as YYYY-MM-DD in local time
+  function localDate() {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
 
-    for (let i = 0; i < tracks.length; i++) {
-      // This track's data starts at runningOffset
-      // But we need to update stco inside the trak
-      const trak = buildTrakWithOffset(tracks[i], movieTimescale, runningOffset);
-      finalTraks.push(trak);
+  // Tags embedded in produced files (see buildUdta), so a trailer found on a shared drive
+  // can be traced back to its store page and movie
+  async function outputMetadata(job) {
+    const appId = job.meta.appId || job.batch?.appId;
+    const comment = [
+      appId ? `https://store.steampowered.com/app/${appId}/` : null,
+      /^\d+$/.test(job.meta.movieId || '') ? `movie ${job.meta.movieId}` : null
+    ].filter(Boolean).join(' - ');
+    return {
+      title: job.meta.title,
+      album: job.meta.game || job.batch?.gameName,
+      comment,
+      date: localDate(),
+      tool: `Steam Video Downloader ${chrome.runtime.getManifest().version}`,
+      cover: settings.embedPoster && job.meta.poster ? await fetchCover(job.meta.poster, job.signal) : null
+    };
+  }
 
-      // Calculate this track's total data size
-      let trackDataSize = 0;
-      for (const sample of tracks[i].samples) {
-        if (sample.data) {
-          trackDataSize += sample.data.byteLength;
-        }
-      }
-      runningOffset += trackDataSize;
+  // Poster as cover art: { format: 'jpeg' | 'png', data: base64 }, or null when it cannot be
+  // used (MP4 cover art only takes JPEG and PNG); a missing poster never fails the download
+  async function fetchCover(url, signal) {
+    try {
+      const response = await fetch(url, { signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      const format = bytes[0] === 0xFF && bytes[1] === 0xD8 ? 'jpeg'
+        : bytes[0] === 0x89 && bytes[1] === 0x50 ? 'png' : null;
+      if (!format) {
+        console.log('Steam Video Downloader: Poster is not JPEG or PNG, not embedding it', url);
+        return null;
+      }
+      return { format, data: bytesToBase64(bytes) };
+    } catch (e) {
+      if (isAbortError(e, signal)) throw e;
+      console.log('Steam Video Downloader: Could not fetch poster', url, e);
+      return null;
     }
+  }
 
-    function buildTrakWithOffset(track, movieTimescale, dataOffset) {
-      const trackDuration = Math.round(track.duration * movieTimescale / track.timescale);
-      const tkhd = buildTkhd(track, trackDuration);
-
-      // Build mdia with correct offset
-      const mdhd = buildMdhd(track.timescale, track.duration);
-      const hdlr = buildHdlr(track.type);
-
-      // Build minf with correct stco offset
-      const mediaHeader = track.type === 'video' ? buildVmhd() : buildSmhd();
-      const dinf = buildDinf();
+  // Escape text for a double-quoted HTML attribute
+  function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
 
-      // Build stbl with correct offset
-      const stsd = buildStsd(track);
-      const stts = buildStts(track.samples);
-      const stsz = buildStsz(track.samples);
-      const stco = buildStco(dataOffset); // Correct offset!
+  // Format a byte count for display
+  function formatBytes(bytes) {
+    if (!bytes || bytes <= 0) return '?';
+    if (bytes >= 1024 * 1024 * 1024) return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+    if (bytes >= 1024 * 1024) return Math.round(bytes / (1024 * 1024)) + ' MB';
+    return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+  }
 
-      const stscContent = new Uint8Array(20);
-      const stscView = new DataView(stscContent.buffer);
-      stscView.setUint32(0, 0);
-      stscView.setUint32(4, 1);
-      stscView.setUint32(8, 1);
-      stscView.setUint32(12, track.samples.length);
-      stscView.setUint32(16, 1);
-      const stsc = makeBox('stsc', stscContent);
+  // Format a bandwidth (bits/s) for display
+  function formatBitrate(bps) {
+    if (!bps) return '? kbps';
+    if (bps >= 1000000) return (bps / 1000000).toFixed(1) + ' Mbps';
+    return Math.round(bps / 1000) + ' kbps';
+  }
 
-      let stblParts = [stsd, stts, stsc, stsz, stco];
+  // MIME types of the output containers
+  const CONTAINER_TYPES = {
+    mp4: 'video/mp4',
+    mkv: 'video/x-matroska',
+    webm: 'video/webm'
+  };
 
-      if (track.type === 'video') {
-        const stss = buildStss(track.samples);
-        if (stss) stblParts.push(stss);
-      }
+  // Whether a DASH codec string may go into WebM (VP8, VP9, AV1, Opus, Vorbis)
+  function isWebmCodec(codec) {
+    return /^(vp8|vp08|vp9|vp09|av01|opus|vorbis)/i.test(codec || '');
+  }
 
-      const ctts = buildCtts(track.samples);
-      if (ctts) stblParts.push(ctts);
+  // Format seconds as m:ss(.s) for display
+  function formatTimecode(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.round((seconds - minutes * 60) * 10) / 10;
+    return `${minutes}:${rest < 10 ? '0' : ''}${rest}`;
+  }
 
-      const stbl = makeBox('stbl', concat(...stblParts));
-      const minf = makeBox('minf', concat(mediaHeader, dinf, stbl));
-      const mdia = makeBox('mdia', concat(mdhd, hdlr, minf));
+  // Parse "75", "1:15", "1:02.5" or "0:01:15" into seconds; '' gives null, junk NaN
+  function parseTimecode(value) {
+    value = (value || '').trim();
+    if (!value) return null;
+    if (!/^\d+(?::\d+){0,2}(?:\.\d+)?$/.test(value)) return NaN;
+    return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  }
 
-      return makeBox('trak', concat(tkhd, mdia));
+  // Indexes of the first and last segments overlapping [start, end) seconds
+  function selectSegmentRange(segments, start, end) {
+    let first = segments.findIndex(seg => seg.start + seg.duration > start);
+    if (first === -1) first = segments.length - 1;
+    let last = segments.length - 1;
+    if (end !== null && end !== undefined) {
+      while (last > first && segments[last].start >= end) last--;
     }
-
-    const finalMoov = makeBox('moov', concat(tempMvhd, ...finalTraks));
-
-    // Build mdat
-    const mdat = makeBox('mdat', mdatContent);
-
-    // Combine all
-    const result = concat(ftyp, finalMoov, mdat);
-    console.log('Built non-fragmented MP4:', result.length, 'bytes');
-
-    return result.buffer;
+    return { first, last };
   }
 
-  // Find a sub-box within a box
-  function findSubBox(data, targetType) {
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    let offset = 8; // Skip the parent box header
-
-    while (offset < data.length - 8) {
-      const size = view.getUint32(offset);
-      const type = String.fromCharCode(
-        data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]
-      );
+  // Estimated size of a representation over the whole presentation
+  function estimateSize(rep, totalDuration) {
+    return rep ? rep.bandwidth * totalDuration / 8 : 0;
+  }
 
-      if (size < 8 || offset + size > data.length) break;
+  // Fill the codec and quality selects of a trailer row from its manifests
+  async function loadQualityOptions(item, dash) {
+    const codecSelect = item.querySelector('.svd-select-codec');
+    const videoSelect = item.querySelector('.svd-select-video');
+    const audioSelect = item.querySelector('.svd-select-audio');
 
-      if (type === targetType) {
-        return data.slice(offset, offset + size);
+    try {
+      const { representations, totalDuration } = await parseMovieManifests(dash.url, null, dash.variants);
+      const { videos, audios } = sortRepresentations(representations);
+      if (videos.length === 0) throw new Error('No video streams found');
+
+      const audioSize = estimateSize(audios[0], totalDuration);
+
+      // Codec badges and the per-download codec override
+      const families = [...new Set(videos.map(r => codecFamily(r.codec)))];
+      item.querySelector('.svd-codecs').innerHTML = families
+        .map(f => `<span class="svd-codec-badge">${CODEC_NAMES[f] || f}</span>`).join('');
+      codecSelect.innerHTML = '';
+      families.forEach(family => {
+        const option = document.createElement('option');
+        option.value = family;
+        option.textContent = CODEC_NAMES[family] || family;
+        codecSelect.appendChild(option);
+      });
+      codecSelect.value = families.includes(settings.codecPreference) ? settings.codecPreference : families[0];
+
+      // Video options follow the chosen codec; preselect the best stream within the quality cap
+      const fillVideos = () => {
+        videoSelect.innerHTML = '';
+        const shown = preferCodec(videos, codecSelect.value);
+        shown.forEach(rep => {
+          const option = document.createElement('option');
+          option.value = rep.id;
+          option.textContent = `${rep.width}x${rep.height} · ${rep.codec} · ${formatBitrate(rep.bandwidth)} · ~${formatBytes(estimateSize(rep, totalDuration) + audioSize)}`;
+          videoSelect.appendChild(option);
+        });
+        if (settings.maxHeight && shown.length) {
+          const capped = shown.find(r => r.height <= settings.maxHeight) || shown[shown.length - 1];
+          videoSelect.value = capped.id;
+        }
+      };
+      fillVideos();
+      codecSelect.addEventListener('change', fillVideos);
+
+      audioSelect.innerHTML = '';
+      audios.forEach(rep => {
+        const option = document.createElement('option');
+        option.value = rep.id;
+        const rate = rep.sampleRate ? ` · ${rep.sampleRate / 1000} kHz` : '';
+        option.textContent = `${rep.codec} · ${formatBitrate(rep.bandwidth)}${rate} · ~${formatBytes(estimateSize(rep, totalDuration))}`;
+        audioSelect.appendChild(option);
+      });
+      if (audios.length === 0) {
+        audioSelect.innerHTML = '<option value="">No audio</option>';
       }
 
-      offset += size;
+      codecSelect.disabled = families.length < 2;
+      videoSelect.disabled = false;
+      audioSelect.disabled = audios.length === 0;
+      if (totalDuration) {
+        item.querySelector('.svd-trim-end').placeholder = formatTimecode(totalDuration);
+      }
+    } catch (e) {
+      console.log('Steam Video Downloader: Could not load qualities for', dash.url, e);
+      codecSelect.innerHTML = '<option value="">Preferred</option>';
+      videoSelect.innerHTML = '<option value="">Best available</option>';
+      audioSelect.innerHTML = '<option value="">Best available</option>';
     }
-    return null;
   }
 
-  // Insert audio trak into video moov and update moov size
-  function insertTrakIntoMoov(moovData, trakData) {
-    // Update the track ID in the audio trak to be track 2
-    const trakCopy = new Uint8Array(trakData);
-    updateTrackIdInTrak(trakCopy, 2);
-
-    // New moov size = old moov size + trak size
-    const newSize = moovData.length + trakCopy.length;
-    const newMoov = new Uint8Array(newSize);
-
-    // Copy original moov
-    newMoov.set(moovData);
-
-    // Insert trak before the end of moov (after all existing sub-boxes)
-    // Actually, we need to insert it properly. Let's just append it.
-    newMoov.set(trakCopy, moovData.length);
+  // Download DASH video with automatic muxing
+  // selection: { videoId, audioId, maxHeight, codec } picks representations, defaults to the best of
+  // each in the codec family (h264, av1, vp9) or the saved codec preference;
+  // selection.trim: { start, end } in seconds exports only that part (end null = to the end);
+  // selection.only: 'audio' saves just the soundtrack as an M4A, 'video' a silent MP4;
+  // selection.container: 'mp4' (default), 'mkv' or 'webm' for video + audio downloads
+  // selection.nameTokens: filename template values; the name is rendered once the streams are known
+  // meta: { title, game, appId, movieId } are embedded in the output as tags (see outputMetadata)
+  // options: { batch, meta } - owning batch and source details for its manifest
+  function downloadDashVideo(mpdUrl, filename, selection = {}, { batch = null, meta = {} } = {}) {
+    return enqueueJob({
+      name: filename,
+      batch,
+      meta: { kind: 'trailer', sourceUrl: mpdUrl, ...meta },
+      run: (job) => runDashDownload(job, mpdUrl, filename, selection)
+    });
+  }
 
-    // Update moov box size (first 4 bytes)
-    const view = new DataView(newMoov.buffer);
-    view.setUint32(0, newSize);
+  // Download a direct MP4/WEBM file
+  function downloadDirectVideo(url, filename, { batch = null, meta = {} } = {}) {
+    return enqueueJob({
+      name: filename,
+      batch,
+      meta: { kind: 'clip', sourceUrl: url, ...meta },
+      run: (job) => runDirectDownload(job, url, filename)
+    });
+  }
 
-    return newMoov;
+  // Filename template values of a trailer from collectPageVideos
+  function trailerNameTokens(dash) {
+    return {
+      game: dash.gameName,
+      title: dash.label,
+      appId: dash.appId,
+      movieId: /^\d+$/.test(dash.movieId) ? dash.movieId : null,
+      index: dash.position
+    };
   }
 
-  // Update track ID in a trak box
-  function updateTrackIdInTrak(trakData, newTrackId) {
-    // Find tkhd box within trak and update track_ID
-    const view = new DataView(trakData.buffer, trakData.byteOffset, trakData.byteLength);
-    let offset = 8; // Skip trak header
+  // Queue a trailer from collectPageVideos
+  // choice: { codec, videoId, audioId, only, container, trim } as picked in the popup; without a
+  // picked video stream the quality cap from the options applies
+  function queueTrailer(dash, choice = {}) {
+    const nameTokens = trailerNameTokens(dash);
+    const selection = {
+      codec: choice.codec || null,
+      videoId: choice.videoId || null,
+      audioId: choice.audioId || null,
+      maxHeight: settings.maxHeight || null,
+      variants: dash.variants,
+      nameTokens
+    };
+    let ext = 'm4a';
+    if (choice.only) {
+      selection.only = choice.only;
+    }
+    if (choice.only === 'video') {
+      nameTokens.title += ' (video only)';
+      ext = 'mp4';
+    } else if (choice.only !== 'audio') {
+      selection.container = choice.container || settings.container;
+      ext = selection.container;
+    }
+    if (choice.trim) {
+      selection.trim = choice.trim;
+      const { start, end } = choice.trim;
+      nameTokens.title += ` (clip ${Math.round(start)}s-${end !== null ? Math.round(end) + 's' : 'end'})`;
+    }
+
+    // Placeholder until the streams are picked and the resolution and codec are known
+    const filename = formatFileName({ ...nameTokens, ext });
+    const meta = {
+      title: `${dash.gameName} - ${dash.label}`,
+      game: dash.gameName,
+      appId: dash.appId,
+      movieId: dash.movieId,
+      poster: dash.poster
+    };
+    return downloadDashVideo(dash.url, filename, selection, { meta });
+  }
 
-    while (offset < trakData.length - 8) {
-      const size = view.getUint32(offset);
-      const type = String.fromCharCode(
-        trakData[offset + 4], trakData[offset + 5], trakData[offset + 6], trakData[offset + 7]
-      );
+  // Queue a trailer's poster image
+  function queuePoster(dash) {
+    const ext = (dash.poster.match(/\.(jpe?g|png|webp)(?:\?|$)/i) || [, 'jpg'])[1].toLowerCase();
+    const filename = formatFileName({ ...trailerNameTokens(dash), title: `${dash.label} poster`, ext });
+    return downloadDirectVideo(dash.poster, filename, { meta: { kind: 'poster', game: dash.gameName } });
+  }
 
-      if (size < 8 || offset + size > trakData.length) break;
+  // Queue a direct video or extra clip from collectPageVideos in one of its formats
+  function queueDirect(entry, ext) {
+    const filename = formatFileName({
+      game: entry.gameName,
+      title: entry.name && entry.name !== 'Video' ? entry.name : entry.label,
+      appId: entry.appId,
+      index: entry.position,
+      ext
+    });
+    return downloadDirectVideo(entry.formats[ext], filename, { meta: { title: entry.name, game: entry.gameName } });
+  }
 
-      if (type === 'tkhd') {
-        // tkhd structure: header(8) + version(1) + flags(3) + ...
-        // For version 0: track_ID is at offset 12 from box start
-        // For version 1: track_ID is at offset 20 from box start
-        const version = trakData[offset + 8];
-        const trackIdOffset = offset + (version === 0 ? 20 : 28);
-        view.setUint32(trackIdOffset, newTrackId);
-        console.log('Updated tkhd track_ID to', newTrackId);
-        return;
+  // Queue every trailer and clip from collectPageVideos as one batch
+  // options: { maxHeight, codec, container, format, zip, pageUrl, pageName } - trailer quality cap,
+  // codec and container, preferred clip format, bundle as ZIP, and the store page the apps came from
+  function downloadAll(apps, options) {
+    const pickFormat = (formats) => (formats[options.format] ? options.format : (formats.mp4 ? 'mp4' : 'webm'));
+
+    const items = [];
+    for (const app of apps) {
+      app.trailers.forEach(dash => {
+        const nameTokens = trailerNameTokens(dash);
+        items.push({
+          dash: true,
+          url: dash.url,
+          variants: dash.variants,
+          filename: formatFileName({ ...nameTokens, ext: options.container || 'mp4' }),
+          nameTokens,
+          meta: { title: dash.label, game: app.gameName, appId: app.appId, movieId: dash.movieId, poster: dash.poster }
+        });
+      });
+      for (const entry of [...app.videos, ...app.extras]) {
+        const ext = pickFormat(entry.formats);
+        const filename = formatFileName({
+          game: app.gameName,
+          title: entry.name && entry.name !== 'Video' ? entry.name : entry.label,
+          appId: app.appId,
+          index: entry.position,
+          ext
+        });
+        items.push({ url: entry.formats[ext], filename, meta: { title: entry.name, game: app.gameName, appId: app.appId, format: ext } });
+      }
+    }
+
+    // A page with several apps (bundle, sale) is named after the page
+    const single = apps.length === 1 ? apps[0] : null;
+    const gameName = single ? single.gameName : (options.pageName || getPageName());
+    const batch = {
+      label: `Download all - ${gameName}`,
+      total: items.length,
+      results: [],
+      appId: single ? single.appId : null,
+      gameName,
+      storeUrl: (options.pageUrl || window.location.href).split('?')[0],
+      zip: options.zip ? createZipWriter() : null,
+      zipName: `${SVDFilenames.sanitize(`${gameName} videos`)}.zip`,
+      usedNames: new Set(),
+      releases: [] // Cleanups for files the ZIP reads from, run once it is saved
+    };
+    items.forEach(item => {
+      if (item.dash) {
+        const selection = {
+          maxHeight: options.maxHeight,
+          codec: options.codec,
+          container: options.container,
+          variants: item.variants,
+          nameTokens: item.nameTokens
+        };
+        downloadDashVideo(item.url, item.filename, selection, { batch, meta: item.meta });
+      } else {
+        downloadDirectVideo(item.url, item.filename, { batch, meta: item.meta });
       }
-
-      offset += size;
-    }
+    });
+    // Nothing to queue: report the batch right away, no job will settle it
+    if (items.length === 0) finishBatch(batch);
+    return batch;
   }
 
-  // Update track ID in moof box (in tfhd)
-  function updateTrackIdInMoof(moofData, newTrackId) {
-    const view = new DataView(moofData.buffer, moofData.byteOffset, moofData.byteLength);
-    let offset = 8; // Skip moof header
+  const MUX_TRANSFER_CHUNK = 8 * 1024 * 1024; // Raw bytes per runtime message
 
-    while (offset < moofData.length - 8) {
-      const size = view.getUint32(offset);
-      const type = String.fromCharCode(
-        moofData[offset + 4], moofData[offset + 5], moofData[offset + 6], moofData[offset + 7]
-      );
+  // Reports the background sends this page (muxProgress, downloadDone). A content script gets
+  // them as tab messages; an extension page gets them on its own port, since runtime messages
+  // would reach every extension page.
+  const backgroundListeners = new Set();
 
-      if (size < 8 || offset + size > moofData.length) break;
+  function dispatchBackgroundMessage(message) {
+    backgroundListeners.forEach(listener => listener(message));
+  }
 
-      if (type === 'traf') {
-        // Search for tfhd inside traf
-        let trafOffset = offset + 8;
-        while (trafOffset < offset + size - 8) {
-          const subSize = view.getUint32(trafOffset);
-          const subType = String.fromCharCode(
-            moofData[trafOffset + 4], moofData[trafOffset + 5],
-            moofData[trafOffset + 6], moofData[trafOffset + 7]
-          );
+  // A port to the background is open while a save or mux is pending: extension pages get their
+  // reports over it (tab messages only reach content scripts), and its closing tells the
+  // background that the page is gone. The port also closes whenever the worker stops; it is
+  // reconnected if something is still pending, so an idle page does not keep the worker running.
+  let backgroundPort = null;
+  let backgroundPortHolds = 0;
+
+  function connectBackgroundPort() {
+    // After the extension is reloaded or updated this page is cut off from it for good
+    if (backgroundPort || !chrome.runtime.id) return;
+    backgroundPort = chrome.runtime.connect({ name: 'svd-page' });
+    backgroundPort.onMessage.addListener(dispatchBackgroundMessage);
+    backgroundPort.onDisconnect.addListener(() => {
+      backgroundPort = null;
+      if (backgroundPortHolds > 0) connectBackgroundPort();
+    });
+  }
 
-          if (subSize < 8) break;
+  // Keep the port open until the returned function is called
+  function holdBackgroundPort() {
+    backgroundPortHolds++;
+    connectBackgroundPort();
+    let held = true;
+    return () => {
+      if (!held) return;
+      held = false;
+      backgroundPortHolds--;
+      if (backgroundPortHolds === 0 && backgroundPort) {
+        backgroundPort.disconnect();
+        backgroundPort = null;
+      }
+    };
+  }
 
-          if (subType === 'tfhd') {
-            // tfhd: header(8) + version(1) + flags(3) + track_ID(4)
-            view.setUint32(trafOffset + 12, newTrackId);
-            console.log('Updated tfhd track_ID to', newTrackId);
-            return;
-          }
+  if (!EXTENSION_PAGE) {
+    chrome.runtime.onMessage.addListener((message) => dispatchBackgroundMessage(message));
+  }
 
-          trafOffset += subSize;
+  // Send a message to the background script, rejecting on error responses
+  function sendRuntimeMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response) {
+          reject(new Error('No response from extension'));
+        } else if (response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
         }
-      }
-
-      offset += size;
-    }
+      });
+    });
   }
 
-  // Mux video and audio using MP4Box (loaded as content script)
-  async function muxVideoAudio(videoData, audioData, onProgress) {
-    if (typeof MP4Box === 'undefined') {
-      throw new Error('MP4Box library not loaded');
+  // Run a muxer operation ('mux' or 'remux', see SVDMuxer.runOperation) in the
+  // offscreen document, keeping the page responsive. Runtime messages are JSON, so
+  // tracks go over (and the result comes back) as base64 chunks.
+  // Falls back to running in the page if the offscreen document is unavailable.
+  // tracks: { video?, audio? } ArrayBuffers; options are passed on to the operation
+  async function runMuxer(operation, tracks, onProgress, signal, options = {}) {
+    signal.throwIfAborted();
+    const inputs = Object.entries(tracks).map(([name, data]) => [name, new Uint8Array(data)]);
+    const sizes = Object.fromEntries(inputs.map(([name, bytes]) => [name, bytes.length]));
+
+    const releasePort = holdBackgroundPort();
+    let requestId;
+    try {
+      ({ requestId } = await sendRuntimeMessage({ action: 'muxRequest', sizes }));
+    } catch (error) {
+      releasePort();
+      console.log('Steam Video Downloader: Offscreen muxer unavailable, muxing in page:', error.message);
+      return runOperation(operation, tracks, onProgress, signal, options);
     }
 
-    console.log('Starting mux, video size:', videoData.byteLength, 'audio size:', audioData.byteLength);
-    onProgress && onProgress('Parsing streams...');
-
-    // Try direct defragmentation approach - extract stsd from original files
-    try {
-      onProgress && onProgress('Converting to standard MP4...');
-      const result = await defragmentWithRawStsd(videoData, audioData, onProgress);
-      if (result && result.byteLength > videoData.byteLength * 0.9) {
-        console.log('Direct defragmentation successful, size:', result.byteLength);
-        return result;
+    const onMessage = (message) => {
+      if (message.action === 'muxProgress' && message.requestId === requestId) {
+        onProgress(message.status);
       }
-    } catch (e) {
-      console.log('Direct defragmentation failed:', e);
-    }
+    };
+    const onAbort = () => {
+      sendRuntimeMessage({ action: 'muxCancel', requestId }).catch(() => {});
+    };
+    backgroundListeners.add(onMessage);
+    signal.addEventListener('abort', onAbort, { once: true });
 
-    // Fallback to fragmented MP4
     try {
-      const fragmented = await binaryMuxFragmentedMP4(videoData, audioData, onProgress);
-      if (fragmented && fragmented.byteLength > videoData.byteLength * 0.9) {
-        console.log('Binary mux successful (fragmented), output size:', fragmented.byteLength);
-        return fragmented;
+      const total = inputs.reduce((sum, [, bytes]) => sum + bytes.length, 0);
+      let sent = 0;
+      for (const [track, bytes] of inputs) {
+        for (let offset = 0; offset < bytes.length; offset += MUX_TRANSFER_CHUNK) {
+          signal.throwIfAborted();
+          const chunk = bytes.subarray(offset, offset + MUX_TRANSFER_CHUNK);
+          await sendRuntimeMessage({ action: 'muxChunk', requestId, track, offset, data: bytesToBase64(chunk) });
+          sent += chunk.length;
+          onProgress(`Sending to muxer... ${Math.round((sent / total) * 100)}%`);
+        }
       }
-    } catch (e) {
-      console.log('Binary mux failed:', e);
-    }
-
-    // Helper to parse an MP4 file and extract all samples
-    function parseFile(data, name) {
-      return new Promise((resolve, reject) => {
-        const file = MP4Box.createFile();
-        let info = null;
-        const samples = [];
-        let extractionDone = false;
-        let totalSamples = 0;
-
-        file.onReady = (fileInfo) => {
-          console.log(`${name} parsed:`, fileInfo);
-          info = fileInfo;
-          if (fileInfo.tracks && fileInfo.tracks.length > 0) {
-            const track = fileInfo.tracks[0];
-            totalSamples = track.nb_samples || 0;
-            console.log(`${name} has ${totalSamples} samples`);
-            file.setExtractionOptions(track.id, null, { nbSamples: totalSamples });
-            file.start();
-          } else {
-            resolve({ info: null, samples: [], file: null });
-          }
-        };
-
-        file.onSamples = (id, user, sampleBatch) => {
-          console.log(`${name}: Got ${sampleBatch.length} samples, total now: ${samples.length + sampleBatch.length}`);
-          samples.push(...sampleBatch);
-
-          // Check if we have all samples
-          if (samples.length >= totalSamples && !extractionDone) {
-            extractionDone = true;
-            console.log(`${name}: Extraction complete with ${samples.length} samples`);
-            resolve({ info, samples, file });
-          }
-        };
 
-        file.onError = (e) => {
-          console.error(`${name} error:`, e);
-          reject(e);
-        };
+      signal.throwIfAborted();
+      const { size, chunkSize, chunks } = await sendRuntimeMessage({ action: 'muxRun', requestId, operation, options });
 
-        // Append data
-        const buf = data.slice(0);
-        buf.fileStart = 0;
-        file.appendBuffer(buf);
-        file.flush();
-
-        // Timeout fallback if onSamples doesn't complete
-        setTimeout(() => {
-          if (!extractionDone) {
-            extractionDone = true;
-            console.log(`${name}: Timeout reached with ${samples.length} samples`);
-            resolve({ info, samples, file });
-          }
-        }, 3000);
-      });
+      const result = new Uint8Array(size);
+      for (let i = 0; i < chunks; i++) {
+        signal.throwIfAborted();
+        onProgress(`Receiving muxed file... ${Math.round((i / chunks) * 100)}%`);
+        const { data } = await sendRuntimeMessage({ action: 'muxResultChunk', requestId, index: i });
+        result.set(base64ToBytes(data), i * chunkSize);
+      }
+      return result.buffer;
+    } finally {
+      backgroundListeners.delete(onMessage);
+      signal.removeEventListener('abort', onAbort);
+      if (!signal.aborted) {
+        sendRuntimeMessage({ action: 'muxRelease', requestId }).catch(() => {});
+      }
+      releasePort();
     }
+  }
 
-    try {
-      // Parse both files
-      onProgress && onProgress('Parsing video...');
-      const videoResult = await parseFile(videoData, 'Video');
+  // Download one representation and remux it into a standalone, faststart file
+  // (audio-only M4A, silent MP4)
+  async function runSingleTrackDownload(job, rep, range, trim, filename) {
+    const signal = job.signal;
+    const kind = rep.type;
 
-      onProgress && onProgress('Parsing audio...');
-      const audioResult = await parseFile(audioData, 'Audio');
+    job.update(`Downloading ${kind}...`, 2);
+    const chunks = await downloadSegments(rep, (p) => {
+      job.update(`Downloading ${kind}... ${Math.round(p)}%`, 2 + (p * 0.83));
+    }, job, range);
 
-      const videoInfo = videoResult.info;
-      const audioInfo = audioResult.info;
-      const videoSamples = videoResult.samples;
-      const audioSamples = audioResult.samples;
+    const data = concatenateBuffers(chunks);
+    chunks.length = 0;
 
-      console.log('Parsed - Video samples:', videoSamples.length, 'Audio samples:', audioSamples.length);
+    await job.checkpoint();
+    job.update('Converting to standard file...', 88);
 
-      if (!videoInfo || !videoInfo.tracks || videoInfo.tracks.length === 0) {
-        console.log('No valid video info, returning raw data');
-        return videoData;
-      }
+    const options = { metadata: await outputMetadata(job) };
+    if (trim) {
+      const offset = rep.segments[range.first].start;
+      options.trim = { start: trim.start, end: trim.end, videoOffset: offset, audioOffset: offset };
+    }
 
-      onProgress && onProgress('Creating combined file...');
+    // The fragmented stream is not a standard file, so a failed conversion fails the job
+    let output;
+    try {
+      output = await runMuxer('remux', { [kind]: data }, (status) => {
+        job.update(status, 90);
+      }, signal, options);
+    } catch (error) {
+      if (isAbortError(error, signal)) throw error;
+      console.error('Conversion failed:', error);
+      throw new Error(`Could not convert the ${kind} to a standard file: ${error.message}`);
+    }
 
-      // Create output file
-      const outputFile = MP4Box.createFile();
-      const vTrack = videoInfo.tracks[0];
+    signal.throwIfAborted();
+    job.update('Complete!', 100);
+    await saveJobOutput(job, new Blob([output], { type: kind === 'audio' ? 'audio/mp4' : 'video/mp4' }), filename);
+  }
 
-      // Get codec configuration from the parsed file
-      let videoDesc = null;
-      let avcC = null;
-      if (videoResult.file) {
-        try {
-          const trak = videoResult.file.getTrackById(vTrack.id);
-          if (trak && trak.mdia && trak.mdia.minf && trak.mdia.minf.stbl && trak.mdia.minf.stbl.stsd) {
-            const entry = trak.mdia.minf.stbl.stsd.entries[0];
-            videoDesc = entry; // Full sample description entry
-            if (entry && entry.avcC) {
-              avcC = entry.avcC;
-              console.log('Found avcC configuration');
-            } else if (entry && entry.hvcC) {
-              console.log('Found HEVC codec (hvcC)');
-            } else if (entry && entry.av1C) {
-              console.log('Found AV1 codec (av1C)');
-            }
-            console.log('Video sample entry type:', entry?.type);
-          }
-        } catch (e) {
-          console.log('Could not extract codec config:', e);
-        }
-      }
+  // Queue worker for DASH downloads
+  async function runDashDownload(job, mpdUrl, filename, selection) {
+    const signal = job.signal;
 
-      // Add video track
-      let videoTrackId;
-      try {
-        const width = vTrack.video?.width || vTrack.track_width || 1920;
-        const height = vTrack.video?.height || vTrack.track_height || 1080;
-
-        const trackOpts = {
-          type: vTrack.type || 'video',
-          timescale: vTrack.timescale || 90000,
-          duration: vTrack.duration || 0,
-          width: width,
-          height: height,
-          brands: ['isom', 'iso2', 'avc1', 'mp41'],
-          avcDecoderConfigRecord: avcC,
-          description: videoDesc, // Pass full description
-        };
+    job.update('Parsing video manifest...', 0);
+    const { representations, totalDuration } = await parseMovieManifests(mpdUrl, signal, selection.variants);
 
-        console.log('Creating video track with:', { type: trackOpts.type, timescale: trackOpts.timescale, width, height, hasAvcC: !!avcC, hasDesc: !!videoDesc });
-        videoTrackId = outputFile.addTrack(trackOpts);
-        console.log('Added video track:', videoTrackId);
-      } catch (e) {
-        console.error('Failed to add video track:', e);
-        return videoData;
-      }
+    // Use the picked streams, falling back to the best quality
+    const { videos, audios } = sortRepresentations(representations);
 
-      // Add video samples
-      let addedVideoSamples = 0;
-      for (const sample of videoSamples) {
-        try {
-          outputFile.addSample(videoTrackId, sample.data, {
-            duration: sample.duration,
-            dts: sample.dts,
-            cts: sample.cts,
-            is_sync: sample.is_sync
-          });
-          addedVideoSamples++;
-        } catch (e) {
-          // Continue even if some samples fail
-        }
-      }
-      console.log('Added', addedVideoSamples, 'video samples');
-
-      onProgress && onProgress('Adding audio...');
-
-      // Add audio track if available
-      if (audioInfo && audioInfo.tracks && audioInfo.tracks.length > 0 && audioSamples.length > 0) {
-        const aTrack = audioInfo.tracks[0];
-        console.log('Audio track info:', aTrack);
-
-        // Get audio codec config - need esds for AAC
-        let audioDesc = null;
-        let esds = null;
-        if (audioResult.file) {
-          try {
-            const audioTrak = audioResult.file.getTrackById(aTrack.id);
-            if (audioTrak && audioTrak.mdia && audioTrak.mdia.minf && audioTrak.mdia.minf.stbl && audioTrak.mdia.minf.stbl.stsd) {
-              const entry = audioTrak.mdia.minf.stbl.stsd.entries[0];
-              audioDesc = entry;
-              console.log('Audio sample entry:', entry?.type, 'has esds:', !!entry?.esds);
-              if (entry && entry.esds) {
-                esds = entry.esds;
-              }
-            }
-          } catch (e) {
-            console.log('Could not extract audio codec config:', e);
-          }
-        }
+    console.log('Found representations - videos:', videos.length, 'audios:', audios.length);
+    console.log('All representations:', representations);
 
-        try {
-          // For AAC audio, we need proper codec configuration
-          const sampleRate = aTrack.audio?.sample_rate || 48000;
-          const channelCount = aTrack.audio?.channel_count || 2;
-
-          const audioOpts = {
-            type: 'audio',
-            timescale: aTrack.timescale || sampleRate,
-            duration: aTrack.duration || 0,
-            media_duration: aTrack.movie_duration || aTrack.duration || 0,
-            samplerate: sampleRate,
-            channel_count: channelCount,
-            samplesize: 16,
-            hdlr: 'soun',
-            name: 'SoundHandler',
-          };
-
-          // If we have the original description with esds, use it
-          if (audioDesc) {
-            audioOpts.description = audioDesc;
-          }
-
-          console.log('Creating audio track with:', {
-            timescale: audioOpts.timescale,
-            samplerate: sampleRate,
-            channels: channelCount,
-            hasDesc: !!audioDesc,
-            hasEsds: !!esds
-          });
-
-          const audioTrackId = outputFile.addTrack(audioOpts);
-          console.log('Added audio track:', audioTrackId);
-
-          if (audioTrackId) {
-            let addedAudioSamples = 0;
-            for (const sample of audioSamples) {
-              try {
-                outputFile.addSample(audioTrackId, sample.data, {
-                  duration: sample.duration,
-                  dts: sample.dts,
-                  cts: sample.cts,
-                  is_sync: sample.is_sync
-                });
-                addedAudioSamples++;
-              } catch (e) {
-                if (addedAudioSamples === 0) {
-                  console.error('First audio sample failed:', e);
-                }
-              }
-            }
-            console.log('Added', addedAudioSamples, 'of', audioSamples.length, 'audio samples');
-          } else {
-            console.error('Audio track ID is null/undefined');
-          }
-        } catch (e) {
-          console.error('Failed to add audio track:', e);
-        }
-      } else {
-        console.log('No audio to add - audioInfo:', !!audioInfo, 'tracks:', audioInfo?.tracks?.length, 'samples:', audioSamples.length);
-      }
+    if (videos.length === 0) {
+      throw new Error('No video streams found');
+    }
 
-      onProgress && onProgress('Finalizing...');
+    const candidates = preferCodec(videos, selection.codec || settings.codecPreference);
+    const bestVideo = videos.find(r => r.id === selection.videoId) ||
+      (selection.maxHeight && (candidates.find(r => r.height <= selection.maxHeight) || candidates[candidates.length - 1])) ||
+      candidates[0];
+    const bestAudio = audios.find(r => r.id === selection.audioId) || audios[0];
+    const only = selection.only || null;
+    if (only === 'audio' && !bestAudio) {
+      throw new Error('No audio stream found');
+    }
 
-      // Get output
-      try {
-        const output = outputFile.getBuffer();
-        console.log('Output size:', output?.byteLength);
+    // WebM only carries VP8/VP9/AV1 with Opus/Vorbis; other codecs fall back to MKV
+    let container = selection.container || 'mp4';
+    if (container === 'webm' && !(isWebmCodec(bestVideo.codec) && (!bestAudio || isWebmCodec(bestAudio.codec)))) {
+      console.log('Steam Video Downloader: WebM cannot hold', bestVideo.codec, bestAudio?.codec, '- writing MKV');
+      container = 'mkv';
+    }
+    if (selection.nameTokens) {
+      // Templated names are finished once the streams are known
+      const video = only === 'audio' ? null : bestVideo;
+      filename = formatFileName({
+        ...selection.nameTokens,
+        width: video?.width,
+        height: video?.height,
+        codec: CODEC_NAMES[codecFamily(video ? video.codec : bestAudio.codec)],
+        ext: only === 'audio' ? 'm4a' : only === 'video' ? 'mp4' : container
+      });
+      job.name = filename;
+      renderQueue();
+    } else if (container !== 'mp4') {
+      filename = filename.replace(/\.\w+$/, `.${container}`);
+    }
+
+    console.log('Selected video:', bestVideo?.width + 'x' + bestVideo?.height, bestVideo?.codec);
+    console.log('Selected audio:', bestAudio?.bandwidth, bestAudio?.codec);
+
+    // Trimmed exports fetch only the segments covering the range
+    const trim = selection.trim || null;
+    let videoRange = null;
+    let audioRange = null;
+    if (trim) {
+      if (totalDuration && trim.start >= totalDuration) {
+        throw new Error(`Trim start ${formatTimecode(trim.start)} is past the end of the video (${formatTimecode(totalDuration)})`);
+      }
+      videoRange = selectSegmentRange(bestVideo.segments, trim.start, trim.end);
+      audioRange = bestAudio ? selectSegmentRange(bestAudio.segments, trim.start, trim.end) : null;
+    }
+
+    Object.assign(job.meta, {
+      duration: totalDuration,
+      trim,
+      only,
+      container: only ? null : container,
+      video: only === 'audio' ? null : { id: bestVideo.id, width: bestVideo.width, height: bestVideo.height, codec: bestVideo.codec, bandwidth: bestVideo.bandwidth },
+      audio: bestAudio && only !== 'video' ? { id: bestAudio.id, codec: bestAudio.codec, bandwidth: bestAudio.bandwidth, sampleRate: bestAudio.sampleRate } : null
+    });
 
-        if (output && output.byteLength > 10000) {
-          return output;
-        } else {
-          console.log('Output too small, using raw video');
-          return videoData;
-        }
-      } catch (e) {
-        console.error('getBuffer failed:', e);
-        return videoData;
-      }
+    // Persist progress so the job can be resumed after a reload
+    const resumeRecord = {
+      key: `${mpdUrl}|${filename}`,
+      mpdUrl,
+      filename,
+      selection: { videoId: bestVideo.id, audioId: bestAudio ? bestAudio.id : null, codec: selection.codec, trim, only, container: selection.container },
+      repIds: only === 'audio' ? [bestAudio.id] : bestAudio && only !== 'video' ? [bestVideo.id, bestAudio.id] : [bestVideo.id],
+      meta: job.meta,
+      pageUrl: window.location.href
+    };
+    job.resume = { record: resumeRecord, storeSegments: true };
+    await saveResumeRecord(resumeRecord);
+
+    // Large outputs go straight to disk instead of being assembled in memory
+    const estimatedSize = estimateSize(bestVideo, totalDuration) + estimateSize(bestAudio, totalDuration);
+    if (!trim && !only && container === 'mp4' && estimatedSize >= STREAM_THRESHOLD_BYTES && bestVideo.init && canStreamToDisk()) {
+      console.log('Streaming to disk, estimated size:', formatBytes(estimatedSize));
+      // Segments go to the temp file as they arrive; keeping them for resuming as well would
+      // store the trailer twice, so a streamed trailer restarts when it is resumed
+      job.resume.storeSegments = false;
+      await streamDashToFile(job, bestVideo, bestAudio && bestAudio.init ? bestAudio : null, filename);
+      return;
+    }
 
-    } catch (error) {
-      console.error('Mux error:', error);
-      return videoData; // Fallback to video only
+    if (only === 'audio') {
+      await runSingleTrackDownload(job, bestAudio, audioRange, trim, filename);
+      return;
     }
-  }
 
-  // Extract app ID from URL
-  function getAppId() {
-    const match = window.location.pathname.match(/\/app\/(\d+)/);
-    return match ? match[1] : null;
-  }
+    // Silent exports (and trailers without audio) skip the audio download
+    if (only === 'video' || !bestAudio) {
+      await runSingleTrackDownload(job, bestVideo, videoRange, trim, filename);
+      return;
+    }
 
-  // Parse DASH MPD manifest
-  async function parseMPD(mpdUrl) {
-    const response = await fetch(mpdUrl);
-    const text = await response.text();
-    const parser = new DOMParser();
-    const xml = parser.parseFromString(text, 'application/xml');
+    job.update(`Downloading video (${bestVideo.width}x${bestVideo.height})...`, 2);
 
-    const baseUrl = mpdUrl.substring(0, mpdUrl.lastIndexOf('/') + 1);
-    const representations = [];
+    // Download video segments
+    const videoChunks = await downloadSegments(bestVideo, (p) => {
+      job.update(`Downloading video... ${Math.round(p)}%`, 2 + (p * 0.40));
+    }, job, videoRange);
 
-    // Get video representations
-    xml.querySelectorAll('AdaptationSet[contentType="video"] Representation').forEach(rep => {
-      const segTemplate = rep.querySelector('SegmentTemplate');
-      if (segTemplate) {
-        const init = segTemplate.getAttribute('initialization').replace('$RepresentationID$', rep.getAttribute('id'));
-        const media = segTemplate.getAttribute('media');
-        const duration = parseInt(segTemplate.getAttribute('duration')) / parseInt(segTemplate.getAttribute('timescale') || 1000000);
-
-        representations.push({
-          id: rep.getAttribute('id'),
-          type: 'video',
-          width: parseInt(rep.getAttribute('width')),
-          height: parseInt(rep.getAttribute('height')),
-          bandwidth: parseInt(rep.getAttribute('bandwidth')),
-          codec: rep.getAttribute('codecs'),
-          init: baseUrl + init,
-          mediaTemplate: baseUrl + media,
-          segmentDuration: duration
-        });
-      }
-    });
+    const videoData = concatenateBuffers(videoChunks);
+    videoChunks.length = 0;
 
-    // Get audio representations
-    xml.querySelectorAll('AdaptationSet[contentType="audio"] Representation').forEach(rep => {
-      const segTemplate = rep.querySelector('SegmentTemplate');
-      if (segTemplate) {
-        const init = segTemplate.getAttribute('initialization').replace('$RepresentationID$', rep.getAttribute('id'));
-        const media = segTemplate.getAttribute('media');
-        const duration = parseInt(segTemplate.getAttribute('duration')) / parseInt(segTemplate.getAttribute('timescale') || 1000000);
-
-        representations.push({
-          id: rep.getAttribute('id'),
-          type: 'audio',
-          bandwidth: parseInt(rep.getAttribute('bandwidth')),
-          codec: rep.getAttribute('codecs'),
-          init: baseUrl + init,
-          mediaTemplate: baseUrl + media,
-          segmentDuration: duration
-        });
-      }
-    });
+    job.update('Downloading audio...', 45);
+
+    // Download audio segments
+    const audioChunks = await downloadSegments(bestAudio, (p) => {
+      job.update(`Downloading audio... ${Math.round(p)}%`, 45 + (p * 0.40));
+    }, job, audioRange);
 
-    // Get total duration - parse ISO 8601 duration format (e.g., PT1H2M30.5S, PT90S, PT5M)
-    const durationAttr = xml.querySelector('MPD').getAttribute('mediaPresentationDuration');
-    let totalDuration = 60;
-    if (durationAttr) {
-      const hoursMatch = durationAttr.match(/(\d+\.?\d*)H/);
-      const minutesMatch = durationAttr.match(/(\d+\.?\d*)M/);
-      const secondsMatch = durationAttr.match(/(\d+\.?\d*)S/);
+    const audioData = concatenateBuffers(audioChunks);
+    audioChunks.length = 0;
+    console.log('Downloaded - video size:', videoData.byteLength, 'audio size:', audioData.byteLength);
 
-      const hours = hoursMatch ? parseFloat(hoursMatch[1]) : 0;
-      const minutes = minutesMatch ? parseFloat(minutesMatch[1]) : 0;
-      const seconds = secondsMatch ? parseFloat(secondsMatch[1]) : 0;
+    await job.checkpoint();
+    job.update('Combining video & audio...', 88);
 
-      const parsedDuration = hours * 3600 + minutes * 60 + seconds;
-      if (parsedDuration > 0) totalDuration = parsedDuration;
+    // Try to mux video and audio
+    let muxedData;
+    try {
+      const muxOptions = { metadata: await outputMetadata(job) };
+      // Each track's data starts at its first fetched segment
+      if (trim) {
+        muxOptions.trim = {
+          start: trim.start,
+          end: trim.end,
+          videoOffset: bestVideo.segments[videoRange.first].start,
+          audioOffset: bestAudio.segments[audioRange.first].start
+        };
+      }
+      if (container !== 'mp4') {
+        muxOptions.container = container;
+      }
+      muxedData = await runMuxer(container === 'mp4' ? 'mux' : 'matroska', { video: videoData, audio: audioData }, (status) => {
+        job.update(status, 90);
+      }, signal, muxOptions);
+    } catch (muxError) {
+      if (isAbortError(muxError, signal)) throw muxError;
+      console.error('Muxing failed:', muxError);
+      job.update('Muxing failed, downloading separately...', 95);
+
+      // Fallback: download separately
+      await saveJobOutput(job, new Blob([videoData], { type: 'video/mp4' }), filename.replace(/\.\w+$/, '_video.mp4'));
+      await new Promise(r => setTimeout(r, 500));
+      signal.throwIfAborted();
+      await saveJobOutput(job, new Blob([audioData], { type: 'audio/mp4' }), filename.replace(/\.\w+$/, '_audio.m4a'));
+      job.update('Saved video and audio separately', 100);
+      return;
     }
 
-    return { representations, totalDuration, baseUrl };
-  }
+    // Cancel may land while the last mux step finishes
+    signal.throwIfAborted();
+    job.update('Complete!', 100);
 
-  // Download all segments for a representation
-  async function downloadSegments(rep, totalDuration, onProgress) {
-    const chunks = [];
+    // Download the muxed file
+    await saveJobOutput(job, new Blob([muxedData], { type: CONTAINER_TYPES[container] }), filename);
+  }
 
-    // Download init segment
-    const initResponse = await fetch(rep.init);
-    chunks.push(await initResponse.arrayBuffer());
+  // Queue worker for direct downloads, streamed so progress and pause work
+  async function runDirectDownload(job, url, filename) {
+    const signal = job.signal;
 
-    // Calculate number of segments
-    const numSegments = Math.ceil(totalDuration / rep.segmentDuration);
+    job.update('Downloading video...', 0);
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const total = parseInt(response.headers.get('content-length') || '0');
+    const reader = response.body.getReader();
+    let chunks = [];
+    let received = 0;
 
-    // Download each segment
-    for (let i = 1; i <= numSegments; i++) {
-      const segUrl = rep.mediaTemplate
-        .replace('$RepresentationID$', rep.id)
-        .replace('$Number%05d$', String(i).padStart(5, '0'));
+    const onAbort = () => {
+      chunks = [];
+      reader.cancel().catch(() => {});
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
 
-      try {
-        const response = await fetch(segUrl);
-        if (response.ok) {
-          chunks.push(await response.arrayBuffer());
-          onProgress((i / numSegments) * 100);
+    try {
+      while (true) {
+        await job.checkpoint();
+        const { done, value } = await reader.read();
+        signal.throwIfAborted();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        if (total > 0) {
+          job.update(`Downloading... ${formatBytes(received)} of ${formatBytes(total)}`, Math.round((received / total) * 95));
+        } else {
+          job.update(`Downloading... ${formatBytes(received)}`, 50);
         }
-      } catch (e) {
-        console.log(`Segment ${i} failed, stopping`);
-        break;
       }
+    } finally {
+      signal.removeEventListener('abort', onAbort);
     }
 
-    return chunks;
+    const blob = new Blob(chunks);
+    chunks = [];
+    job.update('Complete!', 100);
+    await saveJobOutput(job, blob, filename);
   }
 
-  // Concatenate ArrayBuffers
-  function concatenateBuffers(buffers) {
-    const totalLength = buffers.reduce((acc, buf) => acc + buf.byteLength, 0);
-    const result = new Uint8Array(totalLength);
-    let offset = 0;
-    for (const buffer of buffers) {
-      result.set(new Uint8Array(buffer), offset);
-      offset += buffer.byteLength;
-    }
-    return result.buffer;
+  // Save a finished file, into the job's ZIP bundle when it has one. release, if given, is
+  // called once nothing reads the blob any more: after its download, or after the ZIP's.
+  async function saveJobOutput(job, blob, filename, release = null) {
+    if (job.batch) {
+      filename = uniqueBatchName(job.batch, filename);
+    }
+    const zip = job.batch && job.batch.zip;
+    if (zip && zip.fits(blob.size)) {
+      await zip.addFile(filename, blob);
+      if (release && zip.copies) release();
+      else if (release) job.batch.releases.push(release);
+    } else {
+      await downloadBlob(blob, filename, job.meta.game || job.batch?.gameName, release);
+    }
+    job.files.push(filename);
   }
 
-  // Find DASH MPD URLs from page
-  function findDashUrls() {
-    const dashUrls = [];
-    const appId = getAppId();
-    if (!appId) {
-      console.log('Steam Video Downloader: No app ID found');
-      return dashUrls;
-    }
-    console.log('Steam Video Downloader: Looking for videos, appId:', appId);
-
-    // Method 1: Search all script tags for trailer URLs
-    document.querySelectorAll('script').forEach(script => {
-      const text = script.textContent || '';
-
-      // Pattern for DASH manifest URLs
-      const trailerMatches = text.matchAll(/store_trailers\/(\d+)\/(\d+)\/([a-f0-9]+)\/(\d+)/g);
-      for (const match of trailerMatches) {
-        const [, appMatch, movieId, hash, version] = match;
-        const mpdUrl = `https://video.fastly.steamstatic.com/store_trailers/${appMatch}/${movieId}/${hash}/${version}/dash_av1.mpd`;
-        if (!dashUrls.find(d => d.url === mpdUrl)) {
-          dashUrls.push({
-            url: mpdUrl,
-            movieId,
-            name: `Trailer`
-          });
-        }
-      }
-    });
-
-    // Method 2: Look for video elements with data attributes
-    document.querySelectorAll('[data-webm-source], [data-mp4-source], [data-dash-source]').forEach(el => {
-      const dashSrc = el.getAttribute('data-dash-source');
-      if (dashSrc && !dashUrls.find(d => d.url === dashSrc)) {
-        dashUrls.push({
-          url: dashSrc,
-          movieId: 'unknown',
-          name: 'Trailer'
-        });
-      }
-    });
+  // Number repeated names within a batch ("Trailer.mp4", "Trailer (2).mp4"), so ZIP entries stay distinct
+  function uniqueBatchName(batch, filename) {
+    const dot = filename.lastIndexOf('.');
+    const stem = dot > 0 ? filename.slice(0, dot) : filename;
+    const ext = dot > 0 ? filename.slice(dot) : '';
+    let candidate = filename;
+    for (let n = 2; batch.usedNames.has(candidate.toLowerCase()); n++) {
+      candidate = `${stem} (${n})${ext}`;
+    }
+    batch.usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
 
-    // Method 3: Search for rgMovieFlashvars (Steam's movie data)
-    const pageHtml = document.documentElement.innerHTML;
-    const flashvarsMatch = pageHtml.match(/rgMovieFlashvars\s*=\s*(\{[^;]+\});/);
-    if (flashvarsMatch) {
-      try {
-        const movieData = JSON.parse(flashvarsMatch[1]);
-        Object.values(movieData).forEach((movie) => {
-          if (movie.DASH_AV1_SOURCE) {
-            const url = movie.DASH_AV1_SOURCE;
-            if (!dashUrls.find(d => d.url === url)) {
-              dashUrls.push({
-                url,
-                movieId: movie.MOVIE_ID || 'unknown',
-                name: movie.FILENAME?.replace(/\.[^.]+$/, '') || 'Trailer'
-              });
-            }
-          } else if (movie.WEBM_SOURCE) {
-            // Fallback to direct WEBM if no DASH
-            if (!dashUrls.find(d => d.url === movie.WEBM_SOURCE)) {
-              dashUrls.push({
-                url: movie.WEBM_SOURCE,
-                movieId: movie.MOVIE_ID || 'unknown',
-                name: movie.FILENAME?.replace(/\.[^.]+$/, '') || 'Trailer',
-                isDirect: true
-              });
-            }
-          }
-        });
-      } catch (e) {
-        console.log('Steam Video Downloader: Failed to parse rgMovieFlashvars', e);
-      }
-    }
-
-    // Method 4: Look for highlight_movie elements
-    document.querySelectorAll('.highlight_movie').forEach(el => {
-      const movieId = el.getAttribute('data-movie-id') || el.id?.replace('highlight_movie_', '');
-      if (movieId) {
-        // Try to find the movie URL in page scripts
-        const urlMatch = pageHtml.match(new RegExp(`"MOVIE_ID"\\s*:\\s*"?${movieId}"?[^}]*"DASH_AV1_SOURCE"\\s*:\\s*"([^"]+)"`));
-        if (urlMatch && !dashUrls.find(d => d.url === urlMatch[1])) {
-          dashUrls.push({
-            url: urlMatch[1],
-            movieId,
-            name: 'Trailer'
-          });
+  // CRC-32 lookup table for the ZIP writer
+  let crcTable = null;
+  function getCrcTable() {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
         }
-      }
-    });
-
-    // Method 5: Search for DASH manifest URLs in escaped JSON (Steam uses \/ escaping)
-    // Prefer H264 over AV1 for better compatibility
-    // Pattern matches URLs like: https:\/\/video.fastly.steamstatic.com\/store_trailers\/...\/dash_h264.mpd
-    const h264MpdMatches = pageHtml.matchAll(/https?:\\?\/\\?\/video\.(?:fastly|akamai)\.steamstatic\.com\\?\/store_trailers\\?\/\d+\\?\/\d+\\?\/[a-f0-9]+\\?\/\d+\\?\/dash_h264\.mpd(?:\?[^"'\\]*)*/gi);
-    for (const match of h264MpdMatches) {
-      let url = match[0].replace(/\\\//g, '/').replace(/\\u002F/g, '/');
-      const baseUrl = url.split('?')[0];
-      if (!dashUrls.find(d => d.url === baseUrl || d.url === url)) {
-        const titleMatch = pageHtml.substring(Math.max(0, match.index - 200), match.index).match(/"title"\s*:\s*"([^"]+)"/);
-        dashUrls.push({
-          url: baseUrl,
-          movieId: 'trailer',
-          name: titleMatch ? titleMatch[1] : 'Trailer'
-        });
+        crcTable[n] = c >>> 0;
       }
     }
+    return crcTable;
+  }
 
-    // Fallback to AV1 if no H264 found
-    if (dashUrls.length === 0) {
-      const av1MpdMatches = pageHtml.matchAll(/https?:\\?\/\\?\/video\.(?:fastly|akamai)\.steamstatic\.com\\?\/store_trailers\\?\/\d+\\?\/\d+\\?\/[a-f0-9]+\\?\/\d+\\?\/dash_av1\.mpd(?:\?[^"'\\]*)*/gi);
-      for (const match of av1MpdMatches) {
-        let url = match[0].replace(/\\\//g, '/').replace(/\\u002F/g, '/');
-        const baseUrl = url.split('?')[0];
-        if (!dashUrls.find(d => d.url === baseUrl || d.url === url)) {
-          const titleMatch = pageHtml.substring(Math.max(0, match.index - 200), match.index).match(/"title"\s*:\s*"([^"]+)"/);
-          dashUrls.push({
-            url: baseUrl,
-            movieId: 'trailer',
-            name: titleMatch ? titleMatch[1] : 'Trailer'
-          });
-        }
+  // Compute CRC-32 of a Blob by streaming it
+  async function crc32Blob(blob) {
+    const table = getCrcTable();
+    const reader = blob.stream().getReader();
+    let crc = 0xFFFFFFFF;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      for (let i = 0; i < value.length; i++) {
+        crc = table[(crc ^ value[i]) & 0xFF] ^ (crc >>> 8);
       }
     }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
 
-    // Method 6: Search for steamstatic video URLs
-    const videoUrlMatches = pageHtml.matchAll(/https?:\/\/[^"'\s]*(?:steamstatic|akamai)[^"'\s]*(?:movie|video|trailer)[^"'\s]*\.(?:mp4|webm|mpd)/gi);
-    for (const match of videoUrlMatches) {
-      let url = match[0];
-      // Clean up escaped characters
-      url = url.replace(/\\u002F/g, '/').replace(/\\/g, '');
-      if (!dashUrls.find(d => d.url === url)) {
-        const isDirect = !url.endsWith('.mpd');
-        dashUrls.push({
-          url,
-          movieId: 'unknown',
-          name: 'Video',
-          isDirect
-        });
-      }
-    }
+  // Store-only ZIP writer (no compression, ZIP64 when needed)
+  // Entries are written to a temp file in the origin private file system as they are added, so
+  // a large "Download all" never holds more than one file in memory. Without that file system
+  // they are kept as Blob parts (not copied), up to ZIP_MEMORY_LIMIT_BYTES.
+  const ZIP_TEMP_PREFIX = 'svd-zip-';
+  const ZIP_MEMORY_LIMIT_BYTES = 1024 * 1024 * 1024;
+  let nextZipId = 1;
+
+  function createZipWriter() {
+    const toDisk = canStreamToDisk();
+    const parts = []; // The archive, when it is kept in memory
+    let file = null; // { root, name, writable, closed } of the temp file, opened on the first write
+    const entries = [];
+    const usedNames = new Set();
+    let offset = 0;
+    let queue = Promise.resolve(); // Jobs finish concurrently; their entries are written one by one
 
-    // Method 7: Look for video source in highlight player (skip blob URLs)
-    document.querySelectorAll('video source, video[src]').forEach(el => {
-      const src = el.src || el.getAttribute('src');
-      // Skip blob URLs - they can't be downloaded directly
-      if (src && src.includes('steam') && !src.startsWith('blob:') && !dashUrls.find(d => d.url === src)) {
-        dashUrls.push({
-          url: src,
-          movieId: 'unknown',
-          name: 'Video',
-          isDirect: true
-        });
+    async function write(part) {
+      if (!toDisk) {
+        parts.push(part);
+        return;
       }
-    });
-
-    // Method 8: Look for DASH manifest in rgCommonAppsData or similar structures
-    const dashManifestMatches = pageHtml.matchAll(/dash(?:_av1)?\.mpd[^"']*/gi);
-    for (const match of dashManifestMatches) {
-      console.log('Steam Video Downloader: Found MPD reference:', match[0]);
-    }
-
-    // Method 9: Search for video.fastly.steamstatic.com or video.akamai URLs
-    const fastlyMatches = pageHtml.matchAll(/https?:\/\/video\.(?:fastly|akamai)\.steamstatic\.com\/[^"'\s<>]+/gi);
-    for (const match of fastlyMatches) {
-      let url = match[0].replace(/\\u002F/g, '/').replace(/\\/g, '');
-      if (url.endsWith('.mpd') && !dashUrls.find(d => d.url === url)) {
-        dashUrls.push({
-          url,
-          movieId: 'unknown',
-          name: 'Trailer'
-        });
+      if (!file) {
+        const root = await navigator.storage.getDirectory();
+        const name = `${ZIP_TEMP_PREFIX}${PAGE_ID}-${nextZipId++}.zip`;
+        const handle = await root.getFileHandle(name, { create: true });
+        file = { root, name, handle, writable: await handle.createWritable(), closed: false };
       }
+      await file.writable.write(part);
     }
 
-    // Method 10: Look for movie configuration in data attributes
-    document.querySelectorAll('[data-publishedfileid], [data-movie], .highlight_movie').forEach(el => {
-      const movieId = el.getAttribute('data-movie-id') || el.getAttribute('data-publishedfileid');
-      console.log('Steam Video Downloader: Found movie element:', el.className, movieId);
-    });
+    // Run fn after the writes queued before it
+    function enqueue(fn) {
+      const result = queue.then(fn);
+      queue = result.catch(() => {});
+      return result;
+    }
 
-    // Method 11: Search all scripts for store_trailers pattern (the MPD path)
-    const allScripts = document.querySelectorAll('script');
-    allScripts.forEach(script => {
-      const text = script.textContent || '';
-      // Look for trailer URL components
-      const storeTrailerMatch = text.match(/store_trailers[\\\/]+(\d+)[\\\/]+(\d+)[\\\/]+([a-f0-9]+)[\\\/]+(\d+)/i);
-      if (storeTrailerMatch) {
-        const [, appMatch, movieId, hash, version] = storeTrailerMatch;
-        const mpdUrl = `https://video.fastly.steamstatic.com/store_trailers/${appMatch}/${movieId}/${hash}/${version}/dash_av1.mpd`;
-        console.log('Steam Video Downloader: Found trailer from script:', mpdUrl);
-        if (!dashUrls.find(d => d.url === mpdUrl)) {
-          dashUrls.push({
-            url: mpdUrl,
-            movieId,
-            name: 'Trailer'
-          });
+    // MS-DOS date/time fields
+    function dosDateTime(date) {
+      const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+      const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+      return { time, day };
+    }
+
+    function setUint64(view, pos, value) {
+      view.setUint32(pos, value % 0x100000000, true);
+      view.setUint32(pos + 4, Math.floor(value / 0x100000000), true);
+    }
+
+    // Whether an entry of this size can be added; only the in-memory archive is limited
+    function fits(size) {
+      return toDisk || offset + size <= ZIP_MEMORY_LIMIT_BYTES;
+    }
+
+    // Add an entry; once this resolves the archive no longer reads blob if it is on disk (copies)
+    function addFile(name, blob) {
+      return enqueue(() => writeEntry(name, blob));
+    }
+
+    async function writeEntry(name, blob) {
+      // Keep entry names unique inside the archive
+      let entryName = name;
+      for (let n = 2; usedNames.has(entryName); n++) {
+        entryName = name.replace(/(\.[^.]*)?$/, `_${n}$1`);
+      }
+      usedNames.add(entryName);
+
+      const nameBytes = new TextEncoder().encode(entryName);
+      const crc = await crc32Blob(blob);
+      const size = blob.size;
+      const zip64 = size >= 0xFFFFFFFF || offset >= 0xFFFFFFFF;
+      const { time, day } = dosDateTime(new Date());
+
+      const extraLength = zip64 ? 20 : 0;
+      const header = new Uint8Array(30 + nameBytes.length + extraLength);
+      const view = new DataView(header.buffer);
+      view.setUint32(0, 0x04034b50, true); // Local file header signature
+      view.setUint16(4, zip64 ? 45 : 20, true); // Version needed
+      view.setUint16(6, 0x0800, true); // UTF-8 names
+      view.setUint16(8, 0, true); // Stored
+      view.setUint16(10, time, true);
+      view.setUint16(12, day, true);
+      view.setUint32(14, crc, true);
+      view.setUint32(18, zip64 ? 0xFFFFFFFF : size, true);
+      view.setUint32(22, zip64 ? 0xFFFFFFFF : size, true);
+      view.setUint16(26, nameBytes.length, true);
+      view.setUint16(28, extraLength, true);
+      header.set(nameBytes, 30);
+      if (zip64) {
+        const extra = 30 + nameBytes.length;
+        view.setUint16(extra, 0x0001, true);
+        view.setUint16(extra + 2, 16, true);
+        setUint64(view, extra + 4, size);
+        setUint64(view, extra + 12, size);
+      }
+
+      await write(header);
+      await write(blob);
+      entries.push({ nameBytes, crc, size, offset, time, day });
+      offset += header.length + size;
+    }
+
+    // Append the central directory and return the archive as a Blob (a disk-backed File when
+    // written to disk; discard() removes it once it is saved)
+    function finish() {
+      return enqueue(writeCentralDirectory);
+    }
+
+    async function writeCentralDirectory() {
+      const cdStart = offset;
+      for (const entry of entries) {
+        const zip64 = entry.size >= 0xFFFFFFFF || entry.offset >= 0xFFFFFFFF;
+        const extraLength = zip64 ? 28 : 0;
+        const record = new Uint8Array(46 + entry.nameBytes.length + extraLength);
+        const view = new DataView(record.buffer);
+        view.setUint32(0, 0x02014b50, true); // Central directory signature
+        view.setUint16(4, zip64 ? 45 : 20, true); // Version made by
+        view.setUint16(6, zip64 ? 45 : 20, true); // Version needed
+        view.setUint16(8, 0x0800, true);
+        view.setUint16(10, 0, true);
+        view.setUint16(12, entry.time, true);
+        view.setUint16(14, entry.day, true);
+        view.setUint32(16, entry.crc, true);
+        view.setUint32(20, zip64 ? 0xFFFFFFFF : entry.size, true);
+        view.setUint32(24, zip64 ? 0xFFFFFFFF : entry.size, true);
+        view.setUint16(28, entry.nameBytes.length, true);
+        view.setUint16(30, extraLength, true);
+        view.setUint32(42, zip64 ? 0xFFFFFFFF : entry.offset, true);
+        record.set(entry.nameBytes, 46);
+        if (zip64) {
+          const extra = 46 + entry.nameBytes.length;
+          view.setUint16(extra, 0x0001, true);
+          view.setUint16(extra + 2, 24, true);
+          setUint64(view, extra + 4, entry.size);
+          setUint64(view, extra + 12, entry.size);
+          setUint64(view, extra + 20, entry.offset);
         }
-      }
-    });
+        await write(record);
+        offset += record.length;
+      }
+      const cdSize = offset - cdStart;
+
+      const needsZip64 = entries.length >= 0xFFFF || cdStart >= 0xFFFFFFFF || cdSize >= 0xFFFFFFFF;
+      if (needsZip64) {
+        // ZIP64 end of central directory record + locator
+        const end64 = new Uint8Array(56 + 20);
+        const view = new DataView(end64.buffer);
+        view.setUint32(0, 0x06064b50, true);
+        setUint64(view, 4, 44);
+        view.setUint16(12, 45, true);
+        view.setUint16(14, 45, true);
+        setUint64(view, 24, entries.length);
+        setUint64(view, 32, entries.length);
+        setUint64(view, 40, cdSize);
+        setUint64(view, 48, cdStart);
+        view.setUint32(56, 0x07064b50, true);
+        setUint64(view, 64, offset);
+        view.setUint32(72, 1, true);
+        await write(end64);
+      }
+
+      const end = new Uint8Array(22);
+      const view = new DataView(end.buffer);
+      view.setUint32(0, 0x06054b50, true); // End of central directory signature
+      view.setUint16(8, Math.min(entries.length, 0xFFFF), true);
+      view.setUint16(10, Math.min(entries.length, 0xFFFF), true);
+      view.setUint32(12, needsZip64 ? 0xFFFFFFFF : cdSize, true);
+      view.setUint32(16, needsZip64 ? 0xFFFFFFFF : cdStart, true);
+      await write(end);
+
+      if (!toDisk) return new Blob(parts, { type: 'application/zip' });
+      if (!file) await write(new Uint8Array(0));
+      await file.writable.close();
+      file.closed = true;
+      return file.handle.getFile();
+    }
+
+    // Drop the archive and its temp file
+    async function discard() {
+      parts.length = 0;
+      if (!file) return;
+      if (!file.closed) await file.writable.abort().catch(() => {});
+      await file.root.removeEntry(file.name).catch(() => {});
+    }
+
+    return { addFile, finish, discard, fits, copies: toDisk };
+  }
 
-    // Debug: Log some page content to see what we're working with
-    if (dashUrls.length === 0) {
-      console.log('Steam Video Downloader: No trailer videos found. Searching for clues...');
-      const movieMatches = pageHtml.match(/movie|video|trailer|\.mp4|\.webm|\.mpd/gi);
-      console.log('Steam Video Downloader: Video-related terms found:', movieMatches?.length || 0);
+  // Write the metadata manifest, close the ZIP bundle and save it
+  async function finishZipBatch(batch) {
+    const manifest = {
+      appId: batch.appId,
+      gameName: batch.gameName,
+      storeUrl: batch.storeUrl,
+      createdAt: new Date().toISOString(),
+      items: batch.results.filter(r => r.ok).map(r => r.meta),
+      failed: batch.results.filter(r => !r.ok).map(r => ({ file: r.name, error: r.error }))
+    };
+    const manifestBlob = new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' });
+    const zip = batch.zip;
+    batch.zip = null;
+    // The archive and the files it reads from are dropped once it is saved, or when saving fails
+    let cleanups = [...batch.releases.splice(0), () => zip.discard()];
+    try {
+      await zip.addFile('manifest.json', manifestBlob);
+      const archive = await zip.finish();
+      const pending = cleanups;
+      cleanups = [];
+      await downloadBlob(archive, batch.zipName, batch.gameName, () => pending.forEach(cleanup => cleanup()));
+    } finally {
+      cleanups.forEach(cleanup => cleanup());
+    }
+  }
+
+  const BLOB_URL_TTL_MS = 60 * 1000; // Lifetime of blob URLs handed to an <a download> click
 
-      // Log any URLs that contain video-related paths
-      const anyVideoUrl = pageHtml.match(/https?:\/\/[^"'\s<>]+(?:movie|video|trailer)[^"'\s<>]*/gi);
-      console.log('Steam Video Downloader: Potential video URLs:', anyVideoUrl?.slice(0, 5));
+  // Path below the browser's download folder: the folder setting, then the game's subfolder
+  function downloadPath(filename, game) {
+    const folders = settings.downloadFolder.split(/[\\/]/).map(part => SVDFilenames.sanitize(part, ''));
+    if (settings.gameSubfolders && game) folders.push(SVDFilenames.sanitize(game, ''));
+    return [...folders.filter(Boolean), filename].join('/');
+  }
+
+  // Save a blob with chrome.downloads (through the background worker) and resolve with the saved path
+  // once the browser has written it; rejects if the download is interrupted or cancelled.
+  // game: game name for per-game subfolders; release: called once the blob has been read. Falls
+  // back to an <a download> click if the download cannot be started there.
+  async function downloadBlob(blob, filename, game = null, release = null) {
+    const url = URL.createObjectURL(blob);
+    const releasePort = holdBackgroundPort();
+    let started;
+    try {
+      started = await sendRuntimeMessage({
+        action: 'saveFile',
+        url,
+        filename: downloadPath(filename, game),
+        saveAs: settings.saveAs,
+        conflictAction: settings.conflictAction
+      });
+    } catch (error) {
+      releasePort();
+      console.log('Steam Video Downloader: chrome.downloads unavailable, saving through the page', error);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      // The browser reads the blob after click() returns and does not tell when it is done
+      setTimeout(() => {
+        URL.revokeObjectURL(url);
+        if (release) release();
+      }, BLOB_URL_TTL_MS);
+      return filename;
+    }
 
-      // Search for any store_trailers references
-      const trailerRefs = pageHtml.match(/store_trailers[^"'\s<>]*/gi);
-      console.log('Steam Video Downloader: store_trailers references:', trailerRefs?.slice(0, 5));
+    try {
+      const result = started.state === 'in_progress' ? await waitForDownload(started.downloadId) : started;
+      if (result.state !== 'complete') {
+        throw new Error(result.error || 'Download failed');
+      }
+      return result.filename || filename;
+    } finally {
+      releasePort();
+      URL.revokeObjectURL(url);
+      if (release) release();
     }
+  }
 
-    console.log('Steam Video Downloader: Found videos:', dashUrls.length, dashUrls);
-    return dashUrls;
+  // Resolve with the background's report once a chrome.downloads download finishes
+  function waitForDownload(downloadId) {
+    const early = finishedDownloads.get(downloadId);
+    if (early) {
+      finishedDownloads.delete(downloadId);
+      return Promise.resolve(early);
+    }
+    return new Promise(resolve => downloadWaiters.set(downloadId, resolve));
   }
 
-  // Find extra videos (direct downloads)
-  function findExtras() {
-    const extrasMap = new Map(); // Group by video name
-    const appId = getAppId();
-    if (!appId) return [];
+  // One report can beat the saveFile response for small files
+  backgroundListeners.add((message) => {
+    if (message.action !== 'downloadDone') return;
+    const resolve = downloadWaiters.get(message.downloadId);
+    if (resolve) {
+      downloadWaiters.delete(message.downloadId);
+      resolve(message);
+    } else {
+      finishedDownloads.set(message.downloadId, message);
+    }
+  });
+
+  // Download queue
+  // Each job runs its worker with job.signal (aborted on remove) and
+  // job.checkpoint() (throws when removed, waits while paused).
+  function enqueueJob({ name, run, batch = null, meta = {} }) {
+    const job = {
+      id: nextJobId++,
+      name,
+      run,
+      batch,
+      meta,
+      files: [],
+      status: 'queued',
+      text: 'Waiting...',
+      percent: 0,
+      started: false,
+      paused: false,
+      resumeWaiters: [],
+      resume: null,
+      controller: new AbortController()
+    };
+    job.signal = job.controller.signal;
+    job.update = (text, percent) => updateJobProgress(job, text, percent);
+    job.checkpoint = () => waitIfPaused(job);
+
+    jobs.push(job);
+    renderQueue();
+    pumpQueue();
+    return job;
+  }
 
-    const appDataEl = document.querySelector('[data-appassets]');
-    if (appDataEl) {
-      try {
-        let appAssets = appDataEl.getAttribute('data-appassets');
-        appAssets = appAssets.replace(/&quot;/g, '"');
-        const data = JSON.parse(appAssets);
-
-        Object.entries(data).forEach(([key, variants]) => {
-          if (Array.isArray(variants)) {
-            const mp4 = variants.find(v => v.extension === 'mp4');
-            const webm = variants.find(v => v.extension === 'webm');
-
-            // Get base name without extension
-            const baseName = key.replace('extras/', '').replace(/\.[^.]+$/, '');
-
-            if (!extrasMap.has(baseName)) {
-              extrasMap.set(baseName, { name: baseName, formats: {} });
-            }
-
-            const entry = extrasMap.get(baseName);
-
-            if (mp4) {
-              const url = `https://shared.fastly.steamstatic.com/store_item_assets/steam/apps/${appId}/${mp4.urlPart}`;
-              entry.formats.mp4 = url;
-            }
-            if (webm) {
-              const url = `https://shared.fastly.steamstatic.com/store_item_assets/steam/apps/${appId}/${webm.urlPart}`;
-              entry.formats.webm = url;
-            }
-          }
-        });
-      } catch (e) {
-        console.log('Steam Video Downloader: Could not parse app assets', e);
-      }
+  // Resolve once the job is not paused; throws if it was removed
+  async function waitIfPaused(job) {
+    job.signal.throwIfAborted();
+    while (job.paused) {
+      await new Promise(resolve => job.resumeWaiters.push(resolve));
+      job.signal.throwIfAborted();
     }
-
-    // Convert map to array
-    return Array.from(extrasMap.values());
   }
 
-  // Download DASH video with automatic muxing
-  async function downloadDashVideo(mpdUrl, filename) {
-    if (isDownloading) {
-      alert('A download is already in progress');
-      return;
+  // Start queued jobs until the concurrency limit is reached
+  function pumpQueue() {
+    let running = jobs.filter(j => j.status === 'running').length;
+    for (const job of jobs) {
+      if (running >= settings.maxConcurrentJobs) break;
+      if (job.status === 'queued') {
+        running++;
+        startJob(job);
+      }
     }
+  }
 
-    isDownloading = true;
-    showProgressPopup();
+  async function startJob(job) {
+    job.status = 'running';
+    job.started = true;
+    renderQueue();
 
     try {
-      updateProgress('Parsing video manifest...', 0);
-      const { representations, totalDuration } = await parseMPD(mpdUrl);
-
-      // Get best quality streams
-      const videos = representations.filter(r => r.type === 'video').sort((a, b) => b.height - a.height);
-      const audios = representations.filter(r => r.type === 'audio').sort((a, b) => b.bandwidth - a.bandwidth);
-
-      console.log('Found representations - videos:', videos.length, 'audios:', audios.length);
-      console.log('All representations:', representations);
-
-      if (videos.length === 0) {
-        throw new Error('No video streams found');
+      await job.run(job);
+      job.status = 'done';
+      job.percent = 100;
+      releaseResumeData(job);
+      settleJob(job, null);
+      setTimeout(() => removeJob(job.id), 3000);
+    } catch (error) {
+      if (isAbortError(error, job.signal)) {
+        console.log('Download cancelled:', job.name);
+        job.status = 'cancelled';
+        settleJob(job, 'Cancelled');
+      } else {
+        console.error('Download failed:', error);
+        job.status = 'error';
+        job.text = `Error: ${error.message}`;
+        settleJob(job, error.message);
       }
+    }
 
-      const bestVideo = videos[0];
-      const bestAudio = audios[0];
-
-      console.log('Best video:', bestVideo?.width + 'x' + bestVideo?.height, bestVideo?.codec);
-      console.log('Best audio:', bestAudio?.bandwidth, bestAudio?.codec);
-
-      updateProgress(`Downloading video (${bestVideo.width}x${bestVideo.height})...`, 2);
-
-      // Download video segments
-      const videoChunks = await downloadSegments(bestVideo, totalDuration, (p) => {
-        updateProgress(`Downloading video... ${Math.round(p)}%`, 2 + (p * 0.40));
-      });
-
-      const videoData = concatenateBuffers(videoChunks);
-
-      if (bestAudio) {
-        updateProgress('Downloading audio...', 45);
-
-        // Download audio segments
-        const audioChunks = await downloadSegments(bestAudio, totalDuration, (p) => {
-          updateProgress(`Downloading audio... ${Math.round(p)}%`, 45 + (p * 0.40));
-        });
-
-        const audioData = concatenateBuffers(audioChunks);
-        console.log('Downloaded - video size:', videoData.byteLength, 'audio size:', audioData.byteLength);
-
-        updateProgress('Combining video & audio...', 88);
-
-        // Try to mux video and audio
-        try {
-          const muxedData = await muxVideoAudio(videoData, audioData, (status) => {
-            updateProgress(status, 90);
-          });
+    renderQueue();
+    pumpQueue();
+  }
 
-          updateProgress('Complete!', 100);
+  // Record a job's outcome in its batch and report once the batch is finished
+  function settleJob(job, error) {
+    const batch = job.batch;
+    if (!batch || job.settled) return;
+    job.settled = true;
+    batch.results.push({ name: job.name, ok: !error, error, meta: { ...job.meta, files: job.files } });
+    if (batch.results.length === batch.total) {
+      finishBatch(batch);
+    }
+  }
 
-          // Download the muxed file
-          downloadBlob(new Blob([muxedData], { type: 'video/mp4' }), filename);
+  // Save the batch's ZIP if it has one, then always report the batch
+  async function finishBatch(batch) {
+    if (batch.zip && !batch.results.some(r => r.ok)) {
+      // Every item failed or was cancelled: no archive with just a manifest
+      batch.zip.discard();
+      batch.zip = null;
+      batch.nothingSaved = true;
+    } else if (batch.zip) {
+      try {
+        await finishZipBatch(batch);
+        batch.savedAs = batch.zipName;
+      } catch (e) {
+        console.error('Could not write ZIP bundle:', e);
+        batch.zipError = e.message;
+      }
+    }
+    batchSummaries.push(batch);
+    renderQueue();
+  }
 
-          setTimeout(() => {
-            hideProgressPopup();
-            isDownloading = false;
-          }, 1500);
+  function pauseJob(id) {
+    const job = jobs.find(j => j.id === id);
+    if (!job || (job.status !== 'queued' && job.status !== 'running')) return;
+    job.paused = true;
+    job.status = 'paused';
+    renderQueue();
+    pumpQueue();
+  }
 
-        } catch (muxError) {
-          console.error('Muxing failed:', muxError);
-          updateProgress('Muxing failed, downloading separately...', 95);
+  function resumeJob(id) {
+    const job = jobs.find(j => j.id === id);
+    if (!job || job.status !== 'paused') return;
+    job.paused = false;
+    // A started job keeps running in its own worker; it may briefly exceed the limit
+    job.status = job.started ? 'running' : 'queued';
+    job.resumeWaiters.splice(0).forEach(resolve => resolve());
+    renderQueue();
+    pumpQueue();
+  }
 
-          // Fallback: download separately
-          downloadBlob(new Blob([videoData], { type: 'video/mp4' }), filename.replace('.mp4', '_video.mp4'));
-          await new Promise(r => setTimeout(r, 500));
-          downloadBlob(new Blob([audioData], { type: 'audio/mp4' }), filename.replace('.mp4', '_audio.m4a'));
+  // Remove a job, aborting its network traffic and muxing; nothing is saved
+  function removeJob(id) {
+    const index = jobs.findIndex(j => j.id === id);
+    if (index === -1) return;
+    const job = jobs[index];
+    jobs.splice(index, 1);
+    if (!job.started) settleJob(job, 'Cancelled');
+    job.controller.abort();
+    releaseResumeData(job);
+    job.resumeWaiters.splice(0).forEach(resolve => resolve());
+    renderQueue();
+    pumpQueue();
+  }
 
-          setTimeout(() => {
-            hideProgressPopup();
-            isDownloading = false;
-          }, 2000);
-        }
+  function moveJob(id, delta) {
+    const index = jobs.findIndex(j => j.id === id);
+    const target = index + delta;
+    if (index === -1 || target < 0 || target >= jobs.length) return;
+    [jobs[index], jobs[target]] = [jobs[target], jobs[index]];
+    renderQueue();
+    pumpQueue();
+  }
 
-      } else {
-        updateProgress('Creating video file...', 95);
-        downloadBlob(new Blob([videoData], { type: 'video/mp4' }), filename);
-        updateProgress('Complete!', 100);
+  // Apply a queue control (pause, resume, up, down, remove) to a job
+  function controlJob(id, action) {
+    if (action === 'pause') pauseJob(id);
+    else if (action === 'resume') resumeJob(id);
+    else if (action === 'up') moveJob(id, -1);
+    else if (action === 'down') moveJob(id, 1);
+    else if (action === 'remove') removeJob(id);
+  }
 
-        setTimeout(() => {
-          hideProgressPopup();
-          isDownloading = false;
-        }, 1500);
-      }
+  function setMaxConcurrentJobs(limit) {
+    saveSetting('maxConcurrentJobs', Math.max(1, limit || 1));
+    pumpQueue();
+  }
 
-    } catch (error) {
-      console.error('Download failed:', error);
-      updateProgress(`Error: ${error.message}`, 0);
-      setTimeout(() => {
-        hideProgressPopup();
-        isDownloading = false;
-        currentDownloadResolve = null;
-        currentDownloadReject = null;
-      }, 3000);
+  // Update a job's progress row without rebuilding the whole panel
+  function updateJobProgress(job, text, percent) {
+    job.text = text;
+    job.percent = percent;
+    const row = document.querySelector(`#svd-progress .svd-job[data-job-id="${job.id}"]`);
+    if (row) {
+      row.querySelector('.svd-job-text').textContent = text;
+      row.querySelector('.svd-progress-fill').style.width = `${percent}%`;
     }
   }
 
-  // Download blob as file
-  function downloadBlob(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  }
-
-  // Progress popup functions
-  function showProgressPopup() {
-    let popup = document.getElementById('svd-progress');
-    if (!popup) {
-      popup = document.createElement('div');
-      popup.id = 'svd-progress';
-      popup.innerHTML = `
-        <div class="svd-progress-title">Steam Video Downloader</div>
-        <div class="svd-progress-text">Preparing download...</div>
-        <div class="svd-progress-bar"><div class="svd-progress-fill"></div></div>
+  // Progress panel with one row per queued job
+  function getProgressPanel() {
+    let panel = document.getElementById('svd-progress');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'svd-progress';
+      panel.innerHTML = `
+        <div class="svd-progress-header">
+          <div class="svd-progress-title">Steam Video Downloader</div>
+          <label class="svd-concurrency">Parallel
+            <select class="svd-select svd-concurrency-select">
+              <option value="1">1</option>
+              <option value="2">2</option>
+              <option value="3">3</option>
+              <option value="4">4</option>
+            </select>
+          </label>
+        </div>
+        <div class="svd-resume"></div>
+        <div class="svd-jobs"></div>
+        <div class="svd-summaries"></div>
         <div class="svd-progress-hint">This may take a minute for longer videos</div>
-        <button class="svd-cancel-btn" id="svd-cancel">Cancel</button>
       `;
-      document.body.appendChild(popup);
-
-      // Cancel button handler
-      popup.querySelector('#svd-cancel').addEventListener('click', () => {
-        isDownloading = false;
-        currentDownloadResolve = null;
-        currentDownloadReject = null;
-        hideProgressPopup();
+      document.body.appendChild(panel);
+
+      const concurrencySelect = panel.querySelector('.svd-concurrency-select');
+      concurrencySelect.value = String(settings.maxConcurrentJobs);
+      concurrencySelect.addEventListener('change', () => {
+        setMaxConcurrentJobs(parseInt(concurrencySelect.value));
+      });
+
+      panel.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+        if (btn.getAttribute('data-action') === 'dismiss-summary') {
+          batchSummaries.splice(parseInt(btn.getAttribute('data-index')), 1);
+          renderQueue();
+          return;
+        }
+        if (btn.getAttribute('data-action') === 'resume-offer') {
+          resumeOffer(btn.closest('.svd-resume-offer').getAttribute('data-key'));
+          return;
+        }
+        if (btn.getAttribute('data-action') === 'discard-offer') {
+          discardOffer(btn.closest('.svd-resume-offer').getAttribute('data-key'));
+          return;
+        }
+        const id = parseInt(btn.closest('.svd-job').getAttribute('data-job-id'));
+        controlJob(id, btn.getAttribute('data-action'));
       });
     }
-    popup.style.display = 'block';
+    return panel;
   }
 
-  function updateProgress(text, percent) {
-    const popup = document.getElementById('svd-progress');
-    if (popup) {
-      popup.querySelector('.svd-progress-text').textContent = text;
-      popup.querySelector('.svd-progress-fill').style.width = `${percent}%`;
+  function renderQueue() {
+    if (jobs.length === 0 && batchSummaries.length === 0 && resumeOffers.length === 0) {
+      const panel = document.getElementById('svd-progress');
+      if (panel) panel.style.display = 'none';
+      return;
     }
-  }
 
-  function hideProgressPopup() {
-    const popup = document.getElementById('svd-progress');
-    if (popup) popup.style.display = 'none';
+    const panel = getProgressPanel();
+    const list = panel.querySelector('.svd-jobs');
+    list.innerHTML = '';
+
+    jobs.forEach((job, i) => {
+      const active = job.status === 'queued' || job.status === 'running' || job.status === 'paused';
+      const row = document.createElement('div');
+      row.className = `svd-job svd-job-${job.status}`;
+      row.setAttribute('data-job-id', job.id);
+      row.innerHTML = `
+        <div class="svd-job-top">
+          <span class="svd-job-name"></span>
+          <div class="svd-job-controls">
+            ${job.status === 'paused' ? '<button class="svd-job-btn" data-action="resume" title="Resume">&#9654;</button>' : ''}
+            ${job.status === 'queued' || job.status === 'running' ? '<button class="svd-job-btn" data-action="pause" title="Pause">&#10074;&#10074;</button>' : ''}
+            ${active ? `<button class="svd-job-btn" data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>&#9650;</button>` : ''}
+            ${active ? `<button class="svd-job-btn" data-action="down" title="Move down" ${i === jobs.length - 1 ? 'disabled' : ''}>&#9660;</button>` : ''}
+            <button class="svd-job-btn" data-action="remove" title="${active ? 'Cancel and remove' : 'Dismiss'}">&times;</button>
+          </div>
+        </div>
+        <div class="svd-job-text"></div>
+        <div class="svd-progress-bar"><div class="svd-progress-fill"></div></div>
+      `;
+      row.querySelector('.svd-job-name').textContent = job.name;
+      row.querySelector('.svd-job-text').textContent = job.status === 'paused'
+        ? `Paused - ${job.text}`
+        : job.status === 'cancelled' ? 'Cancelled' : job.text;
+      row.querySelector('.svd-progress-fill').style.width = `${job.percent}%`;
+      list.appendChild(row);
+    });
+
+    const resume = panel.querySelector('.svd-resume');
+    resume.innerHTML = resumeOffers.length > 0 ? '<div class="svd-resume-title">Interrupted downloads</div>' : '';
+    resumeOffers.forEach(record => {
+      const offer = document.createElement('div');
+      offer.className = 'svd-resume-offer';
+      offer.setAttribute('data-key', record.key);
+      offer.innerHTML = `
+        <span class="svd-job-name"></span>
+        <div class="svd-job-controls">
+          <button class="svd-job-btn" data-action="resume-offer" title="Resume">Resume</button>
+          <button class="svd-job-btn" data-action="discard-offer" title="Discard">&times;</button>
+        </div>
+      `;
+      offer.querySelector('.svd-job-name').textContent = record.filename;
+      resume.appendChild(offer);
+    });
+
+    const summaries = panel.querySelector('.svd-summaries');
+    summaries.innerHTML = '';
+    batchSummaries.forEach((batch, i) => {
+      const succeeded = batch.results.filter(r => r.ok);
+      const failed = batch.results.filter(r => !r.ok);
+      const summary = document.createElement('div');
+      summary.className = 'svd-summary';
+      summary.innerHTML = `
+        <div class="svd-job-top">
+          <span class="svd-job-name"></span>
+          <button class="svd-job-btn" data-action="dismiss-summary" data-index="${i}" title="Dismiss">&times;</button>
+        </div>
+        <div class="svd-summary-counts"></div>
+        <ul class="svd-summary-failures"></ul>
+      `;
+      summary.querySelector('.svd-job-name').textContent = batch.label;
+      summary.querySelector('.svd-summary-counts').textContent =
+        `${succeeded.length} succeeded, ${failed.length} failed` +
+        (batch.savedAs ? ` - saved as ${batch.savedAs}` : '') +
+        (batch.zipError ? ` - ZIP failed: ${batch.zipError}` : '') +
+        (batch.nothingSaved ? ' - nothing was saved' : '');
+      const failures = summary.querySelector('.svd-summary-failures');
+      failed.forEach(result => {
+        const li = document.createElement('li');
+        li.textContent = `${result.name}: ${result.error}`;
+        failures.appendChild(li);
+      });
+      summaries.appendChild(summary);
+    });
+
+    panel.style.display = 'block';
   }
 
   // Create download icon SVG
@@ -2310,6 +2203,22 @@
     </svg>`;
   }
 
+  // Popup row of a direct video or extra clip; kind and index locate it for the click handler
+  function directItemHtml(entry, kind, index) {
+    const button = (ext, className) => `<button class="svd-btn ${className} svd-btn-direct" data-kind="${kind}" data-index="${index}" data-ext="${ext}">${ext.toUpperCase()}</button>`;
+    const formats = ['mp4', 'webm'].filter(ext => entry.formats[ext]);
+    return `
+          <div class="svd-item">
+            <span class="svd-name">${escapeAttribute(entry.label)}</span>
+            <div class="svd-buttons">
+              ${formats.length > 1
+                ? `<div class="svd-split-btn">${formats.map(ext => button(ext, `svd-btn-split svd-btn-${ext}`)).join('')}</div>`
+                : button(formats[0], 'svd-btn-small')}
+            </div>
+          </div>
+        `;
+  }
+
   // Show download popup
   function showDownloadPopup() {
     const existing = document.getElementById('svd-popup');
@@ -2318,30 +2227,12 @@
       return;
     }
 
-    const dashUrls = findDashUrls();
-    const extras = findExtras();
-    const appId = getAppId();
-    const gameName = document.querySelector('.apphub_AppName')?.textContent?.trim() || `Steam_${appId}`;
-
-    // Separate DASH streams from direct video URLs
-    const dashStreams = dashUrls.filter(d => !d.isDirect);
-    const directVideos = dashUrls.filter(d => d.isDirect);
-
-    // Group direct videos by base URL (strip extension)
-    const directGrouped = new Map();
-    directVideos.forEach(vid => {
-      // Get base URL without extension
-      const baseUrl = vid.url.replace(/\.(mp4|webm)(\?.*)?$/i, '');
-      const ext = vid.url.match(/\.(mp4|webm)/i)?.[1]?.toLowerCase() || 'mp4';
-
-      if (!directGrouped.has(baseUrl)) {
-        directGrouped.set(baseUrl, { name: vid.name, formats: {} });
-      }
-      directGrouped.get(baseUrl).formats[ext] = vid.url;
-    });
-    const groupedDirectVideos = Array.from(directGrouped.values());
+    const apps = collectPageVideos();
+    const dashStreams = apps.flatMap(app => app.trailers);
+    const directVideos = apps.flatMap(app => app.videos);
+    const extras = apps.flatMap(app => app.extras);
 
-    if (dashStreams.length === 0 && groupedDirectVideos.length === 0 && extras.length === 0) {
+    if (apps.length === 0) {
       alert('No downloadable videos found on this page.');
       return;
     }
@@ -2355,76 +2246,107 @@
         <button class="svd-close">&times;</button>
       </div>
       <div class="svd-content">
+        <div class="svd-all">
+          <button class="svd-btn svd-btn-small svd-btn-all">Download all</button>
+          <label>Quality
+            <select class="svd-select svd-all-quality">
+              <option value="">Best</option>
+              <option value="2160">2160p</option>
+              <option value="1440">1440p</option>
+              <option value="1080">1080p</option>
+              <option value="720">720p</option>
+              <option value="480">480p</option>
+            </select>
+          </label>
+          <label>Codec
+            <select class="svd-select svd-all-codec" title="Preferred codec, remembered for next time">
+              <option value="h264">H.264</option>
+              <option value="av1">AV1</option>
+              <option value="vp9">VP9</option>
+            </select>
+          </label>
+          <label>Clips
+            <select class="svd-select svd-all-format">
+              <option value="mp4">MP4</option>
+              <option value="webm">WEBM</option>
+            </select>
+          </label>
+          <label><input type="checkbox" class="svd-all-zip"> ZIP</label>
+        </div>
     `;
 
-    // DASH Trailers (require muxing)
-    if (dashStreams.length > 0) {
-      html += `<div class="svd-section-title">Trailers</div>`;
-      dashStreams.forEach((dash, i) => {
-        const filename = `${gameName.replace(/[^a-zA-Z0-9]/g, '_')}_trailer${dashStreams.length > 1 ? '_' + (i + 1) : ''}.mp4`;
-        html += `
-          <div class="svd-item">
-            <span class="svd-name">${dash.name}${dashStreams.length > 1 ? ' ' + (i + 1) : ''}</span>
+    // One block per app; pages like bundles and sales show videos of several apps
+    const showApps = apps.length > 1 || !apps[0].appId;
+    apps.forEach(app => {
+      if (showApps) {
+        html += `<div class="svd-app-title">${escapeAttribute(app.gameName)}${app.appId ? `<span class="svd-app-id">${app.appId}</span>` : ''}</div>`;
+      }
+
+      // DASH Trailers (require muxing)
+      if (app.trailers.length > 0) {
+        html += `<div class="svd-section-title">Trailers</div>`;
+        app.trailers.forEach(dash => {
+          html += `
+          <div class="svd-item svd-item-dash" data-index="${dashStreams.indexOf(dash)}">
+            ${dash.thumbnail ? `<img class="svd-poster" src="${escapeAttribute(dash.thumbnail)}" alt="" loading="lazy">` : ''}
+            <span class="svd-name">${escapeAttribute(dash.label)}<span class="svd-codecs"></span></span>
             <div class="svd-buttons">
-              <button class="svd-btn svd-btn-download" data-url="${dash.url}" data-filename="${filename}" data-direct="false">
+              <button class="svd-btn svd-btn-download" data-direct="false">
                 <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16" style="margin-right:6px">
                   <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>
                 </svg>
-                Download MP4
+                Download <span class="svd-download-format">MP4</span>
+              </button>
+              <button class="svd-btn svd-btn-small svd-btn-download" data-only="audio" title="Save only the soundtrack as M4A">
+                Audio only
               </button>
+              <button class="svd-btn svd-btn-small svd-btn-download" data-only="video" title="Save the video without sound">
+                Video only
+              </button>
+              ${dash.poster ? `
+                <button class="svd-btn svd-btn-small svd-btn-poster" title="Save the trailer's poster image">
+                  Save poster
+                </button>
+              ` : ''}
             </div>
-          </div>
-        `;
-      });
-    }
-
-    // Direct videos (grouped by format)
-    if (groupedDirectVideos.length > 0) {
-      html += `<div class="svd-section-title">Videos</div>`;
-      groupedDirectVideos.forEach((vid, i) => {
-        const hasMultiple = vid.formats.mp4 && vid.formats.webm;
-        const baseName = `${gameName.replace(/[^a-zA-Z0-9]/g, '_')}_video_${i + 1}`;
-        html += `
-          <div class="svd-item">
-            <span class="svd-name">Video ${i + 1}</span>
-            <div class="svd-buttons">
-              ${hasMultiple ? `
-                <div class="svd-split-btn">
-                  <button class="svd-btn svd-btn-split svd-btn-mp4 svd-btn-direct" data-url="${vid.formats.mp4}" data-filename="${baseName}.mp4">MP4</button>
-                  <button class="svd-btn svd-btn-split svd-btn-webm svd-btn-direct" data-url="${vid.formats.webm}" data-filename="${baseName}.webm">WEBM</button>
-                </div>
-              ` : `
-                <button class="svd-btn svd-btn-small svd-btn-direct" data-url="${vid.formats.mp4 || vid.formats.webm}" data-filename="${baseName}.${vid.formats.mp4 ? 'mp4' : 'webm'}">${vid.formats.mp4 ? 'MP4' : 'WEBM'}</button>
-              `}
+            <div class="svd-quality">
+              <label>Codec <select class="svd-select svd-select-codec" disabled><option value="">Loading...</option></select></label>
+              <label>Video <select class="svd-select svd-select-video" disabled><option value="">Loading qualities...</option></select></label>
+              <label>Audio <select class="svd-select svd-select-audio" disabled><option value="">Loading...</option></select></label>
+              <label>Format
+                <select class="svd-select svd-select-container" title="Container for Download (WebM needs VP9/AV1 + Opus, otherwise MKV is written)">
+                  <option value="mp4">MP4</option>
+                  <option value="mkv">MKV</option>
+                  <option value="webm">WebM</option>
+                </select>
+              </label>
+              <label>Clip
+                <input type="text" class="svd-trim svd-trim-start" placeholder="0:00" title="Start time (m:ss or seconds)">
+                to
+                <input type="text" class="svd-trim svd-trim-end" placeholder="end" title="End time (m:ss or seconds), empty for the end">
+              </label>
             </div>
           </div>
-        `;
-      });
-    }
+          `;
+        });
+      }
 
-    // Extra clips from data-appassets
-    if (extras.length > 0) {
-      html += `<div class="svd-section-title">Extra Clips</div>`;
-      extras.forEach((extra, i) => {
-        const hasMultiple = extra.formats.mp4 && extra.formats.webm;
-        const baseName = `${gameName.replace(/[^a-zA-Z0-9]/g, '_')}_clip_${i + 1}`;
-        html += `
-          <div class="svd-item">
-            <span class="svd-name">Clip ${i + 1}</span>
-            <div class="svd-buttons">
-              ${hasMultiple ? `
-                <div class="svd-split-btn">
-                  <button class="svd-btn svd-btn-split svd-btn-mp4 svd-btn-direct" data-url="${extra.formats.mp4}" data-filename="${baseName}.mp4">MP4</button>
-                  <button class="svd-btn svd-btn-split svd-btn-webm svd-btn-direct" data-url="${extra.formats.webm}" data-filename="${baseName}.webm">WEBM</button>
-                </div>
-              ` : `
-                <button class="svd-btn svd-btn-small svd-btn-direct" data-url="${extra.formats.mp4 || extra.formats.webm}" data-filename="${baseName}.${extra.formats.mp4 ? 'mp4' : 'webm'}">${extra.formats.mp4 ? 'MP4' : 'WEBM'}</button>
-              `}
-            </div>
-          </div>
-        `;
-      });
-    }
+      // Direct videos (grouped by format)
+      if (app.videos.length > 0) {
+        html += `<div class="svd-section-title">Videos</div>`;
+        app.videos.forEach(vid => {
+          html += directItemHtml(vid, 'video', directVideos.indexOf(vid));
+        });
+      }
+
+      // Extra clips from data-appassets
+      if (app.extras.length > 0) {
+        html += `<div class="svd-section-title">Extra Clips</div>`;
+        app.extras.forEach(extra => {
+          html += directItemHtml(extra, 'extra', extras.indexOf(extra));
+        });
+      }
+    });
 
     html += `</div>`;
     popup.innerHTML = html;
@@ -2433,50 +2355,89 @@
     // Event handlers
     popup.querySelector('.svd-close').addEventListener('click', () => popup.remove());
 
+    // Queue everything on the page at the chosen quality and format
+    popup.querySelector('.svd-btn-all').addEventListener('click', () => {
+      const options = {
+        maxHeight: parseInt(popup.querySelector('.svd-all-quality').value) || null,
+        codec: popup.querySelector('.svd-all-codec').value,
+        container: settings.container,
+        format: popup.querySelector('.svd-all-format').value,
+        zip: popup.querySelector('.svd-all-zip').checked
+      };
+      popup.remove();
+      downloadAll(apps, options);
+    });
+
+    // The codec preference is saved as soon as it is changed
+    const codecPicker = popup.querySelector('.svd-all-codec');
+    codecPicker.value = settings.codecPreference;
+    codecPicker.addEventListener('change', () => saveSetting('codecPreference', codecPicker.value));
+
+    // Defaults from the options page
+    popup.querySelector('.svd-all-quality').value = settings.maxHeight ? String(settings.maxHeight) : '';
+    popup.querySelector('.svd-all-format').value = settings.clipFormat;
+    popup.querySelector('.svd-all-zip').checked = settings.zipDownloadAll;
+    // The Download button names the row's picked format
+    popup.querySelectorAll('.svd-select-container').forEach(select => {
+      const format = select.closest('.svd-item-dash').querySelector('.svd-download-format');
+      const showFormat = () => { format.textContent = select.options[select.selectedIndex].text; };
+      select.value = settings.container;
+      showFormat();
+      select.addEventListener('change', showFormat);
+    });
+
+    // Load available qualities for each trailer
+    popup.querySelectorAll('.svd-item-dash').forEach(item => {
+      loadQualityOptions(item, dashStreams[parseInt(item.getAttribute('data-index'))]);
+    });
+
     popup.querySelectorAll('.svd-btn-download').forEach(btn => {
       btn.addEventListener('click', async () => {
-        const url = btn.getAttribute('data-url');
-        const filename = btn.getAttribute('data-filename');
+        const item = btn.closest('.svd-item-dash');
+        const dash = dashStreams[parseInt(item.getAttribute('data-index'))];
+        const only = btn.getAttribute('data-only');
+        const choice = {
+          codec: item.querySelector('.svd-select-codec').value || null,
+          videoId: item.querySelector('.svd-select-video').value || null,
+          audioId: item.querySelector('.svd-select-audio').value || null,
+          only,
+          container: only ? null : item.querySelector('.svd-select-container').value
+        };
+
+        // Optional clip range; both fields empty downloads the whole trailer
+        const startInput = item.querySelector('.svd-trim-start');
+        const endInput = item.querySelector('.svd-trim-end');
+        const start = parseTimecode(startInput.value);
+        const end = parseTimecode(endInput.value);
+        const startValid = !Number.isNaN(start);
+        const endValid = !Number.isNaN(end) && (end === null || end > (start || 0));
+        startInput.classList.toggle('svd-invalid', !startValid);
+        endInput.classList.toggle('svd-invalid', !endValid);
+        if (!startValid || !endValid) return;
+        if (start || end !== null) {
+          choice.trim = { start: start || 0, end };
+        }
+        popup.remove();
+        queueTrailer(dash, choice);
+      });
+    });
+
+    // Poster images
+    popup.querySelectorAll('.svd-btn-poster').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const dash = dashStreams[parseInt(btn.closest('.svd-item-dash').getAttribute('data-index'))];
         popup.remove();
-        downloadDashVideo(url, filename);
+        queuePoster(dash);
       });
     });
 
     // Direct video download buttons (MP4/WEBM)
     popup.querySelectorAll('.svd-btn-direct').forEach(btn => {
       btn.addEventListener('click', async () => {
-        const url = btn.getAttribute('data-url');
-        const filename = btn.getAttribute('data-filename');
+        const list = btn.getAttribute('data-kind') === 'extra' ? extras : directVideos;
+        const entry = list[parseInt(btn.getAttribute('data-index'))];
         popup.remove();
-
-        try {
-          showProgressPopup();
-          updateProgress('Downloading video...', 10);
-          const response = await fetch(url);
-          const total = parseInt(response.headers.get('content-length') || '0');
-          const reader = response.body.getReader();
-          const chunks = [];
-          let received = 0;
-
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            chunks.push(value);
-            received += value.length;
-            if (total > 0) {
-              updateProgress('Downloading...', Math.round((received / total) * 90));
-            }
-          }
-
-          const blob = new Blob(chunks);
-          updateProgress('Complete!', 100);
-          downloadBlob(blob, filename);
-          setTimeout(hideProgressPopup, 1500);
-        } catch (error) {
-          console.error('Direct download failed:', error);
-          updateProgress('Error: ' + error.message, 0);
-          setTimeout(hideProgressPopup, 3000);
-        }
+        queueDirect(entry, btn.getAttribute('data-ext'));
       });
     });
 
@@ -2492,6 +2453,91 @@
     }, 100);
   }
 
+  // Toolbar popup (popup.js)
+  // It lists the page's videos and this tab's queue through messages; entries are addressed by
+  // their position in the last listing, so both sides see the same collectPageVideos result.
+  let toolbarApps = null;
+
+  // Plain description of the page's videos for the toolbar popup
+  function describePageVideos() {
+    toolbarApps = collectPageVideos();
+    const formats = (entry) => ['mp4', 'webm'].filter(ext => entry.formats[ext]);
+    return {
+      page: getPageName(),
+      apps: toolbarApps.map(app => ({
+        appId: app.appId,
+        gameName: app.gameName,
+        trailers: app.trailers.map(dash => ({ label: dash.label, thumbnail: dash.thumbnail || null, poster: !!dash.poster })),
+        videos: app.videos.map(vid => ({ label: vid.label, formats: formats(vid) })),
+        extras: app.extras.map(extra => ({ label: extra.label, formats: formats(extra) }))
+      }))
+    };
+  }
+
+  // This tab's queue for the toolbar popup
+  function describeQueue() {
+    return {
+      page: getPageName(),
+      jobs: jobs.map(job => ({ id: job.id, name: job.name, status: job.status, text: job.text, percent: job.percent }))
+    };
+  }
+
+  // "Download all" options from the options page, for downloads started outside the in-page popup
+  function defaultDownloadAllOptions() {
+    return {
+      maxHeight: settings.maxHeight || null,
+      codec: settings.codecPreference,
+      container: settings.container,
+      format: settings.clipFormat,
+      zip: settings.zipDownloadAll
+    };
+  }
+
+  // Queue a download picked in the toolbar popup
+  // message: { kind: 'trailer' | 'poster' | 'video' | 'extra' | 'all', app, index, only, ext }
+  function queueFromToolbar(message) {
+    const apps = toolbarApps || collectPageVideos();
+    if (message.kind === 'all') {
+      downloadAll(apps, defaultDownloadAllOptions());
+      return;
+    }
+    const app = apps[message.app];
+    if (!app) throw new Error('The page changed, reopen the popup');
+    if (message.kind === 'trailer') queueTrailer(app.trailers[message.index], { only: message.only || null });
+    else if (message.kind === 'poster') queuePoster(app.trailers[message.index]);
+    else if (message.kind === 'video') queueDirect(app.videos[message.index], message.ext);
+    else if (message.kind === 'extra') queueDirect(app.extras[message.index], message.ext);
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    try {
+      if (message.action === 'svdPageVideos') {
+        sendResponse(describePageVideos());
+      } else if (message.action === 'svdPing') {
+        // The background checks whether this document is still open (see cancelMuxRequests)
+        sendResponse({ ok: true });
+      } else if (message.action === 'svdQueueState') {
+        sendResponse(describeQueue());
+      } else if (message.action === 'svdQueue') {
+        queueFromToolbar(message);
+        sendResponse(describeQueue());
+      } else if (message.action === 'svdJobControl') {
+        controlJob(message.jobId, message.control);
+        sendResponse(describeQueue());
+      }
+    } catch (error) {
+      sendResponse({ error: error.message });
+    }
+    return false;
+  });
+
+  // The "Download by app ID" page queues the apps it fetched here, one batch per store page
+  if (EXTENSION_PAGE) {
+    window.SVDQueue = {
+      downloadApps: (apps, pageUrl, pageName) => downloadAll(apps, { ...defaultDownloadAllOptions(), pageUrl, pageName })
+    };
+  }
+
   // Inject button into player controls
   function injectPlayerButton() {
     const fullscreenBtn = document.querySelector('.fullscreen_button:not([' + PROCESSED_ATTR + '])');
@@ -2517,15 +2563,23 @@
   }
 
   // Add floating button
+  // Also re-run when its settings change: adds, removes or moves the button
   function addFloatingButton() {
-    if (document.getElementById('svd-float-btn')) return;
+    let btn = document.getElementById('svd-float-btn');
+    if (!settings.showFloatingButton || EXTENSION_PAGE) {
+      if (btn) btn.remove();
+      return;
+    }
 
-    const btn = document.createElement('div');
-    btn.id = 'svd-float-btn';
-    btn.title = 'Download Steam Videos';
-    btn.innerHTML = createDownloadIcon();
-    btn.addEventListener('click', showDownloadPopup);
-    document.body.appendChild(btn);
+    if (!btn) {
+      btn = document.createElement('div');
+      btn.id = 'svd-float-btn';
+      btn.title = 'Download Steam Videos';
+      btn.innerHTML = createDownloadIcon();
+      btn.addEventListener('click', showDownloadPopup);
+      document.body.appendChild(btn);
+    }
+    btn.classList.toggle('svd-left', settings.floatingButtonPosition === 'bottom-left');
   }
 
   // Add styles
@@ -2557,6 +2611,7 @@
         box-shadow: 0 6px 25px rgba(26, 159, 255, 0.7);
       }
       #svd-float-btn svg { width: 34px; height: 34px; }
+      #svd-float-btn.svd-left { right: auto; left: 20px; }
 
       #svd-float-btn::before,
       #svd-float-btn::after {
@@ -2656,6 +2711,19 @@
         border-bottom: 1px solid #2a475e;
       }
       .svd-section-title:not(:first-child) { margin-top: 20px; }
+      .svd-app-title {
+        font-size: 15px;
+        font-weight: 600;
+        color: #fff;
+        margin: 22px 0 10px;
+      }
+      .svd-app-title:nth-child(2) { margin-top: 0; }
+      .svd-app-id {
+        margin-left: 8px;
+        font-size: 11px;
+        font-weight: normal;
+        color: #8f98a0;
+      }
       .svd-item {
         display: flex;
         justify-content: space-between;
@@ -2675,6 +2743,74 @@
         min-width: 100px;
       }
       .svd-buttons { display: flex; gap: 8px; }
+      .svd-item-dash { flex-wrap: wrap; }
+      .svd-poster {
+        width: 96px;
+        height: 54px;
+        object-fit: cover;
+        border-radius: 4px;
+        margin-right: 12px;
+        background: #0e141b;
+      }
+      .svd-all {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        margin-bottom: 18px;
+      }
+      .svd-all label {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        font-size: 11px;
+        color: #8f98a0;
+      }
+      .svd-quality {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        width: 100%;
+        margin-top: 10px;
+      }
+      .svd-quality label {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 11px;
+        color: #8f98a0;
+      }
+      .svd-trim {
+        width: 64px;
+        background: #0e141b;
+        color: #c6d4df;
+        border: 1px solid #2a475e;
+        border-radius: 4px;
+        padding: 4px 6px;
+        font-size: 12px;
+      }
+      .svd-trim.svd-invalid { border-color: #c44; }
+      .svd-codecs { margin-left: 8px; }
+      .svd-codec-badge {
+        display: inline-block;
+        margin-right: 4px;
+        padding: 1px 6px;
+        border: 1px solid #2a475e;
+        border-radius: 3px;
+        font-size: 10px;
+        color: #67c1f5;
+        vertical-align: middle;
+      }
+      .svd-select {
+        flex: 1;
+        min-width: 0;
+        background: #0e141b;
+        color: #c6d4df;
+        border: 1px solid #2a475e;
+        border-radius: 4px;
+        padding: 4px 6px;
+        font-size: 12px;
+      }
+      .svd-select:disabled { opacity: 0.6; }
       .svd-btn {
         display: inline-flex;
         align-items: center;
@@ -2748,30 +2884,119 @@
         border-radius: 12px;
         padding: 18px 22px;
         min-width: 300px;
+        max-width: 420px;
         z-index: 1000001;
         font-family: "Motiva Sans", Arial, sans-serif;
         box-shadow: 0 8px 30px rgba(0, 0, 0, 0.5);
       }
+      .svd-progress-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 10px;
+      }
       .svd-progress-title {
         color: #67c1f5;
         font-size: 12px;
         font-weight: 600;
         text-transform: uppercase;
         letter-spacing: 0.5px;
-        margin-bottom: 10px;
       }
-      .svd-progress-text {
+      .svd-concurrency {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        color: #8f98a0;
+        font-size: 11px;
+      }
+      .svd-jobs {
+        max-height: 320px;
+        overflow-y: auto;
+      }
+      .svd-job {
+        padding: 8px 0;
+        border-bottom: 1px solid rgba(42, 71, 94, 0.5);
+      }
+      .svd-job:last-child { border-bottom: none; }
+      .svd-job-top {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 8px;
+      }
+      .svd-job-name {
         color: #ffffff;
-        font-size: 14px;
-        margin-bottom: 12px;
+        font-size: 13px;
         font-weight: 500;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .svd-job-controls { display: flex; gap: 4px; flex-shrink: 0; }
+      .svd-job-btn {
+        background: #2a475e;
+        border: 1px solid #3d6c8e;
+        color: #c6d4df;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 10px;
+        line-height: 1;
+        padding: 4px 6px;
+        transition: all 0.2s;
+      }
+      .svd-job-btn:hover:not(:disabled) {
+        background: #3d6c8e;
+        color: #fff;
+      }
+      .svd-job-btn:disabled { opacity: 0.4; cursor: default; }
+      .svd-job-text {
+        color: #c6d4df;
+        font-size: 12px;
+        margin: 6px 0;
+      }
+      .svd-job-error .svd-job-text { color: #ff7b7b; }
+      .svd-job-done .svd-job-text { color: #a4d007; }
+      .svd-job-paused .svd-progress-fill { animation: none; }
+      .svd-resume-title {
+        color: #8f98a0;
+        font-size: 11px;
+        margin-bottom: 6px;
+      }
+      .svd-resume-offer {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 0;
+      }
+      .svd-resume:not(:empty) {
+        padding-bottom: 8px;
+        margin-bottom: 4px;
+        border-bottom: 1px solid #2a475e;
+      }
+      .svd-summary {
+        margin-top: 10px;
+        padding: 10px;
+        background: #16202d;
+        border-radius: 6px;
+      }
+      .svd-summary-counts {
+        color: #c6d4df;
+        font-size: 12px;
+        margin-top: 6px;
+      }
+      .svd-summary-failures {
+        margin: 6px 0 0;
+        padding-left: 18px;
+        color: #ff7b7b;
+        font-size: 11px;
       }
+      .svd-summary-failures:empty { display: none; }
       .svd-progress-bar {
         height: 8px;
         background: #16202d;
         border-radius: 4px;
         overflow: hidden;
-        margin-bottom: 10px;
       }
       .svd-progress-fill {
         height: 100%;
@@ -2789,21 +3014,7 @@
       .svd-progress-hint {
         color: #8f98a0;
         font-size: 11px;
-      }
-      .svd-cancel-btn {
-        margin-top: 12px;
-        padding: 8px 16px;
-        background: #2a475e;
-        border: 1px solid #3d6c8e;
-        color: #c6d4df;
-        border-radius: 4px;
-        cursor: pointer;
-        font-size: 12px;
-        transition: all 0.2s;
-      }
-      .svd-cancel-btn:hover {
-        background: #3d6c8e;
-        color: #fff;
+        margin-top: 8px;
       }
     `;
     document.head.appendChild(style);
@@ -2825,7 +3036,15 @@
     console.log('Steam Video Downloader: Initializing...');
     addStyles();
     addFloatingButton();
-    watchForPlayer();
+    loadSettings();
+    if (!EXTENSION_PAGE) watchForPlayer();
+    loadResumeOffers();
+    // Records of a page that closed without releasing them go stale by then
+    setTimeout(loadResumeOffers, RESUME_STALE_MS + RESUME_STALE_MS / 4);
+    window.addEventListener('pagehide', releaseResumeOwnership);
+    startResumeHeartbeat();
+    holdPageLock();
+    cleanupStreamTempFiles();
     console.log('Steam Video Downloader: Ready');
   }
 
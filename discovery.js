@@ -0,0 +1,481 @@
+// Steam Video Downloader - video discovery
+// Finds the trailers, videos and extra clips of a Steam page. Works on the live page (content
+// script) as well as on a store page fetched as HTML (the "Download by app ID" page).
+
+const SVDDiscovery = (function() {
+  'use strict';
+
+  // App ID of a page from its URL (store and community app pages, app news); null on bundles, sales, ...
+  function appIdFromPageUrl(pageUrl) {
+    const match = new URL(pageUrl).pathname.match(/\/app\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  // Parse a fetched page; scripts in it are not run
+  function parseHtml(html) {
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+
+  // Identifies a trailer regardless of which codec variant a URL points at
+  function movieManifestKey(mpdUrl) {
+    return mpdUrl.replace(/dash_(?:h264|av1)\.mpd(\?.*)?$/, 'dash');
+  }
+
+  // Video discovery is a pipeline of extractors. Each one reads the page in its own way and
+  // returns candidates: { kind: 'dash' | 'direct', url, movieId, name, poster, confidence }
+  // (movieId, name and poster are null when the extractor cannot tell). The candidates are
+  // merged into one entry per movie, trusting the more confident extractors first.
+  // Extractors only read their input, so they can run on any page, live or fetched.
+
+  // How much an extractor's candidates are trusted when they disagree
+  const CONFIDENCE = {
+    structured: 3, // Steam's own movie data
+    markup: 2, // Full video URLs in attributes and scripts
+    scan: 1 // URL fragments and loose matches anywhere in the page
+  };
+
+  const MANIFEST_PATTERN = /https?:\\?\/\\?\/video\.(?:fastly|akamai)\.steamstatic\.com\\?\/store_trailers\\?\/\d+\\?\/\d+\\?\/[a-f0-9]+\\?\/\d+\\?\/dash_(?:h264|av1)\.mpd(?:\?[^"'\\\s<>]*)?/gi;
+
+  // Undo the escaping of URLs found in JSON and inline scripts
+  function unescapeUrl(url) {
+    return url.replace(/\\u002F/gi, '/').replace(/\\\//g, '/').replace(/&amp;/g, '&');
+  }
+
+  // Movie ID in a trailer URL (.../store_trailers/<appId>/<movieId>/..., .../steam/apps/<movieId>/movie480.webm)
+  function movieIdFromUrl(url) {
+    const match = url.match(/store_trailers\/\d+\/(\d+)\//) || url.match(/\/apps\/(\d+)\/movie[^/]*$/);
+    return match ? match[1] : null;
+  }
+
+  // A trailer title as Steam stores it, or null for file names like "movie_max.webm"
+  function movieTitle(value) {
+    const title = typeof value === 'string' ? value.trim() : '';
+    return title && !/^movie(?:_max|\d+)?(?:\.\w+)?$/i.test(title) ? title : null;
+  }
+
+  // Codec variant of a trailer manifest URL ('h264', 'av1'), null for other URLs
+  function manifestVariant(url) {
+    const match = url.match(/dash_(h264|av1)\.mpd(?:\?|$)/);
+    return match ? match[1] : null;
+  }
+
+  function candidate(kind, url, confidence, { movieId = null, name = null, poster = null } = {}) {
+    return { kind, url, movieId: movieId || movieIdFromUrl(url), name, poster, confidence };
+  }
+
+  // rgMovieFlashvars: Steam's movie list on app pages, with every codec's manifest
+  function extractMovieFlashvars({ html }) {
+    const match = html.match(/rgMovieFlashvars\s*=\s*(\{[^;]+\});/);
+    if (!match) return [];
+    let movies;
+    try {
+      movies = Object.values(JSON.parse(match[1]));
+    } catch (e) {
+      return [];
+    }
+    const candidates = [];
+    for (const movie of movies) {
+      const details = {
+        movieId: movie.MOVIE_ID ? String(movie.MOVIE_ID) : null,
+        name: movieTitle(movie.MOVIE_NAME) || movieTitle(movie.FILENAME?.replace(/\.[^.]+$/, '')),
+        poster: movie.POSTER_IMAGE || null
+      };
+      const manifests = [movie.DASH_H264_SOURCE, movie.DASH_AV1_SOURCE].filter(Boolean);
+      manifests.forEach(url => candidates.push(candidate('dash', unescapeUrl(url), CONFIDENCE.structured, details)));
+      // Older movies have no DASH manifest, only files
+      if (manifests.length === 0 && movie.WEBM_SOURCE) {
+        candidates.push(candidate('direct', unescapeUrl(movie.WEBM_SOURCE), CONFIDENCE.structured, details));
+      }
+    }
+    return candidates;
+  }
+
+  // The highlight player's data-props (the store's React player): its trailer list with names,
+  // posters and every codec's manifest
+  function extractHighlightProps({ doc }) {
+    const candidates = [];
+    doc.querySelectorAll('[data-props*="trailers"]').forEach(el => {
+      let props;
+      try {
+        props = JSON.parse(el.getAttribute('data-props'));
+      } catch (e) {
+        return;
+      }
+      const trailers = Array.isArray(props.trailers) ? props.trailers : [];
+      for (const trailer of trailers) {
+        if (!trailer || typeof trailer !== 'object') continue;
+        const details = {
+          movieId: trailer.id ? String(trailer.id) : null,
+          name: movieTitle(trailer.name),
+          poster: typeof trailer.poster === 'string' ? trailer.poster : null
+        };
+        // dashManifests lists one URL per codec; older props name them one by one
+        const manifests = [trailer.dashManifests, trailer.dashAv1Manifest, trailer.dashH264Manifest]
+          .flat()
+          .filter(url => typeof url === 'string' && url.includes('.mpd'));
+        manifests.forEach(url => candidates.push(candidate('dash', unescapeUrl(url), CONFIDENCE.structured, details)));
+      }
+    });
+    return candidates;
+  }
+
+  // Highlight player movies, whose manifest is in the movie data next to their ID
+  function extractHighlightMovies({ doc, html }) {
+    const candidates = [];
+    doc.querySelectorAll('.highlight_movie').forEach(el => {
+      const movieId = el.getAttribute('data-movie-id') || el.id?.replace('highlight_movie_', '');
+      // The ID goes into a pattern, so only numeric ones are looked up
+      if (!/^\d+$/.test(movieId || '')) return;
+      const match = html.match(new RegExp(`"MOVIE_ID"\\s*:\\s*"?${movieId}"?[^}]*"DASH_AV1_SOURCE"\\s*:\\s*"([^"]+)"`));
+      if (match) {
+        candidates.push(candidate('dash', unescapeUrl(match[1]), CONFIDENCE.structured, {
+          movieId,
+          poster: el.getAttribute('data-poster') || null
+        }));
+      }
+    });
+    return candidates;
+  }
+
+  // Elements carrying their video URLs in data attributes
+  function extractSourceAttributes({ doc }) {
+    const candidates = [];
+    doc.querySelectorAll('[data-webm-source], [data-mp4-source], [data-dash-source]').forEach(el => {
+      const dash = el.getAttribute('data-dash-source');
+      if (dash) candidates.push(candidate('dash', unescapeUrl(dash), CONFIDENCE.markup));
+    });
+    return candidates;
+  }
+
+  // Complete manifest URLs anywhere in the page, also in escaped JSON; the "title" just before
+  // one often names the trailer
+  function extractManifestUrls({ html }) {
+    const candidates = [];
+    for (const match of html.matchAll(MANIFEST_PATTERN)) {
+      const title = html.substring(Math.max(0, match.index - 200), match.index).match(/"title"\s*:\s*"([^"]+)"/);
+      candidates.push(candidate('dash', unescapeUrl(match[0]), CONFIDENCE.markup, { name: title ? title[1] : null }));
+    }
+    return candidates;
+  }
+
+  // Video elements playing a Steam file (blob: URLs of the DASH player cannot be downloaded)
+  function extractVideoElements({ doc }) {
+    const candidates = [];
+    doc.querySelectorAll('video source, video[src]').forEach(el => {
+      const src = el.getAttribute('src');
+      if (src && src.includes('steam') && !src.startsWith('blob:')) {
+        candidates.push(candidate(src.includes('.mpd') ? 'dash' : 'direct', src, CONFIDENCE.markup));
+      }
+    });
+    return candidates;
+  }
+
+  // store_trailers paths in scripts, from which the manifest URL can be rebuilt
+  function extractTrailerPaths({ scripts }) {
+    const candidates = [];
+    for (const text of scripts) {
+      for (const match of text.matchAll(/store_trailers[\\/]+(\d+)[\\/]+(\d+)[\\/]+([a-f0-9]+)[\\/]+(\d+)/gi)) {
+        const [, appId, movieId, hash, version] = match;
+        const url = `https://video.fastly.steamstatic.com/store_trailers/${appId}/${movieId}/${hash}/${version}/dash_av1.mpd`;
+        candidates.push(candidate('dash', url, CONFIDENCE.scan, { movieId }));
+      }
+    }
+    return candidates;
+  }
+
+  // Any Steam CDN URL that looks like a video file or manifest
+  function extractVideoFileUrls({ html }) {
+    const candidates = [];
+    for (const match of html.matchAll(/https?:[^"'\s<>]*(?:steamstatic|akamai)[^"'\s<>]*(?:movie|video|trailer)[^"'\s<>]*\.(?:mp4|webm|mpd)/gi)) {
+      const url = unescapeUrl(match[0]).replace(/\\/g, '');
+      candidates.push(candidate(url.endsWith('.mpd') ? 'dash' : 'direct', url, CONFIDENCE.scan));
+    }
+    return candidates;
+  }
+
+  // The pipeline, most reliable first; entries are listed in the order they are first found
+  const EXTRACTORS = [
+    extractHighlightProps,
+    extractMovieFlashvars,
+    extractHighlightMovies,
+    extractSourceAttributes,
+    extractManifestUrls,
+    extractVideoElements,
+    extractTrailerPaths,
+    extractVideoFileUrls
+  ];
+
+  // What movie a candidate is: its movie ID when known, so manifests and files of one movie meet;
+  // otherwise its URL without codec, file extension or query
+  function candidateKey(c) {
+    if (c.movieId) return `movie:${c.movieId}`;
+    const url = c.url.split('?')[0];
+    return c.kind === 'direct' ? `direct:${url.replace(/\.(?:mp4|webm)$/i, '')}` : `dash:${movieManifestKey(url)}`;
+  }
+
+  // File format of a direct video URL ('mp4', 'webm')
+  function fileFormat(url) {
+    return url.match(/\.(mp4|webm)(?:\?|$)/i)?.[1].toLowerCase() || 'mp4';
+  }
+
+  // One entry per movie: { url, movieId, name, titled, poster, isDirect, variants | formats };
+  // titled tells whether name is the movie's real title. Values come from the most confident
+  // candidate that has them. A movie with a manifest is a trailer (its files are the same video,
+  // so they are dropped) and variants holds its manifest URL per codec ({ h264, av1 }); a movie
+  // with only files is direct and formats holds its file URL per format ({ mp4, webm }).
+  function mergeCandidates(candidates) {
+    const groups = new Map();
+    for (const c of candidates) {
+      const key = candidateKey(c);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(c);
+    }
+
+    return [...groups.values()].map(group => {
+      const ranked = [...group].sort((a, b) => b.confidence - a.confidence);
+      const best = (field) => ranked.find(c => c[field])?.[field] || null;
+      const manifests = ranked.filter(c => c.kind === 'dash');
+      const isDirect = manifests.length === 0;
+      const entry = {
+        url: isDirect ? ranked[0].url : manifests[0].url,
+        movieId: best('movieId') || 'unknown',
+        name: best('name') || (isDirect ? 'Video' : 'Trailer'),
+        titled: !!best('name'),
+        poster: best('poster'),
+        isDirect
+      };
+      if (isDirect) {
+        entry.formats = {};
+        for (const c of ranked) {
+          const format = fileFormat(c.url);
+          if (!entry.formats[format]) entry.formats[format] = c.url;
+        }
+      } else {
+        entry.variants = {};
+        for (const c of manifests) {
+          const variant = manifestVariant(c.url);
+          if (variant && !entry.variants[variant]) entry.variants[variant] = c.url;
+        }
+      }
+      return entry;
+    });
+  }
+
+  // Movie IDs in the order the store shows them: the highlight strip under the player, else the
+  // player's own movie list
+  function storeMovieOrder(doc) {
+    const ids = (selector, pattern) => [...doc.querySelectorAll(selector)]
+      .map(el => el.getAttribute('data-movie-id') || el.id.match(pattern)?.[1])
+      .filter(Boolean);
+    const strip = ids('.highlight_strip_movie, [id^="thumb_movie_"]', /^thumb_movie_(\d+)$/);
+    return strip.length > 0 ? strip : ids('.highlight_movie', /^highlight_movie_(\d+)$/);
+  }
+
+  // Put trailers in store order; movies the store does not list keep their place after them
+  function sortByStoreOrder(entries, order) {
+    if (order.length === 0) return entries;
+    const rank = (entry) => {
+      const i = order.indexOf(entry.movieId);
+      return i === -1 ? order.length : i;
+    };
+    return [...entries].sort((a, b) => rank(a) - rank(b));
+  }
+
+  // Find the trailers (DASH manifests) and video files of a page
+  function findDashUrls(doc, pageUrl) {
+    const appId = appIdFromPageUrl(pageUrl);
+    const page = {
+      doc,
+      html: doc.documentElement.innerHTML,
+      scripts: [...doc.querySelectorAll('script')].map(script => script.textContent || '')
+    };
+    const merged = sortByStoreOrder(mergeCandidates(EXTRACTORS.flatMap(extract => extract(page))), storeMovieOrder(doc));
+
+    // Poster and thumbnail images of each trailer, and the app it belongs to
+    for (const entry of merged) {
+      entry.appId = appIdFromUrl(entry.url) || appId;
+      if (entry.isDirect) continue;
+      const images = findMovieImages(doc, entry.movieId, page.html);
+      entry.poster = entry.poster || images.poster;
+      entry.thumbnail = images.thumbnail || entry.poster;
+    }
+
+    console.log('Steam Video Downloader: Found videos on', pageUrl, merged);
+    return merged;
+  }
+
+  // App ID in a trailer or asset URL (.../store_trailers/<appId>/..., .../steam/apps/<appId>/extras/...)
+  function appIdFromUrl(url) {
+    const match = url.match(/store_trailers\/(\d+)\//) || url.match(/\/apps\/(\d+)\/extras\//);
+    return match ? match[1] : null;
+  }
+
+  // Poster (largest) and thumbnail (smallest) image URLs Steam has for a movie, from the
+  // highlight player and any image URLs in the page (movie.293x165.jpg, movie_max.jpg, ...)
+  function findMovieImages(doc, movieId, pageHtml) {
+    if (!/^\d+$/.test(movieId)) return { poster: null, thumbnail: null };
+    const urls = new Set();
+    const el = doc.querySelector(`.highlight_movie[data-movie-id="${movieId}"], #highlight_movie_${movieId}`);
+    if (el && el.getAttribute('data-poster')) urls.add(el.getAttribute('data-poster'));
+    const pattern = new RegExp(`https?:\\\\?/\\\\?/[^"'\\s<>]*steamstatic\\.com[^"'\\s<>]*?[\\\\/]${movieId}[\\\\/][^"'\\s<>]*?movie[^"'\\s<>/\\\\]*\\.(?:jpg|jpeg|png|webp)`, 'gi');
+    for (const match of pageHtml.matchAll(pattern)) {
+      urls.add(match[0].replace(/\\\//g, '/'));
+    }
+
+    // movie_max is the full-size frame; movie.jpg without a size is 600 wide
+    const width = (url) => {
+      if (/_max\b/.test(url)) return Infinity;
+      const size = url.match(/(\d+)x\d+/);
+      return size ? parseInt(size[1]) : 600;
+    };
+    const sorted = [...urls].map(url => url.replace(/&amp;/g, '&')).sort((a, b) => width(a) - width(b));
+    return { poster: sorted[sorted.length - 1] || null, thumbnail: sorted[0] || null };
+  }
+
+  // Find extra videos (direct downloads)
+  function findExtras(doc, pageUrl) {
+    const extrasMap = new Map(); // Group by video name
+    const appId = appIdFromPageUrl(pageUrl);
+    if (!appId) return [];
+
+    const appDataEl = doc.querySelector('[data-appassets]');
+    if (appDataEl) {
+      try {
+        let appAssets = appDataEl.getAttribute('data-appassets');
+        appAssets = appAssets.replace(/&quot;/g, '"');
+        const data = JSON.parse(appAssets);
+
+        Object.entries(data).forEach(([key, variants]) => {
+          if (Array.isArray(variants)) {
+            const mp4 = variants.find(v => v.extension === 'mp4');
+            const webm = variants.find(v => v.extension === 'webm');
+
+            // Get base name without extension
+            const baseName = key.replace('extras/', '').replace(/\.[^.]+$/, '');
+
+            if (!extrasMap.has(baseName)) {
+              extrasMap.set(baseName, { name: baseName, appId, formats: {} });
+            }
+
+            const entry = extrasMap.get(baseName);
+
+            if (mp4) {
+              const url = `https://shared.fastly.steamstatic.com/store_item_assets/steam/apps/${appId}/${mp4.urlPart}`;
+              entry.formats.mp4 = url;
+            }
+            if (webm) {
+              const url = `https://shared.fastly.steamstatic.com/store_item_assets/steam/apps/${appId}/${webm.urlPart}`;
+              entry.formats.webm = url;
+            }
+          }
+        });
+      } catch (e) {
+        console.log('Steam Video Downloader: Could not parse app assets', e);
+      }
+    }
+
+    // Convert map to array
+    return Array.from(extrasMap.values());
+  }
+
+  // Name of the page: the app's name on app pages, otherwise the document title
+  function getPageName(doc = document) {
+    const appName = doc.querySelector('.apphub_AppName')?.textContent?.trim();
+    if (appName) return appName;
+    return doc.title.replace(/^Steam (?:Community )?:: /, '').replace(/ (?:on|-) Steam$/, '').trim() || 'Steam';
+  }
+
+  // Names of the apps the page shows, by app ID: the page's own app, then apps listed
+  // in bundles, subs and sales (data-ds-appid tiles) or linked with a readable name
+  function findAppNames(doc, pageUrl) {
+    const names = new Map();
+    const pageAppId = appIdFromPageUrl(pageUrl);
+    const pageAppName = doc.querySelector('.apphub_AppName')?.textContent?.trim();
+    if (pageAppId && pageAppName) names.set(pageAppId, pageAppName);
+
+    doc.querySelectorAll('[data-ds-appid]').forEach(el => {
+      const appId = el.getAttribute('data-ds-appid');
+      if (!/^\d+$/.test(appId) || names.has(appId)) return;
+      const name = el.querySelector('.tab_item_name, .title, .bundle_contents_item_name')?.textContent?.trim() ||
+        el.querySelector('img[alt]')?.getAttribute('alt')?.trim();
+      if (name) names.set(appId, name);
+    });
+
+    doc.querySelectorAll('a[href*="/app/"]').forEach(a => {
+      const match = a.getAttribute('href').match(/\/app\/(\d+)/);
+      if (!match || names.has(match[1])) return;
+      const name = a.textContent.trim() || a.querySelector('img[alt]')?.getAttribute('alt')?.trim();
+      if (name && name.length <= 120 && !name.includes('\n')) names.set(match[1], name);
+    });
+    return names;
+  }
+
+  // Everything downloadable on a page, grouped by the app it belongs to (the page's app first):
+  // [{ appId, gameName, trailers, videos, extras }]. source is a Document or the page's HTML;
+  // pageUrl is where it came from, which tells the page's own app. Each entry also gets appId,
+  // gameName, position (1-based within its app and kind) and label ("Trailer 2", "Video 1").
+  function collectPageVideos(source = document, pageUrl = window.location.href) {
+    const doc = typeof source === 'string' ? parseHtml(source) : source;
+    const pageAppId = appIdFromPageUrl(pageUrl);
+    const found = findDashUrls(doc, pageUrl);
+    const names = findAppNames(doc, pageUrl);
+    const apps = new Map();
+    const appFor = (appId) => {
+      const key = appId || '';
+      if (!apps.has(key)) {
+        apps.set(key, {
+          appId: appId || null,
+          gameName: names.get(appId) || (appId && appId !== pageAppId ? `App ${appId}` : getPageName(doc)),
+          trailers: [],
+          videos: [],
+          extras: []
+        });
+      }
+      return apps.get(key);
+    };
+    if (pageAppId) appFor(pageAppId);
+
+    found.filter(d => !d.isDirect).forEach(dash => appFor(dash.appId).trailers.push(dash));
+
+    // Direct videos, one entry per video with its MP4/WEBM files
+    found.filter(d => d.isDirect).forEach(vid => {
+      appFor(vid.appId).videos.push({ name: vid.name, movieId: vid.movieId, appId: vid.appId, formats: vid.formats });
+    });
+
+    findExtras(doc, pageUrl).forEach(extra => appFor(extra.appId).extras.push(extra));
+
+    const result = [...apps.values()].filter(app => app.trailers.length + app.videos.length + app.extras.length > 0);
+    for (const app of result) {
+      // Real titles are used as they are ("Launch Trailer", a repeat is "Launch Trailer 2");
+      // untitled trailers are numbered by position
+      const titleUses = new Map();
+      app.trailers.forEach((dash, i) => {
+        Object.assign(dash, { appId: app.appId, gameName: app.gameName, position: i + 1 });
+        if (dash.titled) {
+          const uses = (titleUses.get(dash.name) || 0) + 1;
+          titleUses.set(dash.name, uses);
+          dash.label = uses > 1 ? `${dash.name} ${uses}` : dash.name;
+        } else {
+          dash.label = `${dash.name}${app.trailers.length > 1 ? ' ' + (i + 1) : ''}`;
+        }
+      });
+      app.videos.forEach((vid, i) => Object.assign(vid, { appId: app.appId, gameName: app.gameName, position: i + 1, label: `Video ${i + 1}` }));
+      app.extras.forEach((extra, i) => Object.assign(extra, { appId: app.appId, gameName: app.gameName, position: i + 1, label: `Clip ${i + 1}` }));
+    }
+    return result;
+  }
+
+  return {
+    appIdFromPageUrl,
+    parseHtml,
+    movieManifestKey,
+    EXTRACTORS,
+    mergeCandidates,
+    findDashUrls,
+    findExtras,
+    findMovieImages,
+    findAppNames,
+    getPageName,
+    collectPageVideos
+  };
+})();
@@ -0,0 +1,93 @@
+// Steam Video Downloader - filename templates
+// Turns a template like "{game} - {title} [{height}p {codec}].{ext}" into a file name
+// that is valid on Windows, macOS and Linux. Shared by the content script and the options page.
+
+const SVDFilenames = (function() {
+  'use strict';
+
+  // Template tokens and what they stand for
+  const TOKENS = {
+    game: 'Game name',
+    title: 'Trailer or clip title',
+    appId: 'Steam app ID',
+    movieId: 'Steam movie ID',
+    index: 'Position on the page (1, 2, ...)',
+    date: 'Download date (YYYY-MM-DD)',
+    width: 'Video width',
+    height: 'Video height',
+    resolution: 'Width x height (1920x1080)',
+    codec: 'Video codec (H.264, AV1, ...)',
+    ext: 'File extension'
+  };
+
+  const MAX_NAME_BYTES = 200; // Below the 255-byte limit of common file systems, leaving room for "(2)" and temp suffixes
+  const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\.|$)/i; // Windows device names
+  const TOKEN_PATTERN = /\{(\w+)\}/g;
+  const encoder = new TextEncoder();
+
+  // Make a file name (without folders) safe on all platforms; Unicode is kept
+  function sanitize(name, fallback = 'video') {
+    let clean = String(name).normalize('NFC')
+      .replace(/[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, '') // Bidi controls can disguise the extension
+      .replace(/:\s+/g, ' - ')
+      .replace(/"/g, '\'')
+      .replace(/[<>:/\\|?*\x00-\x1f\x7f]/g, '_')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s.]+|[\s.]+$/g, ''); // Leading dots hide files, trailing dots and spaces vanish on Windows
+
+    // Cut to the byte limit without splitting a character
+    if (encoder.encode(clean).length > MAX_NAME_BYTES) {
+      let bytes = 0;
+      let cut = '';
+      for (const char of clean) {
+        bytes += encoder.encode(char).length;
+        if (bytes > MAX_NAME_BYTES) break;
+        cut += char;
+      }
+      clean = cut.replace(/[\s.]+$/, '');
+    }
+
+    if (RESERVED_NAMES.test(clean)) clean = `_${clean}`;
+    return clean || fallback;
+  }
+
+  // Fill in a template. Tokens without a value are left out together with the text attached to
+  // them ("{height}p") and any brackets that end up empty, so "[{height}p {codec}]" disappears
+  // for a clip with unknown quality. values.ext is always used as the extension.
+  function render(template, values) {
+    const lookup = {};
+    for (const key of Object.keys(TOKENS)) lookup[key.toLowerCase()] = '';
+    for (const [key, value] of Object.entries(values)) {
+      if (value !== undefined && value !== null) lookup[key.toLowerCase()] = String(value).replace(/[\\/]/g, '_');
+    }
+    const known = (key) => key.toLowerCase() in lookup;
+
+    const ext = (lookup.ext || 'bin').replace(/[^a-zA-Z0-9]/g, '') || 'bin';
+    const body = String(template || '').replace(/\.\{ext\}\s*$/i, '');
+
+    let name = body.replace(/[^\s[\]()]+/g, (chunk) => {
+      const keys = [...chunk.matchAll(TOKEN_PATTERN)].map(m => m[1]).filter(known);
+      const empty = keys.filter(key => !lookup[key.toLowerCase()]);
+      if (keys.length > 0 && empty.length === keys.length) return '';
+      const filled = chunk.replace(TOKEN_PATTERN, (match, key) => known(key) ? lookup[key.toLowerCase()] : match);
+      // "{appId}_{movieId}" without a movie ID keeps no dangling underscore
+      return empty.length > 0 ? filled.replace(/^[_\-.]+|[_\-.]+$/g, '') : filled;
+    });
+
+    // Brackets and separators left over by missing values
+    let previous;
+    do {
+      previous = name;
+      name = name.replace(/\[\s*\]|\(\s*\)/g, '')
+        .replace(/([[(])\s+/g, '$1')
+        .replace(/\s+([\])])/g, '$1');
+    } while (name !== previous);
+    name = name.replace(/\s+/g, ' ')
+      .replace(/ -(?: -)+ /g, ' - ')
+      .replace(/^[\s\-_]+|[\s\-_]+$/g, '');
+
+    return `${sanitize(name || lookup.title || lookup.game)}.${ext}`;
+  }
+
+  return { TOKENS, render, sanitize };
+})();
@@ -0,0 +1,2457 @@
+// Steam Video Downloader - MP4 muxer
+// Shared by the offscreen document (the real mux engine) and the content script
+// (streaming header building and in-page fallback). Requires mp4box.min.js.
+
+const SVDMuxer = (function() {
+  'use strict';
+
+  // True when an error was caused by the user cancelling the download
+  function isAbortError(error, signal) {
+    return !!(signal && signal.aborted) || error?.name === 'AbortError';
+  }
+
+  // Binary-level MP4 muxing for fragmented MP4 (DASH segments)
+  // options.metadata is written into the moov as iTunes-style tags (see buildUdta)
+  async function binaryMuxFragmentedMP4(videoData, audioData, onProgress, options = {}) {
+    onProgress && onProgress('Analyzing MP4 structure...');
+
+    const videoView = new DataView(videoData);
+    const audioView = new DataView(audioData);
+
+    // Helper to read box header
+    function readBoxHeader(view, offset) {
+      if (offset + 8 > view.byteLength) return null;
+      let size = view.getUint32(offset);
+      const type = String.fromCharCode(
+        view.getUint8(offset + 4),
+        view.getUint8(offset + 5),
+        view.getUint8(offset + 6),
+        view.getUint8(offset + 7)
+      );
+      let headerSize = 8;
+      if (size === 1) {
+        // 64-bit size
+        size = Number(view.getBigUint64(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        // Box extends to end of file
+        size = view.byteLength - offset;
+      }
+      return { size, type, headerSize, offset };
+    }
+
+    // Parse all top-level boxes
+    function parseBoxes(view) {
+      const boxes = [];
+      let offset = 0;
+      while (offset < view.byteLength) {
+        const box = readBoxHeader(view, offset);
+        if (!box || box.size < 8) break;
+        boxes.push(box);
+        offset += box.size;
+      }
+      return boxes;
+    }
+
+    const videoBoxes = parseBoxes(videoView);
+    const audioBoxes = parseBoxes(audioView);
+
+    console.log('Video boxes:', videoBoxes.map(b => b.type + ':' + b.size));
+    console.log('Audio boxes:', audioBoxes.map(b => b.type + ':' + b.size));
+
+    // Find key boxes
+    const videoFtyp = videoBoxes.find(b => b.type === 'ftyp');
+    const videoMoov = videoBoxes.find(b => b.type === 'moov');
+    const audioMoov = audioBoxes.find(b => b.type === 'moov');
+
+    if (!videoFtyp || !videoMoov || !audioMoov) {
+      throw new Error('Missing required boxes');
+    }
+
+    onProgress && onProgress('Merging tracks...');
+
+    // Get moov data
+    const videoMoovData = new Uint8Array(videoData, videoMoov.offset, videoMoov.size);
+    const audioMoovData = new Uint8Array(audioData, audioMoov.offset, audioMoov.size);
+
+    // Extract audio trak and trex (for mvex)
+    const audioTrakBox = findSubBox(audioMoovData, 'trak');
+    const audioMvexBox = findSubBox(audioMoovData, 'mvex');
+    let audioTrexBox = null;
+    if (audioMvexBox) {
+      audioTrexBox = findSubBox(audioMvexBox, 'trex');
+    }
+
+    if (!audioTrakBox) {
+      throw new Error('No audio track found');
+    }
+
+    console.log('Found audio trak:', audioTrakBox.length, 'trex:', audioTrexBox?.length);
+
+    // Create merged moov with both tracks and both trex entries
+    let mergedMoov = createMergedMoov(videoMoovData, audioTrakBox, audioTrexBox);
+    if (options.metadata) mergedMoov = addMoovMetadata(mergedMoov, options.metadata);
+
+    // Collect video fragments (styp + sidx + moof + mdat groups)
+    const videoFragments = [];
+    for (let i = 0; i < videoBoxes.length; i++) {
+      const box = videoBoxes[i];
+      if (box.type === 'styp' || box.type === 'sidx' || box.type === 'moof' || box.type === 'mdat') {
+        videoFragments.push({
+          type: box.type,
+          data: new Uint8Array(videoData, box.offset, box.size)
+        });
+      }
+    }
+
+    // Collect audio fragments and update track IDs
+    const audioFragments = [];
+    for (let i = 0; i < audioBoxes.length; i++) {
+      const box = audioBoxes[i];
+      if (box.type === 'styp' || box.type === 'sidx') {
+        audioFragments.push({
+          type: box.type,
+          data: new Uint8Array(audioData, box.offset, box.size)
+        });
+      } else if (box.type === 'moof') {
+        const moofData = new Uint8Array(audioData.slice(box.offset, box.offset + box.size));
+        updateTrackIdInMoof(moofData, 2);
+        // Also update sidx if present (track reference)
+        audioFragments.push({ type: 'moof', data: moofData });
+      } else if (box.type === 'mdat') {
+        audioFragments.push({
+          type: box.type,
+          data: new Uint8Array(audioData, box.offset, box.size)
+        });
+      }
+    }
+
+    // Also update track reference in audio sidx boxes
+    for (const frag of audioFragments) {
+      if (frag.type === 'sidx') {
+        updateTrackIdInSidx(frag.data, 2);
+      }
+    }
+
+    onProgress && onProgress('Building output file...');
+
+    // Calculate total size
+    const ftypData = new Uint8Array(videoData, videoFtyp.offset, videoFtyp.size);
+    let totalSize = ftypData.length + mergedMoov.length;
+    for (const frag of videoFragments) totalSize += frag.data.length;
+    for (const frag of audioFragments) totalSize += frag.data.length;
+
+    // Build output
+    const output = new Uint8Array(totalSize);
+    let writeOffset = 0;
+
+    // Write ftyp
+    output.set(ftypData, writeOffset);
+    writeOffset += ftypData.length;
+
+    // Write merged moov
+    output.set(mergedMoov, writeOffset);
+    writeOffset += mergedMoov.length;
+
+    // Write video fragments first, then audio fragments
+    for (const frag of videoFragments) {
+      output.set(frag.data, writeOffset);
+      writeOffset += frag.data.length;
+    }
+    for (const frag of audioFragments) {
+      output.set(frag.data, writeOffset);
+      writeOffset += frag.data.length;
+    }
+
+    console.log('Binary mux complete, output size:', output.length);
+    return output.buffer;
+  }
+
+  // Update track reference in sidx box
+  function updateTrackIdInSidx(sidxData, newTrackId) {
+    if (sidxData.length < 16) return;
+    const view = new DataView(sidxData.buffer, sidxData.byteOffset, sidxData.byteLength);
+    // sidx: header(8) + version(1) + flags(3) + reference_ID(4)
+    view.setUint32(12, newTrackId);
+  }
+
+  // Create merged moov box with both video and audio tracks
+  function createMergedMoov(videoMoovData, audioTrakBox, audioTrexBox) {
+    // Update audio trak track_ID to 2
+    const audioTrakCopy = new Uint8Array(audioTrakBox);
+    updateTrackIdInTrak(audioTrakCopy, 2);
+
+    // Find mvex in video moov and get its position
+    const videoMvex = findSubBoxWithOffset(videoMoovData, 'mvex');
+
+    if (!videoMvex || !audioTrexBox) {
+      // No mvex - just append trak
+      const newSize = videoMoovData.length + audioTrakCopy.length;
+      const result = new Uint8Array(newSize);
+      result.set(videoMoovData);
+      result.set(audioTrakCopy, videoMoovData.length);
+      const view = new DataView(result.buffer);
+      view.setUint32(0, newSize);
+      return result;
+    }
+
+    // Update audio trex track_ID to 2
+    const audioTrexCopy = new Uint8Array(audioTrexBox);
+    updateTrackIdInTrex(audioTrexCopy, 2);
+
+    // Build new moov:
+    // 1. Copy everything before mvex
+    // 2. Insert audio trak before mvex
+    // 3. Copy mvex with added audio trex
+
+    const mvexOffset = videoMvex.offset;
+    const mvexSize = videoMvex.size;
+    const beforeMvex = videoMoovData.slice(0, mvexOffset);
+    const oldMvex = videoMoovData.slice(mvexOffset, mvexOffset + mvexSize);
+
+    // Create new mvex with audio trex added
+    const newMvexSize = mvexSize + audioTrexCopy.length;
+    const newMvex = new Uint8Array(newMvexSize);
+    newMvex.set(oldMvex);
+    newMvex.set(audioTrexCopy, mvexSize);
+    // Update mvex size
+    const mvexView = new DataView(newMvex.buffer);
+    mvexView.setUint32(0, newMvexSize);
+
+    // Final moov: beforeMvex + audioTrak + newMvex
+    const newMoovSize = beforeMvex.length + audioTrakCopy.length + newMvex.length;
+    const result = new Uint8Array(newMoovSize);
+    let offset = 0;
+    result.set(beforeMvex, offset);
+    offset += beforeMvex.length;
+    result.set(audioTrakCopy, offset);
+    offset += audioTrakCopy.length;
+    result.set(newMvex, offset);
+
+    // Update moov size
+    const view = new DataView(result.buffer);
+    view.setUint32(0, newMoovSize);
+
+    console.log('Created merged moov, size:', newMoovSize, 'with audio trak and trex');
+    return result;
+  }
+
+  // Find sub-box with offset info
+  function findSubBoxWithOffset(data, targetType) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let offset = 8;
+    while (offset < data.length - 8) {
+      const size = view.getUint32(offset);
+      const type = String.fromCharCode(data[offset+4], data[offset+5], data[offset+6], data[offset+7]);
+      if (size < 8 || offset + size > data.length) break;
+      if (type === targetType) {
+        return { offset, size, data: data.slice(offset, offset + size) };
+      }
+      offset += size;
+    }
+    return null;
+  }
+
+  // Update track_ID in trex box
+  function updateTrackIdInTrex(trexData, newTrackId) {
+    if (trexData.length < 16) return;
+    const view = new DataView(trexData.buffer, trexData.byteOffset, trexData.byteLength);
+    // trex: header(8) + version(1) + flags(3) + track_ID(4)
+    view.setUint32(12, newTrackId);
+    console.log('Updated trex track_ID to', newTrackId);
+  }
+
+  // Extract raw stsd box from moov in original data
+  function extractStsdFromMoov(data) {
+    const view = new DataView(data);
+
+    // Find moov box
+    let offset = 0;
+    while (offset < data.byteLength - 8) {
+      const size = view.getUint32(offset);
+      const type = String.fromCharCode(
+        view.getUint8(offset + 4), view.getUint8(offset + 5),
+        view.getUint8(offset + 6), view.getUint8(offset + 7)
+      );
+      if (size < 8 || offset + size > data.byteLength) break;
+
+      if (type === 'moov') {
+        // Search inside moov for trak -> mdia -> minf -> stbl -> stsd
+        return findStsdInBox(new Uint8Array(data, offset, size), 8);
+      }
+      offset += size;
+    }
+    return null;
+  }
+
+  // Recursively find stsd box
+  function findStsdInBox(data, startOffset) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let offset = startOffset;
+
+    while (offset < data.length - 8) {
+      const size = view.getUint32(offset);
+      const type = String.fromCharCode(
+        data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]
+      );
+
+      if (size < 8 || offset + size > data.length) break;
+
+      if (type === 'stsd') {
+        // Found it! Return the raw bytes
+        return data.slice(offset, offset + size);
+      }
+
+      // Recurse into container boxes
+      if (type === 'trak' || type === 'mdia' || type === 'minf' || type === 'stbl') {
+        const result = findStsdInBox(data.slice(offset, offset + size), 8);
+        if (result) return result;
+      }
+
+      offset += size;
+    }
+    return null;
+  }
+
+  // New approach: defragment using raw stsd from original files
+  async function defragmentWithRawStsd(videoData, audioData, onProgress, signal, options = {}) {
+    const { tracks, fileInfo } = await extractSamples(videoData, audioData, onProgress, signal);
+
+    onProgress && onProgress('Building standard MP4...');
+    console.log('Defrag2: Building MP4 with tracks:', tracks.map(t => `${t.type}:${t.samples.length}samples`));
+    const output = buildMP4WithRawStsd(tracks, fileInfo, options);
+    console.log('Defrag2: Built MP4, size:', output.byteLength);
+    return output;
+  }
+
+  // Extract every sample of a DASH video + audio pair, with each track's raw stsd
+  // Resolves { tracks: [{ id, type, timescale, duration, width, height, samples, rawStsd }], fileInfo }, video first
+  async function extractSamples(videoData, audioData, onProgress, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      // Extract raw stsd boxes from original files
+      const videoStsd = extractStsdFromMoov(videoData);
+      const audioStsd = extractStsdFromMoov(audioData);
+
+      console.log('Extracted stsd - video:', videoStsd?.length, 'audio:', audioStsd?.length);
+
+      if (videoStsd) {
+        // Log the codec type from stsd (first 4 bytes after stsd header)
+        const videoCodec = videoStsd.length > 16 ?
+          String.fromCharCode(videoStsd[12], videoStsd[13], videoStsd[14], videoStsd[15]) : 'unknown';
+        console.log('Video stsd codec:', videoCodec);
+      }
+      if (audioStsd) {
+        const audioCodec = audioStsd.length > 16 ?
+          String.fromCharCode(audioStsd[12], audioStsd[13], audioStsd[14], audioStsd[15]) : 'unknown';
+        console.log('Audio stsd codec:', audioCodec);
+      }
+
+      if (!videoStsd) {
+        reject(new Error('Could not extract video stsd'));
+        return;
+      }
+
+      const file = MP4Box.createFile();
+      let fileInfo = null;
+      let trackSamples = {};
+      let resolved = false;
+
+      // Stop extraction and drop collected samples when cancelled
+      const onAbort = () => {
+        if (!resolved) {
+          resolved = true;
+          trackSamples = {};
+          reject(signal.reason);
+        }
+      };
+      signal && signal.addEventListener('abort', onAbort, { once: true });
+
+      file.onReady = (info) => {
+        fileInfo = info;
+        console.log('Defrag2: Tracks:', info.tracks.map(t => `${t.id}:${t.type}:${t.nb_samples}samples`));
+
+        for (const track of info.tracks) {
+          trackSamples[track.id] = [];
+          file.setExtractionOptions(track.id, null, { nbSamples: track.nb_samples });
+        }
+        file.start();
+      };
+
+      file.onSamples = (trackId, user, samples) => {
+        if (resolved) return;
+        console.log(`Defrag2: Track ${trackId} got ${samples.length} samples`);
+        trackSamples[trackId].push(...samples);
+
+        let allDone = fileInfo && fileInfo.tracks.every(t =>
+          trackSamples[t.id] && trackSamples[t.id].length >= t.nb_samples
+        );
+
+        if (allDone && !resolved) {
+          resolved = true;
+          buildOutput();
+        }
+      };
+
+      file.onError = (e) => {
+        if (!resolved) {
+          resolved = true;
+          reject(e);
+        }
+      };
+
+      function buildOutput() {
+        try {
+          const tracks = [];
+          for (const track of fileInfo.tracks) {
+            const samples = trackSamples[track.id];
+            if (!samples || samples.length === 0) continue;
+
+            // Verify all samples have data
+            let validSamples = 0;
+            let totalDataSize = 0;
+            for (const s of samples) {
+              if (s.data && s.data.byteLength > 0) {
+                validSamples++;
+                totalDataSize += s.data.byteLength;
+              }
+            }
+            console.log(`Defrag2: Track ${track.id} (${track.type}): ${validSamples}/${samples.length} valid samples, ${totalDataSize} bytes`);
+
+            // Calculate duration from samples if track duration is 0 or missing
+            const filteredSamples = samples.filter(s => s.data && s.data.byteLength > 0);
+            let calculatedDuration = track.duration;
+            if (!calculatedDuration || calculatedDuration === 0) {
+              // Sum up all sample durations
+              calculatedDuration = filteredSamples.reduce((sum, s) => sum + (s.duration || 0), 0);
+            }
+            console.log(`Defrag2: Track ${track.id} (${track.type}) - timescale: ${track.timescale}, duration: ${track.duration}, calculated: ${calculatedDuration}`);
+
+            tracks.push({
+              id: tracks.length + 1,
+              type: track.type,
+              timescale: track.timescale,
+              duration: calculatedDuration,
+              width: track.video?.width || track.track_width || 0,
+              height: track.video?.height || track.track_height || 0,
+              samples: filteredSamples,
+              rawStsd: track.type === 'video' ? videoStsd : audioStsd
+            });
+          }
+
+          // Sort tracks: video first, audio second
+          tracks.sort((a, b) => (a.type === 'video' ? -1 : 1));
+          resolve({ tracks, fileInfo });
+        } catch (e) {
+          console.error('Defrag2 build error:', e);
+          reject(e);
+        } finally {
+          signal && signal.removeEventListener('abort', onAbort);
+        }
+      }
+
+      // Parse both video and audio to get combined samples
+      // First create the fragmented version, then parse it
+      binaryMuxFragmentedMP4(videoData, audioData, onProgress).then(fragmented => {
+        if (resolved) return;
+        const buf = fragmented.slice(0);
+        buf.fileStart = 0;
+        file.appendBuffer(buf);
+        file.flush();
+      }).catch(reject);
+
+      setTimeout(() => {
+        if (!resolved) {
+          resolved = true;
+          reject(new Error('Timeout'));
+        }
+      }, 20000);
+    });
+  }
+
+  // Cut a track's samples to a time range (seconds from the start of its data).
+  // Video starts at the last keyframe at or before the range start, audio at the
+  // sample covering it; the returned edit skips the lead-in for a frame-accurate start.
+  function trimTrack(track, start, end) {
+    const samples = track.samples;
+    if (samples.length === 0) return track;
+    const timescale = track.timescale;
+    const base = samples[0].dts;
+    const presentationBase = samples[0].cts;
+    const startTime = Math.max(0, Math.round(start * timescale));
+    const endTime = end !== null && end !== undefined ? Math.round(end * timescale) : Infinity;
+
+    // First kept sample
+    let first = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const time = track.type === 'video' ? samples[i].cts - presentationBase : samples[i].dts - base;
+      if (time > startTime) break;
+      if (track.type !== 'video' || samples[i].is_sync) first = i;
+    }
+
+    // Decode order ends the cut, so every kept frame still has its references
+    let last = samples.length - 1;
+    for (let i = first + 1; i < samples.length; i++) {
+      if (samples[i].dts - base >= endTime) {
+        last = i - 1;
+        break;
+      }
+    }
+
+    const kept = samples.slice(first, last + 1);
+    const keptStart = kept[0].dts;
+    const duration = kept.reduce((sum, s) => sum + (s.duration || 0), 0);
+    const mediaTime = Math.max(0, presentationBase + startTime - base - (keptStart - base));
+    const keptEnd = duration - mediaTime + (track.type === 'video' ? presentationBase - base : 0);
+    const editDuration = Math.max(0, Math.min(endTime - startTime, keptEnd));
+
+    console.log(`Trim: Track ${track.type} keeps samples ${first}-${last} of ${samples.length}, media time ${mediaTime}, edit ${editDuration}`);
+    return {
+      ...track,
+      samples: kept,
+      duration,
+      edit: { mediaTime, duration: editDuration }
+    };
+  }
+
+  // Build MP4 with raw stsd boxes
+  // options.trim: { start, end, videoOffset, audioOffset } in seconds; the offsets are
+  // where each track's data begins, so both tracks are cut at the same presentation time
+  // options.metadata: tags as for buildUdta
+  function buildMP4WithRawStsd(tracks, fileInfo, options = {}) {
+    if (options.trim) {
+      const { start, end, videoOffset = 0, audioOffset = 0 } = options.trim;
+      tracks = tracks.map(track => {
+        const offset = track.type === 'video' ? videoOffset : audioOffset;
+        return trimTrack(track, start - offset, end !== null && end !== undefined ? end - offset : null);
+      });
+    }
+
+    function makeBox(type, content) {
+      const size = 8 + content.length;
+      const box = new Uint8Array(size);
+      const view = new DataView(box.buffer);
+      view.setUint32(0, size);
+      box[4] = type.charCodeAt(0);
+      box[5] = type.charCodeAt(1);
+      box[6] = type.charCodeAt(2);
+      box[7] = type.charCodeAt(3);
+      box.set(content, 8);
+      return box;
+    }
+
+    function concat(...arrays) {
+      const total = arrays.reduce((sum, arr) => sum + arr.length, 0);
+      const result = new Uint8Array(total);
+      let offset = 0;
+      for (const arr of arrays) {
+        result.set(arr, offset);
+        offset += arr.length;
+      }
+      return result;
+    }
+
+    // ftyp
+    const ftypContent = new Uint8Array(20);
+    ftypContent[0] = 0x69; ftypContent[1] = 0x73; ftypContent[2] = 0x6F; ftypContent[3] = 0x6D; // isom
+    new DataView(ftypContent.buffer).setUint32(4, 0x200);
+    ftypContent[8] = 0x69; ftypContent[9] = 0x73; ftypContent[10] = 0x6F; ftypContent[11] = 0x6D; // isom
+    ftypContent[12] = 0x69; ftypContent[13] = 0x73; ftypContent[14] = 0x6F; ftypContent[15] = 0x32; // iso2
+    ftypContent[16] = 0x61; ftypContent[17] = 0x76; ftypContent[18] = 0x63; ftypContent[19] = 0x31; // avc1
+    const ftyp = makeBox('ftyp', ftypContent);
+
+    // mvhd
+    const movieTimescale = 1000;
+    let maxDuration = 0;
+    for (const t of tracks) {
+      const d = (t.edit ? t.edit.duration : t.duration) * movieTimescale / t.timescale;
+      console.log(`BuildMP4: Track ${t.type} duration in movie timescale: ${d} (raw: ${t.duration}, timescale: ${t.timescale})`);
+      if (d > maxDuration) maxDuration = d;
+    }
+    console.log(`BuildMP4: Movie duration: ${maxDuration}ms`);
+
+    const mvhdContent = new Uint8Array(100);
+    const mvhdView = new DataView(mvhdContent.buffer);
+    mvhdView.setUint32(12, movieTimescale);
+    mvhdView.setUint32(16, Math.round(maxDuration));
+    mvhdView.setUint32(20, 0x00010000); // rate
+    mvhdView.setUint16(24, 0x0100); // volume
+    mvhdView.setUint32(36, 0x00010000);
+    mvhdView.setUint32(52, 0x00010000);
+    mvhdView.setUint32(68, 0x40000000);
+    mvhdView.setUint32(96, tracks.length + 1);
+    const mvhd = makeBox('mvhd', mvhdContent);
+
+    // Collect all sample data first
+    const allSampleData = [];
+    for (const track of tracks) {
+      for (const sample of track.samples) {
+        if (sample.data) allSampleData.push(new Uint8Array(sample.data));
+      }
+    }
+    const mdatContent = concat(...allSampleData);
+
+    // Build traks with placeholder offsets first to calculate moov size
+    function buildTrak(track, dataOffset) {
+      const trackDuration = Math.round((track.edit ? track.edit.duration : track.duration) * movieTimescale / track.timescale);
+
+      // tkhd
+      const tkhdContent = new Uint8Array(84);
+      const tkhdView = new DataView(tkhdContent.buffer);
+      tkhdView.setUint32(0, 0x00000003);
+      tkhdView.setUint32(12, track.id);
+      tkhdView.setUint32(20, trackDuration);
+      tkhdView.setUint16(36, track.type === 'audio' ? 0x0100 : 0);
+      tkhdView.setUint32(40, 0x00010000);
+      tkhdView.setUint32(56, 0x00010000);
+      tkhdView.setUint32(72, 0x40000000);
+      tkhdView.setUint32(76, track.width << 16);
+      tkhdView.setUint32(80, track.height << 16);
+      const tkhd = makeBox('tkhd', tkhdContent);
+
+      // edts/elst for trimmed tracks: play from mediaTime for the edit's duration
+      let edts = null;
+      if (track.edit) {
+        const elstContent = new Uint8Array(20);
+        const elstView = new DataView(elstContent.buffer);
+        elstView.setUint32(4, 1);
+        elstView.setUint32(8, trackDuration);
+        elstView.setInt32(12, track.edit.mediaTime);
+        elstView.setUint16(16, 1); // media_rate 1.0
+        edts = makeBox('edts', makeBox('elst', elstContent));
+      }
+
+      // mdhd
+      const mdhdContent = new Uint8Array(24);
+      const mdhdView = new DataView(mdhdContent.buffer);
+      mdhdView.setUint32(12, track.timescale);
+      mdhdView.setUint32(16, track.duration);
+      mdhdView.setUint16(20, 0x55C4);
+      const mdhd = makeBox('mdhd', mdhdContent);
+
+      // hdlr
+      const handlerType = track.type === 'video' ? 'vide' : 'soun';
+      const handlerName = track.type === 'video' ? 'VideoHandler' : 'SoundHandler';
+      const hdlrContent = new Uint8Array(25 + handlerName.length);
+      hdlrContent[8] = handlerType.charCodeAt(0);
+      hdlrContent[9] = handlerType.charCodeAt(1);
+      hdlrContent[10] = handlerType.charCodeAt(2);
+      hdlrContent[11] = handlerType.charCodeAt(3);
+      for (let i = 0; i < handlerName.length; i++) hdlrContent[24 + i] = handlerName.charCodeAt(i);
+      const hdlr = makeBox('hdlr', hdlrContent);
+
+      // vmhd/smhd
+      const mediaHeader = track.type === 'video'
+        ? makeBox('vmhd', new Uint8Array([0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0]))
+        : makeBox('smhd', new Uint8Array(8));
+
+      // dinf/dref
+      const urlBox = makeBox('url ', new Uint8Array([0, 0, 0, 1]));
+      const dref = makeBox('dref', concat(new Uint8Array([0, 0, 0, 0, 0, 0, 0, 1]), urlBox));
+      const dinf = makeBox('dinf', dref);
+
+      // stsd - use raw stsd from original file!
+      const stsd = track.rawStsd || makeBox('stsd', new Uint8Array(8));
+
+      // stts
+      const sttsEntries = [];
+      let currDur = track.samples[0]?.duration || 1;
+      let count = 0;
+      for (const s of track.samples) {
+        if (s.duration === currDur) count++;
+        else {
+          sttsEntries.push({ count, dur: currDur });
+          currDur = s.duration;
+          count = 1;
+        }
+      }
+      if (count > 0) sttsEntries.push({ count, dur: currDur });
+
+      const sttsContent = new Uint8Array(8 + sttsEntries.length * 8);
+      const sttsView = new DataView(sttsContent.buffer);
+      sttsView.setUint32(4, sttsEntries.length);
+      for (let i = 0; i < sttsEntries.length; i++) {
+        sttsView.setUint32(8 + i * 8, sttsEntries[i].count);
+        sttsView.setUint32(12 + i * 8, sttsEntries[i].dur);
+      }
+      const stts = makeBox('stts', sttsContent);
+
+      // stsc
+      const stscContent = new Uint8Array(20);
+      const stscView = new DataView(stscContent.buffer);
+      stscView.setUint32(4, 1);
+      stscView.setUint32(8, 1);
+      stscView.setUint32(12, track.samples.length);
+      stscView.setUint32(16, 1);
+      const stsc = makeBox('stsc', stscContent);
+
+      // stsz
+      const stszContent = new Uint8Array(12 + track.samples.length * 4);
+      const stszView = new DataView(stszContent.buffer);
+      stszView.setUint32(8, track.samples.length);
+      for (let i = 0; i < track.samples.length; i++) {
+        stszView.setUint32(12 + i * 4, track.samples[i].data?.byteLength || 0);
+      }
+      const stsz = makeBox('stsz', stszContent);
+
+      // stco
+      const stcoContent = new Uint8Array(12);
+      const stcoView = new DataView(stcoContent.buffer);
+      stcoView.setUint32(4, 1);
+      stcoView.setUint32(8, dataOffset);
+      const stco = makeBox('stco', stcoContent);
+
+      // stss for video
+      let stss = null;
+      if (track.type === 'video') {
+        const syncSamples = [];
+        for (let i = 0; i < track.samples.length; i++) {
+          if (track.samples[i].is_sync) syncSamples.push(i + 1);
+        }
+        if (syncSamples.length > 0 && syncSamples.length < track.samples.length) {
+          const stssContent = new Uint8Array(8 + syncSamples.length * 4);
+          const stssView = new DataView(stssContent.buffer);
+          stssView.setUint32(4, syncSamples.length);
+          for (let i = 0; i < syncSamples.length; i++) {
+            stssView.setUint32(8 + i * 4, syncSamples[i]);
+          }
+          stss = makeBox('stss', stssContent);
+        }
+      }
+
+      // ctts if needed
+      let ctts = null;
+      let needsCtts = track.samples.some(s => s.cts !== s.dts);
+      if (needsCtts) {
+        const cttsEntries = [];
+        let currOff = (track.samples[0]?.cts || 0) - (track.samples[0]?.dts || 0);
+        let cnt = 0;
+        for (const s of track.samples) {
+          const off = (s.cts || 0) - (s.dts || 0);
+          if (off === currOff) cnt++;
+          else {
+            cttsEntries.push({ count: cnt, offset: currOff });
+            currOff = off;
+            cnt = 1;
+          }
+        }
+        if (cnt > 0) cttsEntries.push({ count: cnt, offset: currOff });
+
+        const cttsContent = new Uint8Array(8 + cttsEntries.length * 8);
+        const cttsView = new DataView(cttsContent.buffer);
+        cttsView.setUint32(4, cttsEntries.length);
+        for (let i = 0; i < cttsEntries.length; i++) {
+          cttsView.setUint32(8 + i * 8, cttsEntries[i].count);
+          cttsView.setInt32(12 + i * 8, cttsEntries[i].offset);
+        }
+        ctts = makeBox('ctts', cttsContent);
+      }
+
+      // Build stbl
+      const stblParts = [stsd, stts, stsc, stsz, stco];
+      if (stss) stblParts.push(stss);
+      if (ctts) stblParts.push(ctts);
+      const stbl = makeBox('stbl', concat(...stblParts));
+
+      const minf = makeBox('minf', concat(mediaHeader, dinf, stbl));
+      const mdia = makeBox('mdia', concat(mdhd, hdlr, minf));
+      return makeBox('trak', edts ? concat(tkhd, edts, mdia) : concat(tkhd, mdia));
+    }
+
+    // First pass with offset 0 to measure moov size
+    let tempTraks = tracks.map(t => buildTrak(t, 0));
+    const udta = options.metadata ? buildUdta(options.metadata) : new Uint8Array(0);
+    const tempMoov = makeBox('moov', concat(mvhd, ...tempTraks, udta));
+
+    // Calculate real offsets
+    const mdatStart = ftyp.length + tempMoov.length + 8;
+    let offset = mdatStart;
+    const finalTraks = [];
+
+    console.log('BuildMP4: ftyp size:', ftyp.length, 'moov size:', tempMoov.length, 'mdat starts at:', mdatStart);
+
+    for (const track of tracks) {
+      console.log(`BuildMP4: Track ${track.type} starts at offset ${offset}`);
+      finalTraks.push(buildTrak(track, offset));
+      let trackDataSize = 0;
+      for (const s of track.samples) {
+        if (s.data) {
+          trackDataSize += s.data.byteLength;
+          offset += s.data.byteLength;
+        }
+      }
+      console.log(`BuildMP4: Track ${track.type} data size: ${trackDataSize}`);
+    }
+
+    const moov = makeBox('moov', concat(mvhd, ...finalTraks, udta));
+    const mdat = makeBox('mdat', mdatContent);
+
+    console.log('BuildMP4: Final moov size:', moov.length, 'mdat size:', mdat.length, 'total:', ftyp.length + moov.length + mdat.length);
+
+    return concat(ftyp, moov, mdat).buffer;
+  }
+
+  // Defragment MP4 - convert fragmented MP4 to regular MP4 by manually building structure
+  // options are passed on to buildMP4File (metadata, trim)
+  async function defragmentMP4(fragmentedData, onProgress, options = {}) {
+    return new Promise((resolve, reject) => {
+      const file = MP4Box.createFile();
+      let fileInfo = null;
+      const trackSamples = {}; // track_id -> samples array
+      let resolved = false;
+
+      file.onReady = (info) => {
+        fileInfo = info;
+        console.log('Defrag: Tracks:', info.tracks.map(t => `${t.id}:${t.type}:${t.nb_samples}samples`));
+
+        for (const track of info.tracks) {
+          trackSamples[track.id] = [];
+          file.setExtractionOptions(track.id, null, { nbSamples: track.nb_samples });
+        }
+        file.start();
+      };
+
+      file.onSamples = (trackId, user, samples) => {
+        if (resolved) return;
+        console.log(`Defrag: Track ${trackId} got ${samples.length} samples`);
+        if (trackSamples[trackId]) {
+          trackSamples[trackId].push(...samples);
+        }
+
+        let allDone = fileInfo && fileInfo.tracks.every(t =>
+          trackSamples[t.id] && trackSamples[t.id].length >= t.nb_samples
+        );
+
+        if (allDone && !resolved) {
+          resolved = true;
+          console.log('Defrag: All samples extracted, building MP4 manually');
+          buildManualMP4();
+        }
+      };
+
+      file.onError = (e) => {
+        if (!resolved) {
+          resolved = true;
+          resolve(fragmentedData);
+        }
+      };
+
+      function buildManualMP4() {
+        try {
+          onProgress && onProgress('Building standard MP4...');
+
+          // A single-track input's stsd can be copied verbatim, which is safer
+          // than re-serializing MP4Box's parsed entry
+          const rawStsd = fileInfo.tracks.length === 1 ? extractStsdFromMoov(fragmentedData) : null;
+
+          // Collect track data
+          const tracks = [];
+          for (const track of fileInfo.tracks) {
+            const samples = trackSamples[track.id];
+            if (!samples || samples.length === 0) continue;
+
+            const srcTrak = file.getTrackById(track.id);
+            const stsdEntry = srcTrak?.mdia?.minf?.stbl?.stsd?.entries?.[0];
+
+            // DASH init segments usually carry no duration, so sum the samples
+            const sampleDuration = samples.reduce((sum, s) => sum + (s.duration || 0), 0);
+
+            tracks.push({
+              id: tracks.length + 1,
+              type: track.type,
+              timescale: track.timescale,
+              duration: sampleDuration || track.duration,
+              width: track.video?.width || track.track_width || 0,
+              height: track.video?.height || track.track_height || 0,
+              sampleRate: track.audio?.sample_rate || 0,
+              channelCount: track.audio?.channel_count || 0,
+              codec: track.codec,
+              samples: samples,
+              stsdEntry: stsdEntry,
+              rawStsd: rawStsd
+            });
+          }
+
+          console.log('Defrag: Building MP4 with', tracks.length, 'tracks');
+          const output = buildMP4File(tracks, fileInfo, options);
+          console.log('Defrag: Built MP4, size:', output.byteLength);
+
+          if (output.byteLength > 10000) {
+            resolve(output);
+          } else {
+            resolve(fragmentedData);
+          }
+        } catch (e) {
+          console.error('Defrag build error:', e);
+          resolve(fragmentedData);
+        }
+      }
+
+      const buf = fragmentedData.slice(0);
+      buf.fileStart = 0;
+      file.appendBuffer(buf);
+      file.flush();
+
+      setTimeout(() => {
+        if (!resolved) {
+          resolved = true;
+          resolve(fragmentedData);
+        }
+      }, 15000);
+    });
+  }
+
+  // iTunes-style tag for each metadata field
+  const METADATA_TAGS = {
+    title: '\u00a9nam',
+    album: '\u00a9alb',
+    comment: '\u00a9cmt',
+    date: '\u00a9day',
+    tool: '\u00a9too'
+  };
+
+  // Build a udta box with iTunes-style metadata (moov > udta > meta > ilst)
+  // metadata: { title, album, comment, date, tool, cover }; empty fields are left out.
+  // cover: { format: 'jpeg' | 'png', data: base64 } is written as cover art (covr)
+  function buildUdta(metadata) {
+    function box(type, ...parts) {
+      const size = 8 + parts.reduce((sum, p) => sum + p.length, 0);
+      const out = new Uint8Array(size);
+      new DataView(out.buffer).setUint32(0, size);
+      for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+      let offset = 8;
+      for (const p of parts) {
+        out.set(p, offset);
+        offset += p.length;
+      }
+      return out;
+    }
+
+    // Item with a single data box: type indicator (1 = UTF-8, 13 = JPEG, 14 = PNG) and locale 0
+    function dataItem(type, dataType, bytes) {
+      const header = new Uint8Array(8);
+      header[3] = dataType;
+      return box(type, box('data', header, bytes));
+    }
+    function textItem(type, value) {
+      return dataItem(type, 1, new TextEncoder().encode(value));
+    }
+
+    const items = [];
+    for (const [field, tag] of Object.entries(METADATA_TAGS)) {
+      if (metadata[field]) items.push(textItem(tag, String(metadata[field])));
+    }
+    if (metadata.cover) {
+      items.push(dataItem('covr', metadata.cover.format === 'png' ? 14 : 13, base64ToBytes(metadata.cover.data)));
+    }
+
+    // meta is a full box; its hdlr declares the mdir/appl metadata handler
+    const hdlrContent = new Uint8Array(25);
+    hdlrContent.set([0x6D, 0x64, 0x69, 0x72, 0x61, 0x70, 0x70, 0x6C], 8); // mdir, appl
+    const meta = box('meta', new Uint8Array(4), box('hdlr', hdlrContent), box('ilst', ...items));
+    return box('udta', meta);
+  }
+
+  // Replace a moov box's udta (if it has one) with one holding metadata (see buildUdta)
+  function addMoovMetadata(moovData, metadata) {
+    const existing = findSubBoxWithOffset(moovData, 'udta');
+    const udta = buildUdta(metadata);
+    const keptSize = moovData.length - (existing ? existing.size : 0);
+    const result = new Uint8Array(keptSize + udta.length);
+    if (existing) {
+      result.set(moovData.subarray(0, existing.offset));
+      result.set(moovData.subarray(existing.offset + existing.size), existing.offset);
+    } else {
+      result.set(moovData);
+    }
+    result.set(udta, keptSize);
+    new DataView(result.buffer).setUint32(0, result.length);
+    return result;
+  }
+
+  // Boxes that are searched for chunk (stco/co64) and fragment (tfhd) offsets
+  const OFFSET_CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'moof', 'traf']);
+
+  // Tag a finished MP4 (ArrayBuffer) with metadata. The udta grows the moov, so absolute
+  // offsets to data after it (chunk offsets, explicit fragment base offsets) move with it.
+  function addFileMetadata(buffer, metadata) {
+    const data = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    let moov = null;
+    for (let offset = 0; offset + 8 <= data.length;) {
+      const size = view.getUint32(offset);
+      const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+      if (size < 8 || offset + size > data.length) break;
+      if (type === 'moov') {
+        moov = { offset, size };
+        break;
+      }
+      offset += size;
+    }
+    if (!moov) return buffer;
+
+    const moovEnd = moov.offset + moov.size;
+    const newMoov = addMoovMetadata(data.subarray(moov.offset, moovEnd), metadata);
+    const delta = newMoov.length - moov.size;
+    const result = new Uint8Array(data.length + delta);
+    result.set(data.subarray(0, moov.offset));
+    result.set(newMoov, moov.offset);
+    result.set(data.subarray(moovEnd), moov.offset + newMoov.length);
+
+    const out = new DataView(result.buffer);
+    const shift = (value) => (value >= moovEnd ? value + delta : value);
+    (function walk(start, end) {
+      for (let offset = start; offset + 8 <= end;) {
+        const size = out.getUint32(offset);
+        const type = String.fromCharCode(...result.subarray(offset + 4, offset + 8));
+        if (size < 8 || offset + size > end) break;
+        if (OFFSET_CONTAINERS.has(type)) {
+          walk(offset + 8, offset + size);
+        } else if (type === 'stco') {
+          const count = out.getUint32(offset + 12);
+          for (let i = 0, pos = offset + 16; i < count; i++, pos += 4) out.setUint32(pos, shift(out.getUint32(pos)));
+        } else if (type === 'co64') {
+          const count = out.getUint32(offset + 12);
+          for (let i = 0, pos = offset + 16; i < count; i++, pos += 8) {
+            out.setBigUint64(pos, BigInt(shift(Number(out.getBigUint64(pos)))));
+          }
+        } else if (type === 'tfhd' && (out.getUint32(offset + 8) & 0x1)) {
+          // base-data-offset-present: an absolute position
+          out.setBigUint64(offset + 16, BigInt(shift(Number(out.getBigUint64(offset + 16)))));
+        }
+        offset += size;
+      }
+    })(0, result.length);
+    return result.buffer;
+  }
+
+  // Build a complete non-fragmented MP4 file manually
+  // options.metadata is written as iTunes-style tags (see buildUdta); options.trim as in buildMP4WithRawStsd
+  function buildMP4File(tracks, fileInfo, options = {}) {
+    if (options.trim) {
+      const { start, end, videoOffset = 0, audioOffset = 0 } = options.trim;
+      tracks = tracks.map(track => {
+        const offset = track.type === 'video' ? videoOffset : audioOffset;
+        return trimTrack(track, start - offset, end !== null && end !== undefined ? end - offset : null);
+      });
+    }
+    const audioOnly = tracks.length > 0 && tracks.every(t => t.type === 'audio');
+
+    // Helper to create a box
+    function makeBox(type, content) {
+      const size = 8 + content.length;
+      const box = new Uint8Array(size);
+      const view = new DataView(box.buffer);
+      view.setUint32(0, size);
+      box[4] = type.charCodeAt(0);
+      box[5] = type.charCodeAt(1);
+      box[6] = type.charCodeAt(2);
+      box[7] = type.charCodeAt(3);
+      box.set(content, 8);
+      return box;
+    }
+
+    // Concatenate Uint8Arrays
+    function concat(...arrays) {
+      const total = arrays.reduce((sum, arr) => sum + arr.length, 0);
+      const result = new Uint8Array(total);
+      let offset = 0;
+      for (const arr of arrays) {
+        result.set(arr, offset);
+        offset += arr.length;
+      }
+      return result;
+    }
+
+    // Build ftyp box
+    function buildFtyp() {
+      const content = new Uint8Array(20);
+      const view = new DataView(content.buffer);
+      if (audioOnly) {
+        // Major brand: M4A, compatible: M4A, mp42, isom
+        const brands = 'M4A \0\0\0\0M4A mp42isom';
+        for (let i = 0; i < brands.length; i++) content[i] = brands.charCodeAt(i);
+        return makeBox('ftyp', content);
+      }
+      // Major brand: isom
+      content[0] = 0x69; content[1] = 0x73; content[2] = 0x6F; content[3] = 0x6D;
+      // Minor version
+      view.setUint32(4, 0x200);
+      // Compatible brands: isom, iso2, avc1, mp41
+      content[8] = 0x69; content[9] = 0x73; content[10] = 0x6F; content[11] = 0x6D;
+      content[12] = 0x69; content[13] = 0x73; content[14] = 0x6F; content[15] = 0x32;
+      content[16] = 0x6D; content[17] = 0x70; content[18] = 0x34; content[19] = 0x31;
+      return makeBox('ftyp', content);
+    }
+
+    // Build mvhd box
+    function buildMvhd(timescale, duration) {
+      const content = new Uint8Array(100);
+      const view = new DataView(content.buffer);
+      // Version 0, flags 0
+      view.setUint32(0, 0);
+      // Creation/modification time
+      view.setUint32(4, 0);
+      view.setUint32(8, 0);
+      // Timescale
+      view.setUint32(12, timescale);
+      // Duration
+      view.setUint32(16, duration);
+      // Rate (1.0 = 0x00010000)
+      view.setUint32(20, 0x00010000);
+      // Volume (1.0 = 0x0100)
+      view.setUint16(24, 0x0100);
+      // Reserved (10 bytes)
+      // Matrix (36 bytes) - identity matrix
+      view.setUint32(36, 0x00010000);
+      view.setUint32(52, 0x00010000);
+      view.setUint32(68, 0x40000000);
+      // Pre-defined (24 bytes at offset 72)
+      // Next track ID
+      view.setUint32(96, tracks.length + 1);
+      return makeBox('mvhd', content);
+    }
+
+    // Build tkhd box
+    function buildTkhd(track, trackDuration) {
+      const content = new Uint8Array(84);
+      const view = new DataView(content.buffer);
+      // Version 0, flags 3 (enabled, in movie)
+      view.setUint32(0, 0x00000003);
+      // Creation/modification time
+      view.setUint32(4, 0);
+      view.setUint32(8, 0);
+      // Track ID
+      view.setUint32(12, track.id);
+      // Reserved
+      view.setUint32(16, 0);
+      // Duration
+      view.setUint32(20, trackDuration);
+      // Reserved (8 bytes)
+      // Layer, alternate group
+      view.setUint16(32, 0);
+      view.setUint16(34, 0);
+      // Volume (for audio = 0x0100, video = 0)
+      view.setUint16(36, track.type === 'audio' ? 0x0100 : 0);
+      // Reserved
+      view.setUint16(38, 0);
+      // Matrix (36 bytes) - identity
+      view.setUint32(40, 0x00010000);
+      view.setUint32(56, 0x00010000);
+      view.setUint32(72, 0x40000000);
+      // Width (16.16 fixed point)
+      view.setUint32(76, track.width << 16);
+      // Height (16.16 fixed point)
+      view.setUint32(80, track.height << 16);
+      return makeBox('tkhd', content);
+    }
+
+    // Build edts box with a single edit: play from mediaTime for duration (movie timescale)
+    function buildEdts(duration, mediaTime) {
+      const content = new Uint8Array(20);
+      const view = new DataView(content.buffer);
+      view.setUint32(4, 1); // Entry count
+      view.setUint32(8, duration);
+      view.setInt32(12, mediaTime);
+      view.setUint16(16, 1); // Media rate 1.0
+      return makeBox('edts', makeBox('elst', content));
+    }
+
+    // Build mdhd box
+    function buildMdhd(timescale, duration) {
+      const content = new Uint8Array(24);
+      const view = new DataView(content.buffer);
+      view.setUint32(0, 0); // Version/flags
+      view.setUint32(4, 0); // Creation time
+      view.setUint32(8, 0); // Modification time
+      view.setUint32(12, timescale);
+      view.setUint32(16, duration);
+      view.setUint16(20, 0x55C4); // Language: und
+      view.setUint16(22, 0); // Quality
+      return makeBox('mdhd', content);
+    }
+
+    // Build hdlr box
+    function buildHdlr(type) {
+      const isVideo = type === 'video';
+      const handlerType = isVideo ? 'vide' : 'soun';
+      const name = isVideo ? 'VideoHandler' : 'SoundHandler';
+      const content = new Uint8Array(25 + name.length);
+      const view = new DataView(content.buffer);
+      view.setUint32(0, 0); // Version/flags
+      view.setUint32(4, 0); // Pre-defined
+      content[8] = handlerType.charCodeAt(0);
+      content[9] = handlerType.charCodeAt(1);
+      content[10] = handlerType.charCodeAt(2);
+      content[11] = handlerType.charCodeAt(3);
+      // Reserved (12 bytes)
+      // Name (null-terminated)
+      for (let i = 0; i < name.length; i++) {
+        content[24 + i] = name.charCodeAt(i);
+      }
+      return makeBox('hdlr', content);
+    }
+
+    // Build vmhd box (video media header)
+    function buildVmhd() {
+      const content = new Uint8Array(12);
+      const view = new DataView(content.buffer);
+      view.setUint32(0, 0x00000001); // Version 0, flags 1
+      return makeBox('vmhd', content);
+    }
+
+    // Build smhd box (sound media header)
+    function buildSmhd() {
+      const content = new Uint8Array(8);
+      return makeBox('smhd', content);
+    }
+
+    // Build dref box
+    function buildDref() {
+      const urlBox = makeBox('url ', new Uint8Array([0, 0, 0, 1])); // Self-contained
+      const content = concat(new Uint8Array([0, 0, 0, 0, 0, 0, 0, 1]), urlBox);
+      return makeBox('dref', content);
+    }
+
+    // Build dinf box
+    function buildDinf() {
+      return makeBox('dinf', buildDref());
+    }
+
+    // Build stsd box using original entry
+    function buildStsd(track) {
+      if (track.rawStsd) return track.rawStsd;
+      if (track.stsdEntry) {
+        // Serialize the original stsd entry
+        try {
+          const entryData = serializeBox(track.stsdEntry);
+          const content = new Uint8Array(8 + entryData.length);
+          const view = new DataView(content.buffer);
+          view.setUint32(0, 0); // Version/flags
+          view.setUint32(4, 1); // Entry count
+          content.set(entryData, 8);
+          return makeBox('stsd', content);
+        } catch (e) {
+          console.log('Failed to serialize stsd entry:', e);
+        }
+      }
+      // Fallback: minimal stsd
+      const content = new Uint8Array(8);
+      const view = new DataView(content.buffer);
+      view.setUint32(4, 0); // Entry count 0
+      return makeBox('stsd', content);
+    }
+
+    // Serialize MP4Box box object to binary
+    function serializeBox(box) {
+      if (!box) return new Uint8Array(0);
+
+      // Use MP4Box's write method if available
+      if (typeof box.write === 'function') {
+        const stream = new MP4Box.DataStream();
+        stream.endianness = MP4Box.DataStream.BIG_ENDIAN;
+        box.write(stream);
+        return new Uint8Array(stream.buffer);
+      }
+
+      // Manual serialization fallback
+      return new Uint8Array(0);
+    }
+
+    // Build stts box (time-to-sample)
+    function buildStts(samples) {
+      // Group consecutive samples with same duration
+      const entries = [];
+      let currentDuration = samples[0]?.duration || 1;
+      let count = 0;
+
+      for (const sample of samples) {
+        if (sample.duration === currentDuration) {
+          count++;
+        } else {
+          entries.push({ count, duration: currentDuration });
+          currentDuration = sample.duration;
+          count = 1;
+        }
+      }
+      if (count > 0) {
+        entries.push({ count, duration: currentDuration });
+      }
+
+      const content = new Uint8Array(8 + entries.length * 8);
+      const view = new DataView(content.buffer);
+      view.setUint32(0, 0); // Version/flags
+      view.setUint32(4, entries.length);
+      for (let i = 0; i < entries.length; i++) {
+        view.setUint32(8 + i * 8, entries[i].count);
+        view.setUint32(12 + i * 8, entries[i].duration);
+      }
+      return makeBox('stts', content);
+    }
+
+    // Build stss box (sync samples - keyframes)
+    function buildStss(samples) {
+      const syncSamples = [];
+      for (let i = 0; i < samples.length; i++) {
+        if (samples[i].is_sync) {
+          syncSamples.push(i + 1); // 1-indexed
+        }
+      }
+      if (syncSamples.length === 0 || syncSamples.length === samples.length) {
+        return null; // All sync or none - don't include stss
+      }
+      const content = new Uint8Array(8 + syncSamples.length * 4);
+      const view = new DataView(content.buffer);
+      view.setUint32(0, 0);
+      view.setUint32(4, syncSamples.length);
+      for (let i = 0; i < syncSamples.length; i++) {
+        view.setUint32(8 + i * 4, syncSamples[i]);
+      }
+      return makeBox('stss', content);
+    }
+
+    // Build stsc box (sample-to-chunk) - all samples in one chunk
+    function buildStsc() {
+      const content = new Uint8Array(20);
+      const view = new DataView(content.buffer);
+      view.setUint32(0, 0); // Version/flags
+      view.setUint32(4, 1); // Entry count
+      view.setUint32(8, 1); // First chunk
+      view.setUint32(12, 1); // Samples per chunk (will update later)
+      view.setUint32(16, 1); // Sample description index
+      return content; // Return raw content, we'll wrap it
+    }
+
+    // Build stsz box (sample sizes)
+    function buildStsz(samples) {
+      const content = new Uint8Array(12 + samples.length * 4);
+      const view = new DataView(content.buffer);
+      view.setUint32(0, 0); // Version/flags
+      view.setUint32(4, 0); // Sample size (0 = variable)
+      view.setUint32(8, samples.length);
+      for (let i = 0; i < samples.length; i++) {
+        view.setUint32(12 + i * 4, samples[i].data?.byteLength || 0);
+      }
+      return makeBox('stsz', content);
+    }
+
+    // Build stco box (chunk offsets) - placeholder, update later
+    function buildStco(offset) {
+      const content = new Uint8Array(12);
+      const view = new DataView(content.buffer);
+      view.setUint32(0, 0); // Version/flags
+      view.setUint32(4, 1); // Entry count
+      view.setUint32(8, offset); // Chunk offset
+      return makeBox('stco', content);
+    }
+
+    // Build ctts box (composition time offsets) if needed
+    function buildCtts(samples) {
+      // Check if any sample has cts != dts
+      let needsCtts = false;
+      for (const sample of samples) {
+        if (sample.cts !== sample.dts) {
+          needsCtts = true;
+          break;
+        }
+      }
+      if (!needsCtts) return null;
+
+      // Group consecutive samples with same offset
+      const entries = [];
+      let currentOffset = (samples[0]?.cts || 0) - (samples[0]?.dts || 0);
+      let count = 0;
+
+      for (const sample of samples) {
+        const offset = (sample.cts || 0) - (sample.dts || 0);
+        if (offset === currentOffset) {
+          count++;
+        } else {
+          entries.push({ count, offset: currentOffset });
+          currentOffset = offset;
+          count = 1;
+        }
+      }
+      if (count > 0) {
+        entries.push({ count, offset: currentOffset });
+      }
+
+      const content = new Uint8Array(8 + entries.length * 8);
+      const view = new DataView(content.buffer);
+      view.setUint32(0, 0); // Version 0
+      view.setUint32(4, entries.length);
+      for (let i = 0; i < entries.length; i++) {
+        view.setUint32(8 + i * 8, entries[i].count);
+        view.setInt32(12 + i * 8, entries[i].offset);
+      }
+      return makeBox('ctts', content);
+    }
+
+    // Build stbl box
+    function buildStbl(track, mdatOffset) {
+      const stsd = buildStsd(track);
+      const stts = buildStts(track.samples);
+      const stsz = buildStsz(track.samples);
+      const stco = buildStco(mdatOffset);
+
+      // Build stsc - all samples in one chunk
+      const stscContent = new Uint8Array(20);
+      const stscView = new DataView(stscContent.buffer);
+      stscView.setUint32(0, 0);
+      stscView.setUint32(4, 1);
+      stscView.setUint32(8, 1);
+      stscView.setUint32(12, track.samples.length);
+      stscView.setUint32(16, 1);
+      const stsc = makeBox('stsc', stscContent);
+
+      let parts = [stsd, stts, stsc, stsz, stco];
+
+      // Add stss for video (keyframes)
+      if (track.type === 'video') {
+        const stss = buildStss(track.samples);
+        if (stss) parts.push(stss);
+      }
+
+      // Add ctts if needed
+      const ctts = buildCtts(track.samples);
+      if (ctts) parts.push(ctts);
+
+      return makeBox('stbl', concat(...parts));
+    }
+
+    // Build minf box
+    function buildMinf(track, mdatOffset) {
+      const mediaHeader = track.type === 'video' ? buildVmhd() : buildSmhd();
+      const dinf = buildDinf();
+      const stbl = buildStbl(track, mdatOffset);
+      return makeBox('minf', concat(mediaHeader, dinf, stbl));
+    }
+
+    // Build mdia box
+    function buildMdia(track, mdatOffset) {
+      const mdhd = buildMdhd(track.timescale, track.duration);
+      const hdlr = buildHdlr(track.type);
+      const minf = buildMinf(track, mdatOffset);
+      return makeBox('mdia', concat(mdhd, hdlr, minf));
+    }
+
+    // Build trak box
+    function buildTrak(track, movieTimescale, mdatOffset) {
+      const trackDuration = Math.round(track.duration * movieTimescale / track.timescale);
+      const tkhd = buildTkhd(track, trackDuration);
+      const mdia = buildMdia(track, mdatOffset);
+      return makeBox('trak', concat(tkhd, mdia));
+    }
+
+    // Collect all sample data for mdat
+    function collectMdatData(tracks) {
+      const chunks = [];
+      for (const track of tracks) {
+        for (const sample of track.samples) {
+          if (sample.data) {
+            chunks.push(new Uint8Array(sample.data));
+          }
+        }
+      }
+      return concat(...chunks);
+    }
+
+    // Calculate mdat offset (after ftyp + moov)
+    // We need to build moov first to know its size, but moov contains stco which needs mdat offset
+    // Solution: build moov with placeholder offset, calculate actual offset, rebuild moov
+
+    const ftyp = buildFtyp();
+
+    // First pass: build moov with placeholder offset to calculate size
+    const movieTimescale = 1000;
+    let maxDuration = 0;
+    for (const track of tracks) {
+      const dur = (track.edit ? track.edit.duration : track.duration) * movieTimescale / track.timescale;
+      if (dur > maxDuration) maxDuration = dur;
+    }
+    const udta = options.metadata ? buildUdta(options.metadata) : new Uint8Array(0);
+
+    const mvhd = buildMvhd(movieTimescale, Math.round(maxDuration));
+    let trakBoxes = [];
+    let mdatOffset = 0; // Placeholder
+
+    for (const track of tracks) {
+      trakBoxes.push(buildTrak(track, movieTimescale, mdatOffset));
+    }
+
+    const moovPlaceholder = makeBox('moov', concat(mvhd, ...trakBoxes));
+
+    // Calculate actual mdat offset
+    mdatOffset = ftyp.length + moovPlaceholder.length + 8; // +8 for mdat header
+
+    // Second pass: rebuild moov with correct offset
+    // But we need per-track offsets since each track's samples are at different positions
+
+    // Actually, for simplicity, let's interleave all samples into one mdat
+    // and have each track point to its portion
+
+    // Collect all media data and calculate offsets per track
+    const mdatParts = [];
+    const trackOffsets = [];
+    let currentOffset = ftyp.length + 8; // Will add moov size later
+
+    // First, calculate total moov size to get mdat start position
+    // Build final moov
+    trakBoxes = [];
+    let sampleDataOffset = 0;
+    const allSampleData = [];
+
+    for (const track of tracks) {
+      const trackMdatStart = sampleDataOffset;
+      for (const sample of track.samples) {
+        if (sample.data) {
+          allSampleData.push(new Uint8Array(sample.data));
+          sampleDataOffset += sample.data.byteLength;
+        }
+      }
+      trackOffsets.push(trackMdatStart);
+    }
+
+    // Now rebuild moov with correct offsets
+    // We need to recalculate after knowing moov size
+
+    const mdatContent = concat(...allSampleData);
+    const mdatSize = 8 + mdatContent.length;
+
+    // Build moov - first calculate its size
+    const tempMvhd = buildMvhd(movieTimescale, Math.round(maxDuration));
+    let tempTraks = [];
+
+    // Build with temp offset 0 to measure size
+    for (let i = 0; i < tracks.length; i++) {
+      tempTraks.push(buildTrak(tracks[i], movieTimescale, 0));
+    }
+    const tempMoov = makeBox('moov', concat(tempMvhd, ...tempTraks, udta));
+    const moovSize = tempMoov.length;
+
+    // Real mdat starts after ftyp + moov
+    const realMdatStart = ftyp.length + moovSize + 8; // +8 for mdat header
+
+    // Build final traks with correct offsets
+    const finalTraks = [];
+    let runningOffset = realMdatStart;
+
+    for (let i = 0; i < tracks.length; i++) {
+      // This track's data starts at runningOffset
+      // But we need to update stco inside the trak
+      const trak = buildTrakWithOffset(tracks[i], movieTimescale, runningOffset);
+      finalTraks.push(trak);
+
+      // Calculate this track's total data size
+      let trackDataSize = 0;
+      for (const sample of tracks[i].samples) {
+        if (sample.data) {
+          trackDataSize += sample.data.byteLength;
+        }
+      }
+      runningOffset += trackDataSize;
+    }
+
+    function buildTrakWithOffset(track, movieTimescale, dataOffset) {
+      const trackDuration = Math.round((track.edit ? track.edit.duration : track.duration) * movieTimescale / track.timescale);
+      const tkhd = buildTkhd(track, trackDuration);
+      const edts = track.edit ? buildEdts(trackDuration, track.edit.mediaTime) : null;
+
+      // Build mdia with correct offset
+      const mdhd = buildMdhd(track.timescale, track.duration);
+      const hdlr = buildHdlr(track.type);
+
+      // Build minf with correct stco offset
+      const mediaHeader = track.type === 'video' ? buildVmhd() : buildSmhd();
+      const dinf = buildDinf();
+
+      // Build stbl with correct offset
+      const stsd = buildStsd(track);
+      const stts = buildStts(track.samples);
+      const stsz = buildStsz(track.samples);
+      const stco = buildStco(dataOffset); // Correct offset!
+
+      const stscContent = new Uint8Array(20);
+      const stscView = new DataView(stscContent.buffer);
+      stscView.setUint32(0, 0);
+      stscView.setUint32(4, 1);
+      stscView.setUint32(8, 1);
+      stscView.setUint32(12, track.samples.length);
+      stscView.setUint32(16, 1);
+      const stsc = makeBox('stsc', stscContent);
+
+      let stblParts = [stsd, stts, stsc, stsz, stco];
+
+      if (track.type === 'video') {
+        const stss = buildStss(track.samples);
+        if (stss) stblParts.push(stss);
+      }
+
+      const ctts = buildCtts(track.samples);
+      if (ctts) stblParts.push(ctts);
+
+      const stbl = makeBox('stbl', concat(...stblParts));
+      const minf = makeBox('minf', concat(mediaHeader, dinf, stbl));
+      const mdia = makeBox('mdia', concat(mdhd, hdlr, minf));
+
+      return makeBox('trak', edts ? concat(tkhd, edts, mdia) : concat(tkhd, mdia));
+    }
+
+    const finalMoov = makeBox('moov', concat(tempMvhd, ...finalTraks, udta));
+
+    // Build mdat
+    const mdat = makeBox('mdat', mdatContent);
+
+    // Combine all
+    const result = concat(ftyp, finalMoov, mdat);
+    console.log('Built non-fragmented MP4:', result.length, 'bytes');
+
+    return result.buffer;
+  }
+
+  // Find a sub-box within a box
+  function findSubBox(data, targetType) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let offset = 8; // Skip the parent box header
+
+    while (offset < data.length - 8) {
+      const size = view.getUint32(offset);
+      const type = String.fromCharCode(
+        data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]
+      );
+
+      if (size < 8 || offset + size > data.length) break;
+
+      if (type === targetType) {
+        return data.slice(offset, offset + size);
+      }
+
+      offset += size;
+    }
+    return null;
+  }
+
+  // Insert audio trak into video moov and update moov size
+  function insertTrakIntoMoov(moovData, trakData) {
+    // Update the track ID in the audio trak to be track 2
+    const trakCopy = new Uint8Array(trakData);
+    updateTrackIdInTrak(trakCopy, 2);
+
+    // New moov size = old moov size + trak size
+    const newSize = moovData.length + trakCopy.length;
+    const newMoov = new Uint8Array(newSize);
+
+    // Copy original moov
+    newMoov.set(moovData);
+
+    // Insert trak before the end of moov (after all existing sub-boxes)
+    // Actually, we need to insert it properly. Let's just append it.
+    newMoov.set(trakCopy, moovData.length);
+
+    // Update moov box size (first 4 bytes)
+    const view = new DataView(newMoov.buffer);
+    view.setUint32(0, newSize);
+
+    return newMoov;
+  }
+
+  // Update track ID in a trak box
+  function updateTrackIdInTrak(trakData, newTrackId) {
+    // Find tkhd box within trak and update track_ID
+    const view = new DataView(trakData.buffer, trakData.byteOffset, trakData.byteLength);
+    let offset = 8; // Skip trak header
+
+    while (offset < trakData.length - 8) {
+      const size = view.getUint32(offset);
+      const type = String.fromCharCode(
+        trakData[offset + 4], trakData[offset + 5], trakData[offset + 6], trakData[offset + 7]
+      );
+
+      if (size < 8 || offset + size > trakData.length) break;
+
+      if (type === 'tkhd') {
+        // tkhd structure: header(8) + version(1) + flags(3) + ...
+        // For version 0: track_ID is at offset 12 from box start
+        // For version 1: track_ID is at offset 20 from box start
+        const version = trakData[offset + 8];
+        const trackIdOffset = offset + (version === 0 ? 20 : 28);
+        view.setUint32(trackIdOffset, newTrackId);
+        console.log('Updated tkhd track_ID to', newTrackId);
+        return;
+      }
+
+      offset += size;
+    }
+  }
+
+  // Update track ID in moof box (in tfhd)
+  function updateTrackIdInMoof(moofData, newTrackId) {
+    const view = new DataView(moofData.buffer, moofData.byteOffset, moofData.byteLength);
+    let offset = 8; // Skip moof header
+
+    while (offset < moofData.length - 8) {
+      const size = view.getUint32(offset);
+      const type = String.fromCharCode(
+        moofData[offset + 4], moofData[offset + 5], moofData[offset + 6], moofData[offset + 7]
+      );
+
+      if (size < 8 || offset + size > moofData.length) break;
+
+      if (type === 'traf') {
+        // Search for tfhd inside traf
+        let trafOffset = offset + 8;
+        while (trafOffset < offset + size - 8) {
+          const subSize = view.getUint32(trafOffset);
+          const subType = String.fromCharCode(
+            moofData[trafOffset + 4], moofData[trafOffset + 5],
+            moofData[trafOffset + 6], moofData[trafOffset + 7]
+          );
+
+          if (subSize < 8) break;
+
+          if (subType === 'tfhd') {
+            // tfhd: header(8) + version(1) + flags(3) + track_ID(4)
+            view.setUint32(trafOffset + 12, newTrackId);
+            console.log('Updated tfhd track_ID to', newTrackId);
+            return;
+          }
+
+          trafOffset += subSize;
+        }
+      }
+
+      offset += size;
+    }
+  }
+
+  // Mux video and audio using MP4Box
+  // options.trim cuts the output to a time range (see buildMP4WithRawStsd)
+  async function muxVideoAudio(videoData, audioData, onProgress, signal, options = {}) {
+    if (typeof MP4Box === 'undefined') {
+      throw new Error('MP4Box library not loaded');
+    }
+    signal && signal.throwIfAborted();
+
+    console.log('Starting mux, video size:', videoData.byteLength, 'audio size:', audioData.byteLength);
+    onProgress && onProgress('Parsing streams...');
+
+    // Try direct defragmentation approach - extract stsd from original files
+    try {
+      onProgress && onProgress('Converting to standard MP4...');
+      const result = await defragmentWithRawStsd(videoData, audioData, onProgress, signal, options);
+      if (result && (options.trim || result.byteLength > videoData.byteLength * 0.9)) {
+        console.log('Direct defragmentation successful, size:', result.byteLength);
+        return result;
+      }
+    } catch (e) {
+      if (isAbortError(e, signal)) throw e;
+      console.log('Direct defragmentation failed:', e);
+      // The fallbacks below cannot cut, so a trim has nothing left to try
+      if (options.trim) throw e;
+    }
+
+    // Fallback to fragmented MP4
+    signal && signal.throwIfAborted();
+    try {
+      const fragmented = await binaryMuxFragmentedMP4(videoData, audioData, onProgress, options);
+      if (fragmented && fragmented.byteLength > videoData.byteLength * 0.9) {
+        console.log('Binary mux successful (fragmented), output size:', fragmented.byteLength);
+        return fragmented;
+      }
+    } catch (e) {
+      console.log('Binary mux failed:', e);
+    }
+
+    // Helper to parse an MP4 file and extract all samples
+    function parseFile(data, name) {
+      return new Promise((resolve, reject) => {
+        const file = MP4Box.createFile();
+        let info = null;
+        const samples = [];
+        let extractionDone = false;
+        let totalSamples = 0;
+
+        file.onReady = (fileInfo) => {
+          console.log(`${name} parsed:`, fileInfo);
+          info = fileInfo;
+          if (fileInfo.tracks && fileInfo.tracks.length > 0) {
+            const track = fileInfo.tracks[0];
+            totalSamples = track.nb_samples || 0;
+            console.log(`${name} has ${totalSamples} samples`);
+            file.setExtractionOptions(track.id, null, { nbSamples: totalSamples });
+            file.start();
+          } else {
+            resolve({ info: null, samples: [], file: null });
+          }
+        };
+
+        file.onSamples = (id, user, sampleBatch) => {
+          console.log(`${name}: Got ${sampleBatch.length} samples, total now: ${samples.length + sampleBatch.length}`);
+          samples.push(...sampleBatch);
+
+          // Check if we have all samples
+          if (samples.length >= totalSamples && !extractionDone) {
+            extractionDone = true;
+            console.log(`${name}: Extraction complete with ${samples.length} samples`);
+            resolve({ info, samples, file });
+          }
+        };
+
+        file.onError = (e) => {
+          console.error(`${name} error:`, e);
+          reject(e);
+        };
+
+        // Append data
+        const buf = data.slice(0);
+        buf.fileStart = 0;
+        file.appendBuffer(buf);
+        file.flush();
+
+        // Timeout fallback if onSamples doesn't complete
+        setTimeout(() => {
+          if (!extractionDone) {
+            extractionDone = true;
+            console.log(`${name}: Timeout reached with ${samples.length} samples`);
+            resolve({ info, samples, file });
+          }
+        }, 3000);
+      });
+    }
+
+    // The files below are built by MP4Box or are the bare video: tag them afterwards
+    function tagged(data) {
+      if (!options.metadata) return data;
+      try {
+        return addFileMetadata(data, options.metadata);
+      } catch (e) {
+        console.log('Could not tag output:', e);
+        return data;
+      }
+    }
+
+    try {
+      // Parse both files
+      onProgress && onProgress('Parsing video...');
+      const videoResult = await parseFile(videoData, 'Video');
+
+      signal && signal.throwIfAborted();
+      onProgress && onProgress('Parsing audio...');
+      const audioResult = await parseFile(audioData, 'Audio');
+      signal && signal.throwIfAborted();
+
+      const videoInfo = videoResult.info;
+      const audioInfo = audioResult.info;
+      const videoSamples = videoResult.samples;
+      const audioSamples = audioResult.samples;
+
+      console.log('Parsed - Video samples:', videoSamples.length, 'Audio samples:', audioSamples.length);
+
+      if (!videoInfo || !videoInfo.tracks || videoInfo.tracks.length === 0) {
+        console.log('No valid video info, returning raw data');
+        return tagged(videoData);
+      }
+
+      onProgress && onProgress('Creating combined file...');
+
+      // Create output file
+      const outputFile = MP4Box.createFile();
+      const vTrack = videoInfo.tracks[0];
+
+      // Get codec configuration from the parsed file
+      let videoDesc = null;
+      let avcC = null;
+      if (videoResult.file) {
+        try {
+          const trak = videoResult.file.getTrackById(vTrack.id);
+          if (trak && trak.mdia && trak.mdia.minf && trak.mdia.minf.stbl && trak.mdia.minf.stbl.stsd) {
+            const entry = trak.mdia.minf.stbl.stsd.entries[0];
+            videoDesc = entry; // Full sample description entry
+            if (entry && entry.avcC) {
+              avcC = entry.avcC;
+              console.log('Found avcC configuration');
+            } else if (entry && entry.hvcC) {
+              console.log('Found HEVC codec (hvcC)');
+            } else if (entry && entry.av1C) {
+              console.log('Found AV1 codec (av1C)');
+            }
+            console.log('Video sample entry type:', entry?.type);
+          }
+        } catch (e) {
+          console.log('Could not extract codec config:', e);
+        }
+      }
+
+      // Add video track
+      let videoTrackId;
+      try {
+        const width = vTrack.video?.width || vTrack.track_width || 1920;
+        const height = vTrack.video?.height || vTrack.track_height || 1080;
+
+        const trackOpts = {
+          type: vTrack.type || 'video',
+          timescale: vTrack.timescale || 90000,
+          duration: vTrack.duration || 0,
+          width: width,
+          height: height,
+          brands: ['isom', 'iso2', 'avc1', 'mp41'],
+          avcDecoderConfigRecord: avcC,
+          description: videoDesc, // Pass full description
+        };
+
+        console.log('Creating video track with:', { type: trackOpts.type, timescale: trackOpts.timescale, width, height, hasAvcC: !!avcC, hasDesc: !!videoDesc });
+        videoTrackId = outputFile.addTrack(trackOpts);
+        console.log('Added video track:', videoTrackId);
+      } catch (e) {
+        console.error('Failed to add video track:', e);
+        return tagged(videoData);
+      }
+
+      // Add video samples
+      let addedVideoSamples = 0;
+      for (const sample of videoSamples) {
+        try {
+          outputFile.addSample(videoTrackId, sample.data, {
+            duration: sample.duration,
+            dts: sample.dts,
+            cts: sample.cts,
+            is_sync: sample.is_sync
+          });
+          addedVideoSamples++;
+        } catch (e) {
+          // Continue even if some samples fail
+        }
+      }
+      console.log('Added', addedVideoSamples, 'video samples');
+
+      onProgress && onProgress('Adding audio...');
+
+      // Add audio track if available
+      if (audioInfo && audioInfo.tracks && audioInfo.tracks.length > 0 && audioSamples.length > 0) {
+        const aTrack = audioInfo.tracks[0];
+        console.log('Audio track info:', aTrack);
+
+        // Get audio codec config - need esds for AAC
+        let audioDesc = null;
+        let esds = null;
+        if (audioResult.file) {
+          try {
+            const audioTrak = audioResult.file.getTrackById(aTrack.id);
+            if (audioTrak && audioTrak.mdia && audioTrak.mdia.minf && audioTrak.mdia.minf.stbl && audioTrak.mdia.minf.stbl.stsd) {
+              const entry = audioTrak.mdia.minf.stbl.stsd.entries[0];
+              audioDesc = entry;
+              console.log('Audio sample entry:', entry?.type, 'has esds:', !!entry?.esds);
+              if (entry && entry.esds) {
+                esds = entry.esds;
+              }
+            }
+          } catch (e) {
+            console.log('Could not extract audio codec config:', e);
+          }
+        }
+
+        try {
+          // For AAC audio, we need proper codec configuration
+          const sampleRate = aTrack.audio?.sample_rate || 48000;
+          const channelCount = aTrack.audio?.channel_count || 2;
+
+          const audioOpts = {
+            type: 'audio',
+            timescale: aTrack.timescale || sampleRate,
+            duration: aTrack.duration || 0,
+            media_duration: aTrack.movie_duration || aTrack.duration || 0,
+            samplerate: sampleRate,
+            channel_count: channelCount,
+            samplesize: 16,
+            hdlr: 'soun',
+            name: 'SoundHandler',
+          };
+
+          // If we have the original description with esds, use it
+          if (audioDesc) {
+            audioOpts.description = audioDesc;
+          }
+
+          console.log('Creating audio track with:', {
+            timescale: audioOpts.timescale,
+            samplerate: sampleRate,
+            channels: channelCount,
+            hasDesc: !!audioDesc,
+            hasEsds: !!esds
+          });
+
+          const audioTrackId = outputFile.addTrack(audioOpts);
+          console.log('Added audio track:', audioTrackId);
+
+          if (audioTrackId) {
+            let addedAudioSamples = 0;
+            for (const sample of audioSamples) {
+              try {
+                outputFile.addSample(audioTrackId, sample.data, {
+                  duration: sample.duration,
+                  dts: sample.dts,
+                  cts: sample.cts,
+                  is_sync: sample.is_sync
+                });
+                addedAudioSamples++;
+              } catch (e) {
+                if (addedAudioSamples === 0) {
+                  console.error('First audio sample failed:', e);
+                }
+              }
+            }
+            console.log('Added', addedAudioSamples, 'of', audioSamples.length, 'audio samples');
+          } else {
+            console.error('Audio track ID is null/undefined');
+          }
+        } catch (e) {
+          console.error('Failed to add audio track:', e);
+        }
+      } else {
+        console.log('No audio to add - audioInfo:', !!audioInfo, 'tracks:', audioInfo?.tracks?.length, 'samples:', audioSamples.length);
+      }
+
+      onProgress && onProgress('Finalizing...');
+
+      // Get output
+      try {
+        const output = outputFile.getBuffer();
+        console.log('Output size:', output?.byteLength);
+
+        if (output && output.byteLength > 10000) {
+          return tagged(output);
+        } else {
+          console.log('Output too small, using raw video');
+          return tagged(videoData);
+        }
+      } catch (e) {
+        console.error('getBuffer failed:', e);
+        return tagged(videoData);
+      }
+
+    } catch (error) {
+      if (isAbortError(error, signal)) throw error;
+      console.error('Mux error:', error);
+      return tagged(videoData); // Fallback to video only
+    }
+  }
+
+  // Matroska / WebM output
+  // Tracks come from extractSamples; codec setup is read from each track's raw stsd.
+
+  // Read the first sample entry of a raw stsd: format, basic fields and child boxes (payloads)
+  function parseSampleEntry(stsd) {
+    if (!stsd || stsd.length < 24) return null;
+    const view = new DataView(stsd.buffer, stsd.byteOffset, stsd.byteLength);
+    const entryStart = 16; // stsd header + version/flags + entry count
+    const entrySize = view.getUint32(entryStart);
+    const format = String.fromCharCode(...stsd.subarray(entryStart + 4, entryStart + 8));
+    const entry = { format, boxes: {} };
+
+    // Visual and audio sample entries have fixed fields before their child boxes
+    let childStart;
+    if (['avc1', 'avc3', 'hvc1', 'hev1', 'av01', 'vp08', 'vp09'].includes(format)) {
+      entry.width = view.getUint16(entryStart + 32);
+      entry.height = view.getUint16(entryStart + 34);
+      childStart = entryStart + 86;
+    } else {
+      entry.channels = view.getUint16(entryStart + 24);
+      entry.sampleRate = view.getUint32(entryStart + 32) >>> 16;
+      childStart = entryStart + 36;
+    }
+
+    const end = Math.min(stsd.length, entryStart + entrySize);
+    for (let offset = childStart; offset + 8 <= end;) {
+      const size = view.getUint32(offset);
+      if (size < 8 || offset + size > end) break;
+      const type = String.fromCharCode(...stsd.subarray(offset + 4, offset + 8));
+      entry.boxes[type] = stsd.subarray(offset + 8, offset + size);
+      offset += size;
+    }
+    return entry;
+  }
+
+  // AudioSpecificConfig from an esds payload (ES_Descriptor > DecoderConfigDescriptor > DecSpecificInfo)
+  function audioSpecificConfigFromEsds(esds) {
+    let offset = 4; // version/flags
+    const readDescriptor = () => {
+      const tag = esds[offset++];
+      let size = 0;
+      for (let i = 0; i < 4; i++) {
+        const b = esds[offset++];
+        size = (size << 7) | (b & 0x7F);
+        if (!(b & 0x80)) break;
+      }
+      return { tag, size, start: offset };
+    };
+    while (offset < esds.length) {
+      const descriptor = readDescriptor();
+      if (descriptor.tag === 0x03) {
+        const flags = esds[offset + 2];
+        offset += 3;
+        if (flags & 0x80) offset += 2; // dependsOn_ES_ID
+        if (flags & 0x40) offset += 1 + esds[offset]; // URL
+        if (flags & 0x20) offset += 2; // OCR_ES_Id
+      } else if (descriptor.tag === 0x04) {
+        offset += 13;
+      } else if (descriptor.tag === 0x05) {
+        return esds.slice(descriptor.start, descriptor.start + descriptor.size);
+      } else {
+        offset = descriptor.start + descriptor.size;
+      }
+    }
+    return null;
+  }
+
+  // OpusHead (Ogg/Matroska layout, little endian) from a dOps payload (big endian)
+  function opusHeadFromDops(dops) {
+    const view = new DataView(dops.buffer, dops.byteOffset, dops.byteLength);
+    const mapping = dops.subarray(11);
+    const head = new Uint8Array(19 + mapping.length);
+    const headView = new DataView(head.buffer);
+    head.set([0x4F, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64], 0); // OpusHead
+    head[8] = 1;
+    head[9] = dops[1];
+    headView.setUint16(10, view.getUint16(2), true);
+    headView.setUint32(12, view.getUint32(4), true);
+    headView.setInt16(16, view.getInt16(8), true);
+    head[18] = dops[10];
+    head.set(mapping, 19);
+    return head;
+  }
+
+  // Matroska codec ID, CodecPrivate and WebM eligibility for a sample entry
+  function matroskaCodec(entry) {
+    switch (entry.format) {
+      case 'av01':
+        return { id: 'V_AV1', private: entry.boxes.av1C, webm: true };
+      case 'vp09': {
+        // Profile, level, bit depth and chroma subsampling as CodecPrivate features
+        const vpcC = entry.boxes.vpcC;
+        const features = vpcC && vpcC.length >= 7
+          ? new Uint8Array([1, 1, vpcC[4], 2, 1, vpcC[5], 3, 1, vpcC[6] >> 4, 4, 1, (vpcC[6] >> 1) & 0x07])
+          : null;
+        return { id: 'V_VP9', private: features, webm: true };
+      }
+      case 'vp08':
+        return { id: 'V_VP8', private: null, webm: true };
+      case 'avc1':
+      case 'avc3':
+        return { id: 'V_MPEG4/ISO/AVC', private: entry.boxes.avcC, webm: false };
+      case 'hvc1':
+      case 'hev1':
+        return { id: 'V_MPEGH/ISO/HEVC', private: entry.boxes.hvcC, webm: false };
+      case 'Opus':
+        return { id: 'A_OPUS', private: entry.boxes.dOps ? opusHeadFromDops(entry.boxes.dOps) : null, webm: true };
+      case 'mp4a':
+        return { id: 'A_AAC', private: entry.boxes.esds ? audioSpecificConfigFromEsds(entry.boxes.esds) : null, webm: false };
+      default:
+        throw new Error(`Codec ${entry.format} cannot be written to Matroska`);
+    }
+  }
+
+  // EBML element IDs used by the writer
+  const EBML_IDS = {
+    EBML: 0x1A45DFA3, EBMLVersion: 0x4286, EBMLReadVersion: 0x42F7, EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3, DocType: 0x4282, DocTypeVersion: 0x4287, DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067, SeekHead: 0x114D9B74, Seek: 0x4DBB, SeekID: 0x53AB, SeekPosition: 0x53AC,
+    Info: 0x1549A966, TimecodeScale: 0x2AD7B1, Duration: 0x4489, MuxingApp: 0x4D80, WritingApp: 0x5741, Title: 0x7BA9,
+    Tracks: 0x1654AE6B, TrackEntry: 0xAE, TrackNumber: 0xD7, TrackUID: 0x73C5, TrackType: 0x83,
+    FlagLacing: 0x9C, CodecID: 0x86, CodecPrivate: 0x63A2, CodecDelay: 0x56AA, SeekPreRoll: 0x56BB,
+    Video: 0xE0, PixelWidth: 0xB0, PixelHeight: 0xBA, Audio: 0xE1, SamplingFrequency: 0xB5, Channels: 0x9F,
+    Cluster: 0x1F43B675, Timecode: 0xE7, SimpleBlock: 0xA3,
+    Cues: 0x1C53BB6B, CuePoint: 0xBB, CueTime: 0xB3, CueTrackPositions: 0xB7, CueTrack: 0xF7, CueClusterPosition: 0xF1
+  };
+
+  // EBML encoding helpers
+  function ebmlId(id) {
+    const bytes = [];
+    for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xFF);
+    return new Uint8Array(bytes);
+  }
+
+  function ebmlSize(size) {
+    let length = 1;
+    while (length < 8 && size >= Math.pow(2, 7 * length) - 1) length++;
+    const bytes = new Uint8Array(length);
+    let v = size;
+    for (let i = length - 1; i >= 0; i--) {
+      bytes[i] = v % 256;
+      v = Math.floor(v / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+  }
+
+  function ebmlConcat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    for (const p of parts) {
+      result.set(p, offset);
+      offset += p.length;
+    }
+    return result;
+  }
+
+  function ebmlElement(id, ...children) {
+    const payload = children.length === 1 ? children[0] : ebmlConcat(children);
+    return ebmlConcat([ebmlId(id), ebmlSize(payload.length), payload]);
+  }
+
+  // Unsigned integer element; width forces a fixed size (for positions patched in later)
+  function ebmlUint(id, value, width = 0) {
+    const bytes = [];
+    for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+    while (bytes.length < Math.max(1, width)) bytes.unshift(0);
+    return ebmlElement(id, new Uint8Array(bytes));
+  }
+
+  function ebmlFloat(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return ebmlElement(id, bytes);
+  }
+
+  function ebmlString(id, value) {
+    return ebmlElement(id, new TextEncoder().encode(value));
+  }
+
+  // Build a Matroska (or WebM) file from extracted tracks
+  // options: { container: 'mkv' | 'webm', trim, metadata } - trim as in buildMP4WithRawStsd; Matroska has
+  // no edit lists, so a trimmed file starts at the keyframe before the range start.
+  // Of the metadata only the title and tool are kept (segment title and writing app).
+  function buildMatroska(tracks, options = {}) {
+    const webm = options.container === 'webm';
+    const metadata = options.metadata || {};
+    if (options.trim) {
+      const { start, end, videoOffset = 0, audioOffset = 0 } = options.trim;
+      tracks = tracks.map(track => {
+        const offset = track.type === 'video' ? videoOffset : audioOffset;
+        return trimTrack(track, start - offset, end !== null && end !== undefined ? end - offset : null);
+      });
+    }
+    tracks = tracks.filter(t => t.samples.length > 0);
+
+    // Track entries
+    const trackEntries = tracks.map((track, i) => {
+      const entry = parseSampleEntry(track.rawStsd);
+      if (!entry) throw new Error(`No sample description for ${track.type} track`);
+      const codec = matroskaCodec(entry);
+      if (webm && !codec.webm) {
+        throw new Error(`${entry.format} is not allowed in WebM (needs VP8, VP9, AV1 or Opus)`);
+      }
+
+      const children = [
+        ebmlUint(EBML_IDS.TrackNumber, i + 1),
+        ebmlUint(EBML_IDS.TrackUID, i + 1),
+        ebmlUint(EBML_IDS.TrackType, track.type === 'video' ? 1 : 2),
+        ebmlUint(EBML_IDS.FlagLacing, 0),
+        ebmlString(EBML_IDS.CodecID, codec.id)
+      ];
+      if (codec.private) children.push(ebmlElement(EBML_IDS.CodecPrivate, codec.private));
+      if (track.type === 'video') {
+        children.push(ebmlElement(EBML_IDS.Video,
+          ebmlUint(EBML_IDS.PixelWidth, track.width || entry.width),
+          ebmlUint(EBML_IDS.PixelHeight, track.height || entry.height)));
+      } else {
+        children.push(ebmlElement(EBML_IDS.Audio,
+          ebmlFloat(EBML_IDS.SamplingFrequency, entry.sampleRate || track.timescale),
+          ebmlUint(EBML_IDS.Channels, entry.channels || 2)));
+      }
+      if (codec.id === 'A_OPUS') {
+        // Pre-skip in nanoseconds, and the recommended 80 ms seek pre-roll
+        const preSkip = entry.boxes.dOps ? new DataView(entry.boxes.dOps.buffer, entry.boxes.dOps.byteOffset).getUint16(2) : 0;
+        children.push(ebmlUint(EBML_IDS.CodecDelay, Math.round(preSkip * 1e9 / 48000)));
+        children.push(ebmlUint(EBML_IDS.SeekPreRoll, 80000000));
+      }
+      return ebmlElement(EBML_IDS.TrackEntry, ...children);
+    });
+
+    // Blocks in decode order per track, merged by time; timestamps in ms (TimecodeScale 1 ms)
+    const blocks = [];
+    tracks.forEach((track, i) => {
+      const base = track.samples[0].dts + (track.edit ? track.edit.mediaTime : 0);
+      for (const sample of track.samples) {
+        blocks.push({
+          track: i + 1,
+          time: (sample.cts - base) * 1000 / track.timescale,
+          order: (sample.dts - base) * 1000 / track.timescale,
+          key: track.type !== 'video' || !!sample.is_sync,
+          video: track.type === 'video',
+          data: new Uint8Array(sample.data)
+        });
+      }
+    });
+    blocks.sort((a, b) => a.order - b.order || a.track - b.track);
+    const shift = blocks.reduce((min, b) => Math.min(min, b.time), 0);
+    let duration = 0;
+    tracks.forEach(track => {
+      const span = track.samples.reduce((sum, s) => sum + s.duration, 0) - (track.edit ? track.edit.mediaTime : 0);
+      duration = Math.max(duration, span * 1000 / track.timescale - shift);
+    });
+
+    // Clusters start at video keyframes (and at least every 30 s, so relative times fit in 16 bits)
+    const hasVideo = tracks.some(t => t.type === 'video');
+    const clusters = [];
+    let current = null;
+    for (const block of blocks) {
+      const time = Math.round(block.time - shift);
+      const startCluster = !current ||
+        (block.video && block.key) ||
+        (!hasVideo && time - current.time >= 5000) ||
+        time - current.time > 30000;
+      if (startCluster) {
+        current = { time: Math.max(0, time), cue: block.video && block.key, parts: [] };
+        clusters.push(current);
+      }
+      const header = new Uint8Array(4);
+      header[0] = 0x80 | block.track;
+      new DataView(header.buffer).setInt16(1, time - current.time);
+      header[3] = block.key ? 0x80 : 0;
+      current.parts.push(ebmlElement(EBML_IDS.SimpleBlock, header, block.data));
+    }
+    const clusterBoxes = clusters.map(c => ebmlElement(EBML_IDS.Cluster, ebmlUint(EBML_IDS.Timecode, c.time), ...c.parts));
+
+    // Segment layout: SeekHead, Info, Tracks, Cues, Clusters. Positions use fixed 8-byte
+    // integers so sizes do not depend on the values filled in.
+    const info = ebmlElement(EBML_IDS.Info,
+      ebmlUint(EBML_IDS.TimecodeScale, 1000000),
+      ebmlFloat(EBML_IDS.Duration, duration),
+      ...(metadata.title ? [ebmlString(EBML_IDS.Title, metadata.title)] : []),
+      ebmlString(EBML_IDS.MuxingApp, 'Steam Video Downloader'),
+      ebmlString(EBML_IDS.WritingApp, metadata.tool || 'Steam Video Downloader'));
+    const tracksBox = ebmlElement(EBML_IDS.Tracks, ...trackEntries);
+
+    const seekHead = (positions) => ebmlElement(EBML_IDS.SeekHead, ...[
+      [EBML_IDS.Info, positions.info],
+      [EBML_IDS.Tracks, positions.tracks],
+      [EBML_IDS.Cues, positions.cues]
+    ].map(([id, position]) => ebmlElement(EBML_IDS.Seek,
+      ebmlElement(EBML_IDS.SeekID, ebmlId(id)),
+      ebmlUint(EBML_IDS.SeekPosition, position, 8))));
+    const cues = (clusterStart) => {
+      let position = clusterStart;
+      const points = [];
+      clusters.forEach((cluster, i) => {
+        if (cluster.cue || (!hasVideo && i === 0)) {
+          points.push(ebmlElement(EBML_IDS.CuePoint,
+            ebmlUint(EBML_IDS.CueTime, cluster.time),
+            ebmlElement(EBML_IDS.CueTrackPositions,
+              ebmlUint(EBML_IDS.CueTrack, 1),
+              ebmlUint(EBML_IDS.CueClusterPosition, position, 8))));
+        }
+        position += clusterBoxes[i].length;
+      });
+      return ebmlElement(EBML_IDS.Cues, ...points);
+    };
+
+    const seekHeadSize = seekHead({ info: 0, tracks: 0, cues: 0 }).length;
+    const cuesSize = cues(0).length;
+    const positions = {
+      info: seekHeadSize,
+      tracks: seekHeadSize + info.length,
+      cues: seekHeadSize + info.length + tracksBox.length
+    };
+    const clusterStart = positions.cues + cuesSize;
+
+    const ebmlHeader = ebmlElement(EBML_IDS.EBML,
+      ebmlUint(EBML_IDS.EBMLVersion, 1),
+      ebmlUint(EBML_IDS.EBMLReadVersion, 1),
+      ebmlUint(EBML_IDS.EBMLMaxIDLength, 4),
+      ebmlUint(EBML_IDS.EBMLMaxSizeLength, 8),
+      ebmlString(EBML_IDS.DocType, webm ? 'webm' : 'matroska'),
+      ebmlUint(EBML_IDS.DocTypeVersion, 4),
+      ebmlUint(EBML_IDS.DocTypeReadVersion, 2));
+    const segmentParts = [seekHead(positions), info, tracksBox, cues(clusterStart), ...clusterBoxes];
+    const segmentSize = segmentParts.reduce((sum, p) => sum + p.length, 0);
+
+    console.log(`Matroska: ${tracks.length} tracks, ${blocks.length} blocks, ${clusters.length} clusters, ${Math.round(duration)} ms`);
+    return ebmlConcat([ebmlHeader, ebmlId(EBML_IDS.Segment), ebmlSize(segmentSize), ...segmentParts]).buffer;
+  }
+
+  // Mux a DASH video + audio pair into Matroska or WebM
+  // options: { container: 'mkv' | 'webm', trim }
+  async function muxMatroska(videoData, audioData, onProgress, signal, options = {}) {
+    if (typeof MP4Box === 'undefined') {
+      throw new Error('MP4Box library not loaded');
+    }
+    signal && signal.throwIfAborted();
+
+    onProgress && onProgress('Parsing streams...');
+    const { tracks } = await extractSamples(videoData, audioData, onProgress, signal);
+    signal && signal.throwIfAborted();
+
+    onProgress && onProgress(`Building ${options.container === 'webm' ? 'WebM' : 'MKV'}...`);
+    return buildMatroska(tracks, options);
+  }
+
+  // Remux a single-track DASH stream (init + fragments) into a standard, faststart file
+  // options: { metadata, trim } as for buildMP4File
+  async function remuxTrack(data, onProgress, signal, options = {}) {
+    if (typeof MP4Box === 'undefined') {
+      throw new Error('MP4Box library not loaded');
+    }
+    signal && signal.throwIfAborted();
+
+    onProgress && onProgress('Converting to standard MP4...');
+    const output = await defragmentMP4(data, onProgress, options);
+    signal && signal.throwIfAborted();
+
+    // defragmentMP4 hands back its input when it cannot rebuild the file
+    if (output === data) {
+      throw new Error('Could not convert stream to a standard MP4');
+    }
+    return output;
+  }
+
+  // Run a named muxer operation on track buffers ({ video, audio });
+  // shared by the offscreen document and the in-page fallback
+  function runOperation(operation, tracks, onProgress, signal, options = {}) {
+    switch (operation) {
+      case 'mux':
+        return muxVideoAudio(tracks.video, tracks.audio, onProgress, signal, options);
+      case 'remux':
+        return remuxTrack(tracks.video || tracks.audio, onProgress, signal, options);
+      case 'matroska':
+        return muxMatroska(tracks.video, tracks.audio, onProgress, signal, options);
+      default:
+        return Promise.reject(new Error(`Unknown muxer operation: ${operation}`));
+    }
+  }
+
+  // Transfer helpers: runtime messages are JSON, so binary data travels as base64
+  function bytesToBase64(bytes) {
+    let binary = '';
+    const step = 0x8000;
+    for (let i = 0; i < bytes.length; i += step) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + step));
+    }
+    return btoa(binary);
+  }
+
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  return {
+    isAbortError,
+    muxVideoAudio,
+    runOperation,
+    createMergedMoov,
+    addMoovMetadata,
+    findSubBox,
+    findSubBoxWithOffset,
+    updateTrackIdInMoof,
+    bytesToBase64,
+    base64ToBytes
+  };
+})();
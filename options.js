@@ -0,0 +1,100 @@
+// Steam Video Downloader - options page
+// Every field is named after its setting and saved as soon as it changes
+
+(function() {
+  'use strict';
+
+  const form = document.getElementById('svd-options');
+  const status = document.getElementById('svd-status');
+  const preview = document.getElementById('svd-filename-preview');
+  let statusTimer = null;
+
+  // Sample values for the filename preview
+  const PREVIEW_VALUES = {
+    game: 'Half-Life: Alyx',
+    title: 'Announcement Trailer',
+    appId: 546560,
+    movieId: 256767815,
+    index: 1,
+    date: new Date().toISOString().slice(0, 10),
+    width: 1920,
+    height: 1080,
+    resolution: '1920x1080',
+    codec: 'H.264',
+    ext: 'mp4'
+  };
+
+  // Show a short-lived status line
+  function showStatus(text) {
+    status.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => { status.textContent = ''; }, 1500);
+  }
+
+  // Setting value of a form field, typed like its default
+  function readField(field) {
+    const fallback = SVDSettings.DEFAULTS[field.name];
+    if (field.type === 'checkbox') return field.checked;
+    if (typeof fallback === 'number') {
+      const value = parseInt(field.value);
+      if (field.name === 'maxConcurrentJobs') return Math.min(4, Math.max(1, value || fallback));
+      return Number.isNaN(value) ? fallback : value;
+    }
+    if (field.type === 'text') return field.value.trim() || fallback;
+    return field.value;
+  }
+
+  // Show what the filename template produces for a sample trailer
+  function updatePreview() {
+    preview.textContent = SVDFilenames.render(form.elements.filenameTemplate.value, PREVIEW_VALUES);
+  }
+
+  // Put settings into the form
+  function fillForm(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      const field = form.elements[key];
+      if (!field) continue;
+      if (field.type === 'checkbox') {
+        field.checked = !!value;
+      } else {
+        field.value = String(value);
+      }
+    }
+    updatePreview();
+  }
+
+  form.addEventListener('input', (e) => {
+    if (e.target.name === 'filenameTemplate') updatePreview();
+  });
+
+  form.addEventListener('change', async (e) => {
+    const field = e.target;
+    if (!field.name || !(field.name in SVDSettings.DEFAULTS)) return;
+    const value = readField(field);
+    try {
+      await SVDSettings.save({ [field.name]: value });
+      if (field.type !== 'checkbox') field.value = String(value);
+      showStatus('Saved');
+    } catch (error) {
+      showStatus(`Could not save: ${error.message}`);
+    }
+  });
+
+  document.getElementById('svd-reset').addEventListener('click', async () => {
+    try {
+      await SVDSettings.save(SVDSettings.DEFAULTS);
+      fillForm(SVDSettings.DEFAULTS);
+      showStatus('Defaults restored');
+    } catch (error) {
+      showStatus(`Could not save: ${error.message}`);
+    }
+  });
+
+  document.getElementById('svd-filename-tokens').textContent = 'Tokens: ' +
+    Object.entries(SVDFilenames.TOKENS).map(([token, label]) => `{${token}} ${label}`).join(' · ');
+
+  // Settings changed elsewhere (e.g. the codec picker in the download popup)
+  SVDSettings.onChange(fillForm);
+
+  SVDSettings.load().then(fillForm);
+})();
@@ -0,0 +1,220 @@
+// Steam Video Downloader - toolbar popup
+// Lists the active tab's videos and the queues of all Steam tabs; downloads run in the tabs'
+// content scripts, which answer the svd* messages handled in content.js
+
+(function() {
+  'use strict';
+
+  const videosEl = document.getElementById('svd-videos');
+  const queueEl = document.getElementById('svd-queue');
+  const errorEl = document.getElementById('svd-error');
+  const QUEUE_REFRESH_MS = 1000;
+  let activeTabId = null;
+
+  // Send a message to a tab's content script, rejecting when it is not there or reports an error
+  async function sendToTab(tabId, message) {
+    const response = await chrome.tabs.sendMessage(tabId, message);
+    if (!response) throw new Error('No response from the page');
+    if (response.error) throw new Error(response.error);
+    return response;
+  }
+
+  function showError(text) {
+    errorEl.textContent = text;
+  }
+
+  function button(text, onClick, title = '') {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  // Queue a download in the active tab, then show the updated queue
+  async function queue(request) {
+    try {
+      showError('');
+      await sendToTab(activeTabId, { action: 'svdQueue', ...request });
+      refreshQueue();
+    } catch (error) {
+      showError(`Could not queue the download: ${error.message}`);
+    }
+  }
+
+  function row(label, thumbnail) {
+    const el = document.createElement('div');
+    el.className = 'svd-row';
+    if (thumbnail) {
+      const img = document.createElement('img');
+      img.src = thumbnail;
+      img.alt = '';
+      el.appendChild(img);
+    }
+    const name = document.createElement('span');
+    name.className = 'svd-label';
+    name.textContent = label;
+    name.title = label;
+    el.appendChild(name);
+    const actions = document.createElement('div');
+    actions.className = 'svd-actions';
+    el.appendChild(actions);
+    return { el, actions };
+  }
+
+  // The active tab's videos, grouped by app like the in-page popup
+  function renderVideos({ apps }) {
+    videosEl.innerHTML = '';
+    if (apps.length === 0) {
+      videosEl.innerHTML = '<p class="svd-empty">No downloadable videos found on this page.</p>';
+      return;
+    }
+
+    videosEl.appendChild(button('Download all', () => queue({ kind: 'all' }), 'Queue every trailer and clip with the defaults from the options'));
+    apps.forEach((app, appIndex) => {
+      const heading = document.createElement('h3');
+      heading.textContent = app.gameName;
+      if (app.appId) {
+        const id = document.createElement('span');
+        id.className = 'svd-app-id';
+        id.textContent = app.appId;
+        heading.appendChild(id);
+      }
+      videosEl.appendChild(heading);
+
+      app.trailers.forEach((trailer, index) => {
+        const { el, actions } = row(trailer.label, trailer.thumbnail);
+        const request = { kind: 'trailer', app: appIndex, index };
+        actions.appendChild(button('Download', () => queue(request)));
+        actions.appendChild(button('Audio', () => queue({ ...request, only: 'audio' }), 'Save only the soundtrack as M4A'));
+        actions.appendChild(button('Video', () => queue({ ...request, only: 'video' }), 'Save the video without sound'));
+        if (trailer.poster) {
+          actions.appendChild(button('Poster', () => queue({ ...request, kind: 'poster' }), 'Save the poster image'));
+        }
+        videosEl.appendChild(el);
+      });
+
+      for (const kind of ['videos', 'extras']) {
+        app[kind].forEach((entry, index) => {
+          const { el, actions } = row(entry.label);
+          entry.formats.forEach(ext => {
+            actions.appendChild(button(ext.toUpperCase(), () => queue({ kind: kind === 'videos' ? 'video' : 'extra', app: appIndex, index, ext })));
+          });
+          videosEl.appendChild(el);
+        });
+      }
+    });
+  }
+
+  // Tabs that can have a queue: pages the content script runs on and the Download by app ID page
+  const QUEUE_TAB_URLS = [
+    ...chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches),
+    chrome.runtime.getURL('bulk.html')
+  ];
+  let queueStates = [];
+  let queueLayout = null; // Tabs, jobs and their statuses currently shown; progress alone updates in place
+
+  // Queues of every tab with the content script; tabs without one do not answer
+  async function refreshQueue() {
+    const tabs = await chrome.tabs.query({ url: QUEUE_TAB_URLS });
+    const states = await Promise.all(tabs.map(tab =>
+      sendToTab(tab.id, { action: 'svdQueueState' }).then(state => ({ tabId: tab.id, ...state })).catch(() => null)));
+    showQueue(states.filter(state => state && state.jobs.length > 0));
+  }
+
+  // Rebuild the queue only when its jobs or their statuses change, so buttons stay under the cursor
+  function showQueue(states) {
+    queueStates = states;
+    const layout = JSON.stringify(states.map(state => [state.tabId, state.page,
+      state.jobs.map(job => [job.id, job.name, job.status])]));
+    if (layout !== queueLayout) {
+      queueLayout = layout;
+      renderQueue();
+      return;
+    }
+    for (const state of states) {
+      for (const job of state.jobs) {
+        const el = queueEl.querySelector(`.svd-job[data-tab-id="${state.tabId}"][data-job-id="${job.id}"]`);
+        if (!el) continue;
+        el.querySelector('.svd-job-text').textContent = jobText(job);
+        el.querySelector('.svd-bar div').style.width = `${job.percent}%`;
+      }
+    }
+  }
+
+  function jobText(job) {
+    if (job.status === 'paused') return `Paused - ${job.text}`;
+    return job.status === 'cancelled' ? 'Cancelled' : job.text;
+  }
+
+  // Pause, resume or remove a job in its tab, then show that tab's updated queue
+  async function controlJob(tabId, jobId, control) {
+    try {
+      const updated = await sendToTab(tabId, { action: 'svdJobControl', jobId, control });
+      showQueue(queueStates.map(s => s.tabId === tabId ? { tabId, ...updated } : s)
+        .filter(s => s.jobs.length > 0));
+    } catch (error) {
+      showError(`Could not update the queue: ${error.message}`);
+    }
+  }
+
+  function renderQueue() {
+    queueEl.innerHTML = '';
+    if (queueStates.length === 0) {
+      queueEl.innerHTML = '<p class="svd-empty">Nothing queued.</p>';
+      return;
+    }
+
+    for (const state of queueStates) {
+      if (queueStates.length > 1 || state.tabId !== activeTabId) {
+        const heading = document.createElement('h3');
+        heading.textContent = state.page;
+        queueEl.appendChild(heading);
+      }
+      for (const job of state.jobs) {
+        const { el, actions } = row(job.name);
+        el.classList.add('svd-job');
+        el.dataset.tabId = state.tabId;
+        el.dataset.jobId = job.id;
+        const top = document.createElement('div');
+        top.className = 'svd-job-top';
+        top.append(...el.childNodes);
+        el.appendChild(top);
+
+        const control = (name) => () => controlJob(state.tabId, job.id, name);
+        if (job.status === 'paused') actions.appendChild(button('Resume', control('resume')));
+        if (job.status === 'queued' || job.status === 'running') actions.appendChild(button('Pause', control('pause')));
+        const active = job.status === 'queued' || job.status === 'running' || job.status === 'paused';
+        const remove = button(active ? 'Cancel' : 'Dismiss', control('remove'));
+        remove.className = 'svd-secondary';
+        actions.appendChild(remove);
+
+        const text = document.createElement('div');
+        text.className = 'svd-job-text';
+        text.textContent = jobText(job);
+        const bar = document.createElement('div');
+        bar.className = 'svd-bar';
+        bar.innerHTML = '<div></div>';
+        bar.firstChild.style.width = `${job.percent}%`;
+        el.append(text, bar);
+        queueEl.appendChild(el);
+      }
+    }
+  }
+
+  document.getElementById('svd-open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  document.getElementById('svd-open-bulk').addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('bulk.html') }));
+
+  (async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    activeTabId = tab ? tab.id : null;
+    try {
+      renderVideos(await sendToTab(activeTabId, { action: 'svdPageVideos' }));
+    } catch (error) {
+      videosEl.innerHTML = '<p class="svd-empty">Open a Steam store, bundle, sale or community app page to download its videos.</p>';
+    }
+    refreshQueue();
+    setInterval(refreshQueue, QUEUE_REFRESH_MS);
+  })();
+})();
@@ -0,0 +1,66 @@
+// Steam Video Downloader - settings
+// Shared by the content script and the options page; stored in chrome.storage.sync
+
+const SVDSettings = (function() {
+  'use strict';
+
+  const DEFAULTS = {
+    maxHeight: 0, // Trailer quality cap in pixels, 0 = best available
+    codecPreference: 'h264', // Preferred video codec family: h264, av1 or vp9
+    container: 'mp4', // Trailer output container: mp4, mkv or webm
+    embedPoster: false, // Embed the trailer's poster as cover art in MP4/M4A files
+    clipFormat: 'mp4', // Preferred format for direct clips in "Download all": mp4 or webm
+    zipDownloadAll: false, // Bundle "Download all" into a ZIP
+    filenameTemplate: '{game} - {title} [{height}p {codec}].{ext}', // See SVDFilenames.TOKENS
+    downloadFolder: '', // Subfolder of the browser's download folder, '' = save directly there
+    gameSubfolders: false, // One subfolder per game
+    conflictAction: 'uniquify', // Existing file with the same name: uniquify (add a number) or overwrite
+    saveAs: false, // Ask where to save each file
+    maxConcurrentJobs: 2,
+    showFloatingButton: true,
+    floatingButtonPosition: 'bottom-right' // bottom-right or bottom-left
+  };
+
+  // Read all settings, with defaults for anything unset
+  function load() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(DEFAULTS, (items) => {
+        if (chrome.runtime.lastError) {
+          console.log('Steam Video Downloader: Could not load settings', chrome.runtime.lastError.message);
+          resolve({ ...DEFAULTS });
+          return;
+        }
+        resolve(items);
+      });
+    });
+  }
+
+  // Save some settings
+  function save(changes) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set(changes, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Call listener({ key: value }) whenever settings change, in any tab or the options page
+  function onChange(listener) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync') return;
+      const values = {};
+      for (const [key, change] of Object.entries(changes)) {
+        if (key in DEFAULTS) {
+          values[key] = change.newValue === undefined ? DEFAULTS[key] : change.newValue;
+        }
+      }
+      if (Object.keys(values).length > 0) listener(values);
+    });
+  }
+
+  return { DEFAULTS, load, save, onChange };
+})();
@@ -0,0 +1,180 @@
+// Tests for discovery.js against hand-written pages modelled on Steam's markup (test/fixtures).
+// They are not captures, so they check how the extractors read that markup, not that Steam
+// still serves it.
+// discovery.js is a browser script; it is run with jsdom's DOMParser standing in for the browser's.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('');
+const quiet = { log() {} };
+const SVDDiscovery = new Function('window', 'DOMParser', 'console',
+  `${fs.readFileSync(path.join(__dirname, '..', 'discovery.js'), 'utf8')}\nreturn SVDDiscovery;`)(window, window.DOMParser, quiet);
+
+// Fixture pages and the URLs they stand for
+const PAGES = {
+  app: ['app-page.html', 'https://store.steampowered.com/app/1145360/Hades/'],
+  bundle: ['bundle-page.html', 'https://store.steampowered.com/bundle/232/Portal_Bundle/'],
+  legacy: ['legacy-webm-page.html', 'https://store.steampowered.com/app/10/CounterStrike/'],
+  hub: ['community-hub.html', 'https://steamcommunity.com/app/1145360/videos/']
+};
+
+function loadPage(name) {
+  const [file, url] = PAGES[name];
+  const doc = SVDDiscovery.parseHtml(fs.readFileSync(path.join(__dirname, 'fixtures', file), 'utf8'));
+  return { doc, url };
+}
+
+// Run one extractor on a page, as findDashUrls does: [kind, movieId, name, file] per candidate
+function extract(name, extractorName) {
+  const { doc } = loadPage(name);
+  const page = {
+    doc,
+    html: doc.documentElement.innerHTML,
+    scripts: [...doc.querySelectorAll('script')].map(script => script.textContent || '')
+  };
+  const extractor = SVDDiscovery.EXTRACTORS.find(fn => fn.name === extractorName);
+  assert.ok(extractor, `no extractor ${extractorName}`);
+  return extractor(page).map(c => [c.kind, c.movieId, c.name, c.url.split('?')[0].split('/').pop()]);
+}
+
+function collect(name) {
+  const { doc, url } = loadPage(name);
+  return SVDDiscovery.collectPageVideos(doc, url);
+}
+
+const MANIFEST = 'https://video.fastly.steamstatic.com/store_trailers';
+
+test('extractHighlightProps reads the player trailers with their names', () => {
+  assert.deepEqual(extract('app', 'extractHighlightProps'), [
+    ['dash', '256804133', 'Release Date Trailer', 'dash_av1.mpd'],
+    ['dash', '256804133', 'Release Date Trailer', 'dash_h264.mpd'],
+    ['dash', '256785016', 'Launch Trailer', 'dash_av1.mpd']
+  ]);
+});
+
+test('extractMovieFlashvars reads manifests, and files only for movies without one', () => {
+  assert.deepEqual(extract('app', 'extractMovieFlashvars'), [
+    ['dash', '256785016', 'Launch Trailer', 'dash_h264.mpd'],
+    ['dash', '256785016', 'Launch Trailer', 'dash_av1.mpd'],
+    ['dash', '256801234', null, 'dash_h264.mpd'],
+    ['dash', '256801234', null, 'dash_av1.mpd']
+  ]);
+  assert.deepEqual(extract('legacy', 'extractMovieFlashvars'), [
+    ['direct', '5608', 'Teaser', 'movie480.webm'],
+    ['direct', '5609', null, 'movie_max.webm']
+  ]);
+});
+
+test('extractHighlightMovies finds the manifest next to a highlight movie ID', () => {
+  assert.deepEqual(extract('bundle', 'extractHighlightMovies'), [['dash', '2029', null, 'dash_av1.mpd']]);
+  assert.deepEqual(extract('legacy', 'extractHighlightMovies'), []);
+});
+
+test('extractHighlightMovies skips highlight movies without a numeric ID', () => {
+  const doc = SVDDiscovery.parseHtml('<div class="highlight_movie" id="highlight_movie_a(b"></div><div class="highlight_movie" id="highlight_movie_"></div>');
+  const page = { doc, html: doc.documentElement.innerHTML, scripts: [] };
+  const extractor = SVDDiscovery.EXTRACTORS.find(fn => fn.name === 'extractHighlightMovies');
+  assert.deepEqual(extractor(page), []);
+  assert.deepEqual(SVDDiscovery.collectPageVideos(doc, 'https://store.steampowered.com/app/10/'), []);
+});
+
+test('extractSourceAttributes reads data-dash-source', () => {
+  assert.deepEqual(extract('hub', 'extractSourceAttributes'), [['dash', '256785016', null, 'dash_h264.mpd']]);
+});
+
+test('extractManifestUrls finds escaped manifests and the title before them', () => {
+  assert.deepEqual(extract('bundle', 'extractManifestUrls'), [
+    ['dash', '2029', null, 'dash_av1.mpd'],
+    ['dash', '81613', 'Portal 2 Trailer', 'dash_h264.mpd']
+  ]);
+});
+
+test('extractVideoElements takes Steam video files played on the page', () => {
+  assert.deepEqual(extract('hub', 'extractVideoElements'), [['direct', '256785016', null, 'movie480_vp9.webm']]);
+});
+
+test('extractTrailerPaths rebuilds manifests from store_trailers paths', () => {
+  assert.deepEqual(extract('bundle', 'extractTrailerPaths'), [
+    ['dash', '2029', null, 'dash_av1.mpd'],
+    ['dash', '81613', null, 'dash_av1.mpd']
+  ]);
+});
+
+test('extractVideoFileUrls finds loose files and manifests with their movie IDs', () => {
+  assert.deepEqual(extract('legacy', 'extractVideoFileUrls'), [
+    ['direct', '5608', null, 'movie480.webm'],
+    ['direct', '5608', null, 'movie480.mp4'],
+    ['direct', '5609', null, 'movie_max.webm']
+  ]);
+});
+
+test('app page: one trailer per movie in highlight strip order, with real titles and every codec', () => {
+  const apps = collect('app');
+  assert.equal(apps.length, 1);
+  const [app] = apps;
+  assert.equal(app.appId, '1145360');
+  assert.equal(app.gameName, 'Hades');
+
+  assert.deepEqual(app.trailers.map(t => [t.movieId, t.label, t.titled]), [
+    ['256804133', 'Release Date Trailer', true],
+    ['256785016', 'Launch Trailer', true],
+    ['256801234', 'Trailer 3', false]
+  ]);
+  // Codecs come from different extractors; the page's own URLs are kept
+  assert.deepEqual(app.trailers[1].variants, {
+    av1: `${MANIFEST}/1145360/256785016/5f4c3a1b2e/1595533823/dash_av1.mpd?t=1595533823`,
+    h264: `${MANIFEST}/1145360/256785016/5f4c3a1b2e/1595533823/dash_h264.mpd?t=1595533823`
+  });
+  assert.deepEqual(Object.keys(app.trailers[2].variants).sort(), ['av1', 'h264']);
+  assert.ok(app.trailers.every(t => t.poster));
+
+  // movie480.webm/mp4 of the Launch Trailer are the same video, not a separate one
+  assert.deepEqual(app.videos, []);
+  assert.deepEqual(app.extras.map(e => [e.label, e.name, Object.keys(e.formats)]), [['Clip 1', 'boss_fight', ['mp4', 'webm']]]);
+});
+
+test('bundle page: trailers are grouped by the app they belong to', () => {
+  const apps = collect('bundle');
+  assert.deepEqual(apps.map(app => [app.appId, app.gameName, app.trailers.map(t => [t.movieId, t.label])]), [
+    ['400', 'Portal', [['2029', 'Trailer']]],
+    ['620', 'Portal 2', [['81613', 'Portal 2 Trailer']]]
+  ]);
+  assert.deepEqual(Object.keys(apps[0].trailers[0].variants), ['av1']);
+  assert.equal(apps[1].trailers[0].variants.h264, `${MANIFEST}/620/81613/9a8b7c6d5e/1447351400/dash_h264.mpd?t=1447351400`);
+});
+
+test('legacy page: WEBM-only movies are videos with each file format', () => {
+  const [app] = collect('legacy');
+  assert.equal(app.gameName, 'Counter-Strike');
+  assert.deepEqual(app.trailers, []);
+  assert.deepEqual(app.videos.map(v => [v.movieId, v.label, v.name, Object.keys(v.formats).sort()]), [
+    ['5608', 'Video 1', 'Teaser', ['mp4', 'webm']],
+    ['5609', 'Video 2', 'Video', ['webm']]
+  ]);
+  assert.equal(app.videos[0].formats.webm, 'https://cdn.akamai.steamstatic.com/steam/apps/5608/movie480.webm?t=1447351329');
+});
+
+test('community hub: the background video is merged into the trailer of its movie', () => {
+  const apps = collect('hub');
+  assert.equal(apps.length, 1);
+  const [app] = apps;
+  assert.equal(app.appId, '1145360');
+  assert.equal(app.gameName, 'Hades');
+  assert.deepEqual(app.trailers.map(t => [t.movieId, t.label, Object.keys(t.variants)]), [['256785016', 'Trailer', ['h264']]]);
+  assert.deepEqual(app.videos, []);
+});
+
+test('mergeCandidates keeps direct files of unknown movies apart by file', () => {
+  const merged = SVDDiscovery.mergeCandidates([
+    { kind: 'direct', url: 'https://cdn.akamai.steamstatic.com/steam/apps/10/extras/a.webm', movieId: null, name: null, poster: null, confidence: 1 },
+    { kind: 'direct', url: 'https://cdn.akamai.steamstatic.com/steam/apps/10/extras/a.mp4?t=1', movieId: null, name: null, poster: null, confidence: 1 },
+    { kind: 'direct', url: 'https://cdn.akamai.steamstatic.com/steam/apps/10/extras/b.webm', movieId: null, name: null, poster: null, confidence: 1 }
+  ]);
+  assert.deepEqual(merged.map(entry => [entry.isDirect, Object.keys(entry.formats)]), [[true, ['webm', 'mp4']], [true, ['webm']]]);
+});